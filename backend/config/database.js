@@ -69,6 +69,11 @@ export const query = async (sql, params = []) => {
     }
 };
 
+// Valor de una columna JSON. mysql2 ya devuelve estas columnas decodificadas,
+// así que un texto es el propio valor (la respuesta "a" llega como a) y no
+// se vuelve a pasar por JSON.parse.
+export const readJsonColumn = (value) => value ?? null;
+
 export const transaction = async (callback) => {
     const connection = await pool.getConnection();
     
@@ -85,8 +90,27 @@ export const transaction = async (callback) => {
     }
 };
 
+// Nombre de la clave primaria de cada tabla
+export const getIdField = (table) => {
+    if (table === 'usuarios') return 'id_usuario';
+    if (table === 'modulos') return 'id_modulo';
+    if (table === 'progreso_usuarios') return 'id_progreso';
+    if (table === 'sesiones_invitados') return 'id_sesion_invitado';
+    if (table === 'sesiones_usuarios') return 'id_sesion_usuario';
+    if (table === 'tokens_usuarios') return 'id_token_usuario';
+    if (table === 'exportaciones_datos') return 'id_exportacion';
+    if (table === 'secciones_modulos') return 'id_seccion';
+    if (table === 'preguntas_modulos') return 'id_pregunta';
+    if (table === 'intentos_cuestionarios') return 'id_intento';
+    if (table === 'plantillas_problemas') return 'id_plantilla';
+    if (table === 'variantes_problemas') return 'id_variante';
+    if (table === 'escenarios_simulacion') return 'id_escenario';
+    if (table === 'eventos_progreso') return 'id_evento';
+    return 'id';
+};
+
 export const findById = async (table, id) => {
-    const sql = `SELECT * FROM ${table} WHERE id = ? LIMIT 1`;
+    const sql = `SELECT * FROM ${table} WHERE ${getIdField(table)} = ? LIMIT 1`;
     const rows = await query(sql, [id]);
     return rows[0] || null;
 };
@@ -117,11 +141,7 @@ export const update = async (table, id, data, idField = null) => {
     const setClause = fields.map(field => `${field} = ?`).join(', ');
 
     if (!idField) {
-        if (table === 'usuarios') idField = 'id_usuario';
-        else if (table === 'modulos') idField = 'id_modulo';
-        else if (table === 'progreso_usuarios') idField = 'id_progreso';
-        else if (table === 'sesiones_invitados') idField = 'id_sesion_invitado';
-        else idField = 'id';
+        idField = getIdField(table);
     }
 
     const sql = `UPDATE ${table} SET ${setClause} WHERE ${idField} = ?`;
@@ -134,7 +154,7 @@ export const update = async (table, id, data, idField = null) => {
 };
 
 export const deleteById = async (table, id) => {
-    const sql = `DELETE FROM ${table} WHERE id = ?`;
+    const sql = `DELETE FROM ${table} WHERE ${getIdField(table)} = ?`;
     const result = await query(sql, [id]);
     
     return {
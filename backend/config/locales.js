@@ -0,0 +1,53 @@
+// Idiomas del contenido de los módulos.
+// El texto original de cada módulo (tabla modulos) está en DEFAULT_LOCALE;
+// el resto de idiomas de SUPPORTED_LOCALES se guardan como traducciones.
+export const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || 'es').toLowerCase();
+
+export const SUPPORTED_LOCALES = [...new Set([
+    DEFAULT_LOCALE,
+    ...(process.env.SUPPORTED_LOCALES || 'es,en')
+        .split(',')
+        .map(locale => locale.trim().toLowerCase())
+        .filter(Boolean)
+])];
+
+// Idiomas que necesitan traducción (todos menos el original)
+export const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+// "en-US" -> "en"; devuelve null si el idioma no está soportado
+export const normalizeLocale = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const locale = value.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(locale) ? locale : null;
+};
+
+// Idiomas de la cabecera Accept-Language ordenados por preferencia (q)
+const parseAcceptLanguage = (header) => String(header || '')
+    .split(',')
+    .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const qParam = params.find(param => param.trim().startsWith('q='));
+        const q = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+        return { tag: tag.trim(), q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+
+// Elegir el idioma de la respuesta: ?lang= tiene prioridad sobre Accept-Language
+export const negotiateLocale = (req) => {
+    const fromQuery = normalizeLocale(req.query.lang);
+    if (fromQuery) {
+        return fromQuery;
+    }
+
+    for (const tag of parseAcceptLanguage(req.headers['accept-language'])) {
+        const locale = normalizeLocale(tag);
+        if (locale) {
+            return locale;
+        }
+    }
+    return DEFAULT_LOCALE;
+};
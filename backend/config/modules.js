@@ -0,0 +1,64 @@
+// Tipos de contenido y niveles de dificultad de los módulos.
+// En la base de datos se guardan en español; la API acepta también los nombres en inglés.
+export const CONTENT_TYPES = ['teoria', 'ecuaciones', 'aplicaciones', 'simulacion', 'juego'];
+
+export const CONTENT_TYPE_ALIASES = {
+    'theory': 'teoria',
+    'equations': 'ecuaciones',
+    'applications': 'aplicaciones',
+    'simulation': 'simulacion',
+    'game': 'juego'
+};
+
+export const DIFFICULTY_LEVELS = ['principiante', 'intermedio', 'avanzado'];
+
+export const DIFFICULTY_ALIASES = {
+    'beginner': 'principiante',
+    'basic': 'principiante',
+    'intermediate': 'intermedio',
+    'advanced': 'avanzado'
+};
+
+// Normalizar un tipo de contenido; devuelve null si no es válido
+export const normalizeContentType = (value) => {
+    const type = CONTENT_TYPE_ALIASES[value] || value;
+    return CONTENT_TYPES.includes(type) ? type : null;
+};
+
+// Normalizar un nivel de dificultad; devuelve null si no es válido
+export const normalizeDifficulty = (value) => {
+    const level = DIFFICULTY_ALIASES[value] || value;
+    return DIFFICULTY_LEVELS.includes(level) ? level : null;
+};
+
+// Tipos de sección dentro de un módulo
+export const SECTION_TYPES = ['texto', 'ecuacion', 'simulacion', 'video', 'cuestionario'];
+
+export const SECTION_TYPE_ALIASES = {
+    'text': 'texto',
+    'equation': 'ecuacion',
+    'simulation': 'simulacion',
+    'quiz': 'cuestionario'
+};
+
+// Normalizar un tipo de sección; devuelve null si no es válido
+export const normalizeSectionType = (value) => {
+    const type = SECTION_TYPE_ALIASES[value] || value;
+    return SECTION_TYPES.includes(type) ? type : null;
+};
+
+// Tipos de pregunta de los cuestionarios
+export const QUESTION_TYPES = ['opcion_multiple', 'seleccion_multiple', 'numerica', 'ordenacion'];
+
+export const QUESTION_TYPE_ALIASES = {
+    'multiple_choice': 'opcion_multiple',
+    'multi_select': 'seleccion_multiple',
+    'numeric': 'numerica',
+    'ordering': 'ordenacion'
+};
+
+// Normalizar un tipo de pregunta; devuelve null si no es válido
+export const normalizeQuestionType = (value) => {
+    const type = QUESTION_TYPE_ALIASES[value] || value;
+    return QUESTION_TYPES.includes(type) ? type : null;
+};
@@ -0,0 +1,49 @@
+// Proveedores de OpenID Connect configurados por variables de entorno:
+//
+//   OIDC_PROVIDERS=google,microsoft
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...            (opcional para clientes públicos)
+//   OIDC_GOOGLE_SCOPES=openid email profile  (opcional)
+//   OIDC_GOOGLE_REDIRECT_URI=...             (opcional, por defecto <API>/api/auth/oidc/google/callback)
+//   OIDC_GOOGLE_NAME=Google                  (opcional, nombre para mostrar)
+//
+// El emisor puede ser cualquier servidor con /.well-known/openid-configuration,
+// incluido un proveedor simulado local para pruebas.
+let cachedProviders = null;
+
+export const getOidcProviders = () => {
+    if (cachedProviders) {
+        return cachedProviders;
+    }
+
+    const names = (process.env.OIDC_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const providers = {};
+    names.forEach(name => {
+        const prefix = `OIDC_${name.toUpperCase()}_`;
+        const provider = {
+            name,
+            displayName: process.env[`${prefix}NAME`] || name,
+            issuer: process.env[`${prefix}ISSUER`],
+            clientId: process.env[`${prefix}CLIENT_ID`],
+            clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+            scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+            redirectUri: process.env[`${prefix}REDIRECT_URI`] || null
+        };
+
+        if (provider.issuer && provider.clientId) {
+            providers[name] = provider;
+        } else {
+            console.warn(`⚠️ Proveedor OIDC "${name}" ignorado: faltan ${prefix}ISSUER o ${prefix}CLIENT_ID`);
+        }
+    });
+
+    cachedProviders = providers;
+    return providers;
+};
+
+export const getOidcProvider = (name) => getOidcProviders()[String(name).toLowerCase()] || null;
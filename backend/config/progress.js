@@ -0,0 +1,25 @@
+// Tipos de evento del registro de progreso (eventos_progreso).
+// En la base de datos se guardan en español; la API acepta también los nombres en inglés.
+export const PROGRESS_EVENT_TYPES = ['apertura', 'latido', 'seccion_completada', 'puntuacion', 'avance', 'completado'];
+
+export const PROGRESS_EVENT_ALIASES = {
+    'open': 'apertura',
+    'heartbeat': 'latido',
+    'section_complete': 'seccion_completada',
+    'score': 'puntuacion',
+    'progress': 'avance',
+    'complete': 'completado'
+};
+
+// Normalizar un tipo de evento; devuelve null si no es válido
+export const normalizeProgressEventType = (value) => {
+    const type = PROGRESS_EVENT_ALIASES[value] || value;
+    return PROGRESS_EVENT_TYPES.includes(type) ? type : null;
+};
+
+// Segundos máximos que puede sumar un latido: si el cliente se queda
+// dormido o pierde la conexión no se cuenta todo el tiempo transcurrido
+export const MAX_HEARTBEAT_SECONDS = Number(process.env.PROGRESS_MAX_HEARTBEAT_SECONDS) || 300;
+
+// Elementos que acepta como máximo una petición de POST /api/sync
+export const MAX_SYNC_ITEMS = Number(process.env.SYNC_MAX_ITEMS) || 200;
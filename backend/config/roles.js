@@ -0,0 +1,75 @@
+// Roles y permisos de la plataforma.
+// En la base de datos (usuarios.tipo_usuario) los roles se guardan en español;
+// en los tokens y en las respuestas de la API siempre se usan en inglés.
+export const ROLES = {
+    GUEST: 'guest',
+    STUDENT: 'student',
+    TEACHER: 'teacher',
+    ADMIN: 'admin'
+};
+
+const ROLE_TO_DB = {
+    student: 'estudiante',
+    teacher: 'profesor',
+    admin: 'administrador'
+};
+
+const DB_TO_ROLE = Object.fromEntries(
+    Object.entries(ROLE_TO_DB).map(([role, dbRole]) => [dbRole, role])
+);
+
+// Roles que se pueden asignar a un usuario registrado
+export const ASSIGNABLE_ROLES = Object.keys(ROLE_TO_DB);
+
+// MODULES_MANAGE permite editar el contenido de los módulos (versiones,
+// secciones, traducciones, cuestionarios...); MODULES_ADMIN, cambiar el
+// catálogo: crear, eliminar, restaurar y reordenar módulos.
+export const PERMISSIONS = {
+    MODULES_READ: 'modules:read',
+    MODULES_MANAGE: 'modules:manage',
+    MODULES_ADMIN: 'modules:admin',
+    PROGRESS_OWN: 'progress:own',
+    PROGRESS_READ_ALL: 'progress:read_all',
+    GAMES_PLAY: 'games:play',
+    USERS_READ: 'users:read',
+    USERS_MANAGE_ROLES: 'users:manage_roles'
+};
+
+const ROLE_PERMISSIONS = {
+    guest: [
+        PERMISSIONS.MODULES_READ,
+        PERMISSIONS.GAMES_PLAY
+    ],
+    student: [
+        PERMISSIONS.MODULES_READ,
+        PERMISSIONS.PROGRESS_OWN,
+        PERMISSIONS.GAMES_PLAY
+    ],
+    teacher: [
+        PERMISSIONS.MODULES_READ,
+        PERMISSIONS.MODULES_MANAGE,
+        PERMISSIONS.PROGRESS_OWN,
+        PERMISSIONS.PROGRESS_READ_ALL,
+        PERMISSIONS.GAMES_PLAY,
+        PERMISSIONS.USERS_READ
+    ],
+    admin: Object.values(PERMISSIONS)
+};
+
+// Convertir un rol (en inglés o en español) al nombre usado en la API
+export const fromDbRole = (role) => DB_TO_ROLE[role] || (ROLE_PERMISSIONS[role] ? role : ROLES.STUDENT);
+
+// Convertir un rol de la API al valor guardado en usuarios.tipo_usuario
+export const toDbRole = (role) => ROLE_TO_DB[role] || null;
+
+export const hasPermission = (role, permission) => {
+    const permissions = ROLE_PERMISSIONS[fromDbRole(role)] || [];
+    return permissions.includes(permission);
+};
+
+// Roles para los que la verificación en dos pasos es obligatoria,
+// p. ej. TWO_FACTOR_REQUIRED_ROLES=teacher,admin
+export const isTwoFactorRequired = (role) => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(requiredRole => requiredRole.trim().toLowerCase())
+    .includes(fromDbRole(role));
@@ -0,0 +1,42 @@
+// Límites del cálculo de campos de /api/simulations. Se pueden ajustar por
+// variable de entorno (SIMULATION_MAX_GRID_POINTS=20000...).
+const limit = (name, defaultValue) => {
+    const value = Number(process.env[`SIMULATION_${name}`]);
+    return Number.isFinite(value) && value > 0 ? value : defaultValue;
+};
+
+export const SIMULATION_LIMITS = {
+    maxSources: limit('MAX_SOURCES', 50),
+    maxGridPoints: limit('MAX_GRID_POINTS', 10000),
+    maxProbePoints: limit('MAX_PROBE_POINTS', 200),
+    maxFieldLines: limit('MAX_FIELD_LINES', 64),
+    // Fuentes × puntos (cada espira cuenta como loopSegments tramos)
+    maxEvaluations: limit('MAX_EVALUATIONS', 1000000),
+    maxCoordinate: limit('MAX_COORDINATE', 1000), // m
+    maxCharge: limit('MAX_CHARGE', 1), // C
+    maxCurrent: limit('MAX_CURRENT', 1e6), // A
+    loopSegments: limit('LOOP_SEGMENTS', 72),
+    maxScenariosPerUser: limit('MAX_SCENARIOS_PER_USER', 100)
+};
+
+// Tipos de fuente. En la API se aceptan también los nombres en español.
+export const SOURCE_TYPES = ['point_charge', 'line_current', 'current_loop'];
+
+export const SOURCE_TYPE_ALIASES = {
+    'carga_puntual': 'point_charge',
+    'corriente_rectilinea': 'line_current',
+    'espira': 'current_loop'
+};
+
+// Normalizar un tipo de fuente; devuelve null si no es válido
+export const normalizeSourceType = (value) => {
+    const type = SOURCE_TYPE_ALIASES[value] || value;
+    return SOURCE_TYPES.includes(type) ? type : null;
+};
+
+// Magnitudes que se pueden calcular y sus unidades SI
+export const FIELD_QUANTITIES = {
+    E: 'V/m',
+    B: 'T',
+    V: 'V'
+};
@@ -0,0 +1,16 @@
+// Política para usuarios con email sin verificar.
+// UNVERIFIED_RESTRICTIONS es una lista separada por comas de las capacidades
+// que se les niegan:
+//  - login:       no pueden iniciar sesión hasta verificar
+//  - progress:    no se guarda su progreso en los módulos
+//  - games:       no se guardan sus resultados de juegos
+//  - leaderboard: no aparecen en las tablas de líderes
+// Por defecto pueden aprender y jugar, pero no aparecen en el leaderboard.
+const VALID_CAPABILITIES = ['login', 'progress', 'games', 'leaderboard'];
+
+const parseRestrictions = () => (process.env.UNVERIFIED_RESTRICTIONS ?? 'leaderboard')
+    .split(',')
+    .map(capability => capability.trim().toLowerCase())
+    .filter(capability => VALID_CAPABILITIES.includes(capability));
+
+export const isRestrictedForUnverified = (capability) => parseRestrictions().includes(capability);
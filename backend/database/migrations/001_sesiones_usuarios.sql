@@ -0,0 +1,18 @@
+-- Sesiones de usuarios registrados (tokens de refresco rotativos)
+-- El token de refresco nunca se guarda en claro: solo su hash SHA-256.
+CREATE TABLE IF NOT EXISTS sesiones_usuarios (
+    id_sesion_usuario INT AUTO_INCREMENT PRIMARY KEY,
+    identificador_sesion CHAR(36) NOT NULL UNIQUE,
+    id_usuario INT NOT NULL,
+    hash_token_refresco CHAR(64) NOT NULL,
+    direccion_ip VARCHAR(45) NULL,
+    agente_usuario VARCHAR(255) NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ultimo_uso DATETIME NULL,
+    fecha_expiracion DATETIME NOT NULL,
+    fecha_revocacion DATETIME NULL,
+    esta_activo BOOLEAN NOT NULL DEFAULT TRUE,
+    INDEX idx_sesiones_usuarios_usuario (id_usuario),
+    CONSTRAINT fk_sesiones_usuarios_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,15 @@
+-- Tokens de un solo uso asociados a un usuario (restablecer contraseña, etc.)
+-- Solo se guarda el hash SHA-256 del token enviado por correo.
+CREATE TABLE IF NOT EXISTS tokens_usuarios (
+    id_token_usuario INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    proposito VARCHAR(32) NOT NULL,
+    hash_token CHAR(64) NOT NULL UNIQUE,
+    datos JSON NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion DATETIME NOT NULL,
+    fecha_uso DATETIME NULL,
+    INDEX idx_tokens_usuarios_usuario (id_usuario, proposito),
+    CONSTRAINT fk_tokens_usuarios_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
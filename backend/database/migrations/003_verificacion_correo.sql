@@ -0,0 +1,7 @@
+-- Verificación de email de los usuarios registrados
+ALTER TABLE usuarios
+    ADD COLUMN correo_verificado BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN fecha_verificacion_correo DATETIME NULL;
+
+-- Las cuentas existentes se consideran verificadas
+UPDATE usuarios SET correo_verificado = TRUE, fecha_verificacion_correo = NOW();
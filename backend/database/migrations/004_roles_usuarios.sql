@@ -0,0 +1,4 @@
+-- Roles de usuario: estudiante, profesor y administrador
+ALTER TABLE usuarios
+    MODIFY COLUMN tipo_usuario ENUM('estudiante', 'profesor', 'administrador')
+        NOT NULL DEFAULT 'estudiante';
@@ -0,0 +1,21 @@
+-- Historial de intentos de inicio de sesión (exitosos y fallidos)
+CREATE TABLE IF NOT EXISTS intentos_inicio_sesion (
+    id_intento INT AUTO_INCREMENT PRIMARY KEY,
+    correo_electronico VARCHAR(255) NOT NULL,
+    id_usuario INT NULL,
+    exitoso BOOLEAN NOT NULL,
+    motivo VARCHAR(50) NULL,
+    direccion_ip VARCHAR(45) NULL,
+    agente_usuario VARCHAR(255) NULL,
+    fecha_intento DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_intentos_correo (correo_electronico, fecha_intento),
+    INDEX idx_intentos_usuario (id_usuario, fecha_intento)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Estado de bloqueo por email (existan o no en usuarios, para no revelar cuentas)
+CREATE TABLE IF NOT EXISTS bloqueos_inicio_sesion (
+    correo_electronico VARCHAR(255) PRIMARY KEY,
+    intentos_fallidos INT NOT NULL DEFAULT 0,
+    ultimo_fallo DATETIME NOT NULL,
+    bloqueado_hasta DATETIME NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
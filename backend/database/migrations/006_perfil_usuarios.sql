@@ -0,0 +1,4 @@
+-- Preferencias del perfil y fecha de eliminación (anonimización) de la cuenta
+ALTER TABLE usuarios
+    ADD COLUMN preferencias JSON NULL,
+    ADD COLUMN fecha_eliminacion DATETIME NULL;
@@ -0,0 +1,16 @@
+-- Exportaciones de datos personales generadas en segundo plano
+CREATE TABLE IF NOT EXISTS exportaciones_datos (
+    id_exportacion INT AUTO_INCREMENT PRIMARY KEY,
+    identificador_exportacion CHAR(36) NOT NULL UNIQUE,
+    id_usuario INT NOT NULL,
+    formato ENUM('json', 'zip') NOT NULL DEFAULT 'json',
+    estado ENUM('pendiente', 'procesando', 'completada', 'fallida') NOT NULL DEFAULT 'pendiente',
+    ruta_archivo VARCHAR(500) NULL,
+    mensaje_error VARCHAR(500) NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_completada DATETIME NULL,
+    fecha_expiracion DATETIME NULL,
+    INDEX idx_exportaciones_usuario (id_usuario),
+    CONSTRAINT fk_exportaciones_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
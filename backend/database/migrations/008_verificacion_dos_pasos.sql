@@ -0,0 +1,17 @@
+-- Verificación en dos pasos (TOTP) y códigos de recuperación
+ALTER TABLE usuarios
+    ADD COLUMN totp_secreto VARCHAR(255) NULL,
+    ADD COLUMN totp_activo BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN totp_ultimo_contador BIGINT NULL,
+    ADD COLUMN fecha_activacion_totp DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS codigos_recuperacion (
+    id_codigo_recuperacion INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    hash_codigo CHAR(64) NOT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_uso DATETIME NULL,
+    INDEX idx_codigos_recuperacion_usuario (id_usuario),
+    CONSTRAINT fk_codigos_recuperacion_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
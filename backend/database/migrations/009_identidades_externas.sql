@@ -0,0 +1,28 @@
+-- Identidades externas (OpenID Connect) vinculadas a usuarios
+CREATE TABLE IF NOT EXISTS identidades_externas (
+    id_identidad INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    proveedor VARCHAR(50) NOT NULL,
+    sujeto VARCHAR(255) NOT NULL,
+    correo_electronico VARCHAR(255) NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ultimo_uso DATETIME NULL,
+    UNIQUE KEY uq_identidades_proveedor_sujeto (proveedor, sujeto),
+    INDEX idx_identidades_usuario (id_usuario),
+    CONSTRAINT fk_identidades_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Estados pendientes del flujo authorization code + PKCE (caducan en minutos)
+CREATE TABLE IF NOT EXISTS estados_oidc (
+    id_estado_oidc INT AUTO_INCREMENT PRIMARY KEY,
+    hash_estado CHAR(64) NOT NULL UNIQUE,
+    proveedor VARCHAR(50) NOT NULL,
+    verificador_pkce VARCHAR(128) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    id_usuario INT NULL,
+    ruta_retorno VARCHAR(255) NULL,
+    modo_respuesta ENUM('redirect', 'json') NOT NULL DEFAULT 'redirect',
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion DATETIME NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,41 @@
+-- Historial de versiones de los módulos (borradores, publicación y rollback)
+CREATE TABLE IF NOT EXISTS revisiones_modulos (
+    id_revision INT AUTO_INCREMENT PRIMARY KEY,
+    id_modulo INT NOT NULL,
+    numero_version INT NOT NULL,
+    titulo VARCHAR(200) NOT NULL,
+    descripcion TEXT NULL,
+    contenido LONGTEXT NULL,
+    tipo_contenido VARCHAR(20) NOT NULL,
+    nivel_dificultad VARCHAR(20) NOT NULL,
+    estado ENUM('borrador', 'publicada', 'archivada') NOT NULL DEFAULT 'borrador',
+    nota_cambios VARCHAR(500) NULL,
+    id_autor INT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_publicacion DATETIME NULL,
+    UNIQUE KEY uq_revisiones_modulo_version (id_modulo, numero_version),
+    CONSTRAINT fk_revisiones_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE,
+    CONSTRAINT fk_revisiones_autor
+        FOREIGN KEY (id_autor) REFERENCES usuarios(id_usuario) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- modulos conserva el contenido publicado; se guarda qué versión es
+ALTER TABLE modulos
+    ADD COLUMN id_revision_publicada INT NULL;
+
+-- Versión del módulo que el estudiante completó
+ALTER TABLE progreso_usuarios
+    ADD COLUMN id_revision_completada INT NULL;
+
+-- El contenido actual de cada módulo pasa a ser su versión 1 publicada
+INSERT INTO revisiones_modulos
+    (id_modulo, numero_version, titulo, descripcion, contenido, tipo_contenido, nivel_dificultad,
+     estado, nota_cambios, fecha_creacion, fecha_publicacion)
+SELECT id_modulo, 1, titulo, descripcion, contenido, tipo_contenido, nivel_dificultad,
+       'publicada', 'Versión inicial', NOW(), NOW()
+FROM modulos;
+
+UPDATE modulos m
+JOIN revisiones_modulos r ON r.id_modulo = m.id_modulo AND r.numero_version = 1
+SET m.id_revision_publicada = r.id_revision;
@@ -0,0 +1,16 @@
+-- Prerrequisitos entre módulos (grafo acíclico dirigido).
+-- Un módulo queda desbloqueado cuando todos sus requisitos están completados
+-- y, si se indica puntuacion_minima, con al menos esa puntuación.
+CREATE TABLE IF NOT EXISTS prerequisitos_modulos (
+    id_modulo INT NOT NULL,
+    id_modulo_requisito INT NOT NULL,
+    puntuacion_minima INT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id_modulo, id_modulo_requisito),
+    INDEX idx_prerequisitos_requisito (id_modulo_requisito),
+    CONSTRAINT fk_prerequisitos_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE,
+    CONSTRAINT fk_prerequisitos_requisito
+        FOREIGN KEY (id_modulo_requisito) REFERENCES modulos(id_modulo) ON DELETE CASCADE,
+    CONSTRAINT chk_prerequisitos_distintos CHECK (id_modulo <> id_modulo_requisito)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,9 @@
+-- Índices de texto completo para la búsqueda de módulos.
+-- Las intercalaciones utf8mb4 *_ci (general_ci, unicode_ci, 0900_ai_ci) no
+-- distinguen acentos, así que "ampere" encuentra "Ampère".
+-- Un índice por columna para ponderar la relevancia y uno conjunto para filtrar
+-- (InnoDB solo admite crear un índice FULLTEXT por sentencia).
+ALTER TABLE modulos ADD FULLTEXT INDEX ft_modulos_titulo (titulo);
+ALTER TABLE modulos ADD FULLTEXT INDEX ft_modulos_descripcion (descripcion);
+ALTER TABLE modulos ADD FULLTEXT INDEX ft_modulos_contenido (contenido);
+ALTER TABLE modulos ADD FULLTEXT INDEX ft_modulos_busqueda (titulo, descripcion, contenido);
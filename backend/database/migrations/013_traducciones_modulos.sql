@@ -0,0 +1,18 @@
+-- Traducciones del contenido de los módulos (el original sigue en modulos).
+-- Los campos a NULL se sirven en el idioma original.
+CREATE TABLE IF NOT EXISTS traducciones_modulos (
+    id_traduccion INT AUTO_INCREMENT PRIMARY KEY,
+    id_modulo INT NOT NULL,
+    idioma VARCHAR(10) NOT NULL,
+    titulo VARCHAR(200) NULL,
+    descripcion TEXT NULL,
+    contenido LONGTEXT NULL,
+    id_autor INT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion DATETIME NULL,
+    UNIQUE KEY uq_traducciones_modulo_idioma (id_modulo, idioma),
+    CONSTRAINT fk_traducciones_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE,
+    CONSTRAINT fk_traducciones_autor
+        FOREIGN KEY (id_autor) REFERENCES usuarios(id_usuario) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
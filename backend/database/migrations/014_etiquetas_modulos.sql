@@ -0,0 +1,13 @@
+-- Etiquetas libres de los módulos para filtrar el catálogo
+CREATE TABLE IF NOT EXISTS etiquetas_modulos (
+    id_modulo INT NOT NULL,
+    etiqueta VARCHAR(50) NOT NULL,
+    PRIMARY KEY (id_modulo, etiqueta),
+    INDEX idx_etiquetas_etiqueta (etiqueta),
+    CONSTRAINT fk_etiquetas_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Índices para la ordenación y la paginación por cursor del catálogo
+ALTER TABLE modulos
+    ADD INDEX idx_modulos_catalogo (esta_activo, indice_orden, id_modulo);
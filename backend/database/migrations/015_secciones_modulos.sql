@@ -0,0 +1,31 @@
+-- Secciones ordenadas de los módulos (texto, ecuación, simulación, vídeo, cuestionario)
+CREATE TABLE IF NOT EXISTS secciones_modulos (
+    id_seccion INT AUTO_INCREMENT PRIMARY KEY,
+    id_modulo INT NOT NULL,
+    tipo_seccion ENUM('texto', 'ecuacion', 'simulacion', 'video', 'cuestionario') NOT NULL,
+    titulo VARCHAR(200) NOT NULL,
+    contenido LONGTEXT NULL,
+    configuracion JSON NULL,
+    indice_orden INT NOT NULL DEFAULT 0,
+    es_obligatoria BOOLEAN NOT NULL DEFAULT true,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion DATETIME NULL,
+    INDEX idx_secciones_modulo_orden (id_modulo, indice_orden),
+    CONSTRAINT fk_secciones_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Secciones completadas por cada usuario. El porcentaje de progreso_usuarios
+-- se calcula a partir de aquí cuando el módulo tiene secciones.
+CREATE TABLE IF NOT EXISTS progreso_secciones (
+    id_progreso_seccion INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    id_seccion INT NOT NULL,
+    fecha_completado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_progreso_secciones_usuario_seccion (id_usuario, id_seccion),
+    INDEX idx_progreso_secciones_seccion (id_seccion),
+    CONSTRAINT fk_progreso_secciones_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+    CONSTRAINT fk_progreso_secciones_seccion
+        FOREIGN KEY (id_seccion) REFERENCES secciones_modulos(id_seccion) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,70 @@
+-- Banco de preguntas de los módulos. La respuesta correcta nunca se envía
+-- al estudiante antes de entregar el intento.
+CREATE TABLE IF NOT EXISTS preguntas_modulos (
+    id_pregunta INT AUTO_INCREMENT PRIMARY KEY,
+    id_modulo INT NOT NULL,
+    tipo_pregunta ENUM('opcion_multiple', 'seleccion_multiple', 'numerica', 'ordenacion') NOT NULL,
+    enunciado TEXT NOT NULL,
+    opciones JSON NULL,
+    respuesta_correcta JSON NOT NULL,
+    explicacion TEXT NULL,
+    puntos DECIMAL(6,2) NOT NULL DEFAULT 1,
+    indice_orden INT NOT NULL DEFAULT 0,
+    esta_activa BOOLEAN NOT NULL DEFAULT true,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion DATETIME NULL,
+    INDEX idx_preguntas_modulo (id_modulo, esta_activa, indice_orden),
+    CONSTRAINT fk_preguntas_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Configuración del cuestionario de cada módulo (sin fila se usan los valores por defecto)
+CREATE TABLE IF NOT EXISTS configuracion_cuestionarios (
+    id_modulo INT PRIMARY KEY,
+    intentos_maximos INT NULL,
+    limite_tiempo_minutos INT NULL,
+    puntuacion_aprobado INT NOT NULL DEFAULT 50,
+    politica_puntuacion ENUM('mejor', 'ultimo') NOT NULL DEFAULT 'mejor',
+    mezclar_preguntas BOOLEAN NOT NULL DEFAULT false,
+    mostrar_soluciones BOOLEAN NOT NULL DEFAULT true,
+    fecha_actualizacion DATETIME NULL,
+    CONSTRAINT fk_configuracion_cuestionarios_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Intentos de los estudiantes; "preguntas" guarda el orden en que se mostraron
+CREATE TABLE IF NOT EXISTS intentos_cuestionarios (
+    id_intento INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    id_modulo INT NOT NULL,
+    numero_intento INT NOT NULL,
+    estado ENUM('en_curso', 'entregado', 'caducado') NOT NULL DEFAULT 'en_curso',
+    preguntas JSON NOT NULL,
+    puntos_obtenidos DECIMAL(8,2) NULL,
+    puntos_totales DECIMAL(8,2) NULL,
+    puntuacion INT NULL,
+    fecha_inicio DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_limite DATETIME NULL,
+    fecha_entrega DATETIME NULL,
+    UNIQUE KEY uq_intentos_usuario_modulo_numero (id_usuario, id_modulo, numero_intento),
+    INDEX idx_intentos_modulo (id_modulo),
+    CONSTRAINT fk_intentos_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+    CONSTRAINT fk_intentos_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Respuesta a cada pregunta de un intento, con su corrección
+CREATE TABLE IF NOT EXISTS respuestas_intentos (
+    id_respuesta INT AUTO_INCREMENT PRIMARY KEY,
+    id_intento INT NOT NULL,
+    id_pregunta INT NOT NULL,
+    respuesta JSON NULL,
+    es_correcta BOOLEAN NOT NULL DEFAULT false,
+    puntos_obtenidos DECIMAL(6,2) NOT NULL DEFAULT 0,
+    UNIQUE KEY uq_respuestas_intento_pregunta (id_intento, id_pregunta),
+    CONSTRAINT fk_respuestas_intento
+        FOREIGN KEY (id_intento) REFERENCES intentos_cuestionarios(id_intento) ON DELETE CASCADE,
+    CONSTRAINT fk_respuestas_pregunta
+        FOREIGN KEY (id_pregunta) REFERENCES preguntas_modulos(id_pregunta) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
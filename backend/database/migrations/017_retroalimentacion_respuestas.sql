@@ -0,0 +1,4 @@
+-- Motivo de la corrección de cada respuesta (unidad incorrecta, fuera de
+-- tolerancia, cifras significativas...) para mostrárselo al estudiante
+ALTER TABLE respuestas_intentos
+    ADD COLUMN retroalimentacion VARCHAR(500) NULL;
@@ -0,0 +1,43 @@
+-- Plantillas de problemas con parámetros aleatorios (módulos de ecuaciones)
+CREATE TABLE IF NOT EXISTS plantillas_problemas (
+    id_plantilla INT AUTO_INCREMENT PRIMARY KEY,
+    id_modulo INT NOT NULL,
+    titulo VARCHAR(200) NOT NULL,
+    enunciado TEXT NOT NULL,
+    parametros JSON NOT NULL,
+    restricciones JSON NULL,
+    formula VARCHAR(1000) NOT NULL,
+    unidad_respuesta VARCHAR(50) NOT NULL DEFAULT '',
+    tolerancia DOUBLE NULL,
+    tipo_tolerancia ENUM('absolute', 'relative') NOT NULL DEFAULT 'relative',
+    cifras_significativas INT NULL,
+    esta_activa BOOLEAN NOT NULL DEFAULT true,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion DATETIME NULL,
+    INDEX idx_plantillas_modulo (id_modulo, esta_activa),
+    CONSTRAINT fk_plantillas_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Variantes generadas para cada usuario. La semilla se deriva de
+-- plantilla + usuario + número de variante, así que recargar devuelve
+-- siempre la misma; pedir otra variante incrementa el número.
+CREATE TABLE IF NOT EXISTS variantes_problemas (
+    id_variante INT AUTO_INCREMENT PRIMARY KEY,
+    id_plantilla INT NOT NULL,
+    id_usuario INT NOT NULL,
+    numero_variante INT NOT NULL,
+    semilla CHAR(32) NOT NULL,
+    parametros JSON NOT NULL,
+    enunciado TEXT NOT NULL,
+    respuesta_esperada DOUBLE NOT NULL,
+    estado ENUM('pendiente', 'resuelta') NOT NULL DEFAULT 'pendiente',
+    intentos INT NOT NULL DEFAULT 0,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_resolucion DATETIME NULL,
+    UNIQUE KEY uq_variantes_plantilla_usuario_numero (id_plantilla, id_usuario, numero_variante),
+    CONSTRAINT fk_variantes_plantilla
+        FOREIGN KEY (id_plantilla) REFERENCES plantillas_problemas(id_plantilla) ON DELETE CASCADE,
+    CONSTRAINT fk_variantes_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
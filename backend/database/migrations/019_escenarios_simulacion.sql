@@ -0,0 +1,26 @@
+-- Escenarios de simulación guardados (configuraciones de cargas y corrientes).
+-- Cada escenario pertenece a un módulo y a su autor. Los escenarios iniciales
+-- (es_inicial) los publica el profesorado y los ve cualquier usuario; el resto
+-- son privados salvo que se compartan con un enlace (token_compartir).
+CREATE TABLE IF NOT EXISTS escenarios_simulacion (
+    id_escenario INT AUTO_INCREMENT PRIMARY KEY,
+    id_modulo INT NOT NULL,
+    id_usuario INT NOT NULL,
+    nombre VARCHAR(100) NOT NULL,
+    descripcion TEXT NULL,
+    configuracion JSON NOT NULL,
+    es_inicial BOOLEAN NOT NULL DEFAULT false,
+    token_compartir VARCHAR(64) NULL,
+    id_escenario_origen INT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion DATETIME NULL,
+    UNIQUE KEY uq_escenarios_token (token_compartir),
+    INDEX idx_escenarios_usuario (id_usuario, id_modulo),
+    INDEX idx_escenarios_iniciales (id_modulo, es_inicial),
+    CONSTRAINT fk_escenarios_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE,
+    CONSTRAINT fk_escenarios_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+    CONSTRAINT fk_escenarios_origen
+        FOREIGN KEY (id_escenario_origen) REFERENCES escenarios_simulacion(id_escenario) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
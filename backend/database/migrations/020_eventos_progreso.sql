@@ -0,0 +1,25 @@
+-- Registro de eventos de progreso (solo se añaden filas, nunca se modifican).
+-- progreso_usuarios pasa a ser un resumen derivado de estos eventos que solo
+-- avanza: porcentaje máximo, tiempo acumulado y mejor puntuación.
+--
+-- id_cliente es un identificador opcional generado por el cliente para que
+-- reenviar el mismo evento (reintentos, sincronización) no lo cuente dos veces.
+CREATE TABLE IF NOT EXISTS eventos_progreso (
+    id_evento BIGINT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    id_modulo INT NOT NULL,
+    tipo_evento ENUM('apertura', 'latido', 'seccion_completada', 'puntuacion', 'avance', 'completado') NOT NULL,
+    id_seccion INT NULL,
+    segundos INT NULL,
+    porcentaje DECIMAL(5,2) NULL,
+    puntuacion INT NULL,
+    id_cliente VARCHAR(64) NULL,
+    fecha_evento DATETIME NOT NULL,
+    fecha_registro DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_eventos_progreso_cliente (id_usuario, id_cliente),
+    INDEX idx_eventos_progreso_usuario_modulo (id_usuario, id_modulo, fecha_evento),
+    CONSTRAINT fk_eventos_progreso_usuario
+        FOREIGN KEY (id_usuario) REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+    CONSTRAINT fk_eventos_progreso_modulo
+        FOREIGN KEY (id_modulo) REFERENCES modulos(id_modulo) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,24 @@
+-- Progreso de las sesiones de invitado. Cada fila pertenece a un usuario
+-- (id_usuario) o a una sesión de invitado (id_sesion_invitado); al convertir
+-- la sesión en cuenta las filas pasan al nuevo usuario (POST /api/auth/guest/upgrade).
+ALTER TABLE progreso_usuarios
+    MODIFY id_usuario INT NULL,
+    ADD COLUMN id_sesion_invitado INT NULL AFTER id_usuario,
+    ADD INDEX idx_progreso_usuarios_invitado (id_sesion_invitado, id_modulo),
+    ADD CONSTRAINT fk_progreso_usuarios_invitado
+        FOREIGN KEY (id_sesion_invitado) REFERENCES sesiones_invitados(id_sesion_invitado) ON DELETE CASCADE;
+
+ALTER TABLE progreso_secciones
+    MODIFY id_usuario INT NULL,
+    ADD COLUMN id_sesion_invitado INT NULL AFTER id_usuario,
+    ADD UNIQUE KEY uq_progreso_secciones_invitado_seccion (id_sesion_invitado, id_seccion),
+    ADD CONSTRAINT fk_progreso_secciones_invitado
+        FOREIGN KEY (id_sesion_invitado) REFERENCES sesiones_invitados(id_sesion_invitado) ON DELETE CASCADE;
+
+ALTER TABLE eventos_progreso
+    MODIFY id_usuario INT NULL,
+    ADD COLUMN id_sesion_invitado INT NULL AFTER id_usuario,
+    ADD UNIQUE KEY uq_eventos_progreso_invitado_cliente (id_sesion_invitado, id_cliente),
+    ADD INDEX idx_eventos_progreso_invitado_modulo (id_sesion_invitado, id_modulo, fecha_evento),
+    ADD CONSTRAINT fk_eventos_progreso_invitado
+        FOREIGN KEY (id_sesion_invitado) REFERENCES sesiones_invitados(id_sesion_invitado) ON DELETE CASCADE;
@@ -0,0 +1,7 @@
+-- Identificador del cliente en los resultados de juegos, para que los
+-- resultados guardados sin conexión y reenviados por POST /api/sync (o por
+-- reintentos) no se cuenten dos veces. Es opcional: NULL no choca con nada.
+ALTER TABLE resultados_juegos
+    ADD COLUMN id_cliente VARCHAR(64) NULL,
+    ADD UNIQUE KEY uq_resultados_juegos_cliente (id_usuario, id_cliente),
+    ADD UNIQUE KEY uq_resultados_juegos_invitado_cliente (id_sesion_invitado, id_cliente);
@@ -0,0 +1,5 @@
+-- Estado del email que avisa de una exportación lista, separado del estado de
+-- la exportación: si falla el envío el archivo sigue disponible para descargar.
+ALTER TABLE exportaciones_datos
+    ADD COLUMN correo_enviado BOOLEAN NOT NULL DEFAULT false AFTER mensaje_error,
+    ADD COLUMN error_correo VARCHAR(500) NULL AFTER correo_enviado;
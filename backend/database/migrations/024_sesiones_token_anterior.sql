@@ -0,0 +1,5 @@
+-- Hash del token de refresco anterior de cada sesión. Solo presentar ese token
+-- ya rotado indica robo y revoca la sesión; un token cualquiera con el
+-- identificador de la sesión (que va dentro del JWT de acceso) se rechaza sin más.
+ALTER TABLE sesiones_usuarios
+    ADD COLUMN hash_token_refresco_anterior CHAR(64) NULL AFTER hash_token_refresco;
@@ -0,0 +1,7 @@
+-- Índices de texto completo de las traducciones, para buscar en el idioma de
+-- la respuesta (GET /api/modules/search?lang=en). Igual que en modulos: uno
+-- por columna para ponderar la relevancia y uno conjunto para filtrar.
+ALTER TABLE traducciones_modulos ADD FULLTEXT INDEX ft_traducciones_titulo (titulo);
+ALTER TABLE traducciones_modulos ADD FULLTEXT INDEX ft_traducciones_descripcion (descripcion);
+ALTER TABLE traducciones_modulos ADD FULLTEXT INDEX ft_traducciones_contenido (contenido);
+ALTER TABLE traducciones_modulos ADD FULLTEXT INDEX ft_traducciones_busqueda (titulo, descripcion, contenido);
@@ -0,0 +1,4 @@
+-- Estados OIDC iniciados para confirmar la identidad del usuario (por ejemplo,
+-- antes de eliminar una cuenta sin contraseña) en lugar de iniciar sesión
+ALTER TABLE estados_oidc
+    ADD COLUMN es_reautenticacion BOOLEAN NOT NULL DEFAULT false AFTER id_usuario;
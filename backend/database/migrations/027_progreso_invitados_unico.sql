@@ -0,0 +1,37 @@
+-- Una sola fila de progreso por sesión de invitado y módulo, como para los
+-- usuarios. Antes dos eventos simultáneos del mismo invitado (lotes de
+-- /api/sync y sus reintentos) podían crear dos filas de resumen.
+
+-- Fusionar en la primera fila las duplicadas que ya existan: porcentaje,
+-- puntuación y estado con el máximo y el tiempo sumado
+UPDATE progreso_usuarios pu
+JOIN (
+    SELECT
+        MIN(id_progreso) as id_progreso,
+        MAX(porcentaje_completado) as porcentaje_completado,
+        SUM(tiempo_empleado) as tiempo_empleado,
+        MAX(puntuacion) as puntuacion,
+        MAX(esta_completado) as esta_completado,
+        MAX(id_revision_completada) as id_revision_completada,
+        MAX(ultimo_acceso) as ultimo_acceso
+    FROM progreso_usuarios
+    WHERE id_sesion_invitado IS NOT NULL
+    GROUP BY id_sesion_invitado, id_modulo
+    HAVING COUNT(*) > 1
+) d ON d.id_progreso = pu.id_progreso
+SET pu.porcentaje_completado = d.porcentaje_completado,
+    pu.tiempo_empleado = d.tiempo_empleado,
+    pu.puntuacion = d.puntuacion,
+    pu.esta_completado = d.esta_completado,
+    pu.id_revision_completada = d.id_revision_completada,
+    pu.ultimo_acceso = d.ultimo_acceso;
+
+DELETE pu FROM progreso_usuarios pu
+JOIN progreso_usuarios primera
+    ON primera.id_sesion_invitado = pu.id_sesion_invitado
+    AND primera.id_modulo = pu.id_modulo
+    AND primera.id_progreso < pu.id_progreso;
+
+ALTER TABLE progreso_usuarios
+    DROP INDEX idx_progreso_usuarios_invitado,
+    ADD UNIQUE KEY uq_progreso_usuarios_invitado_modulo (id_sesion_invitado, id_modulo);
@@ -0,0 +1,5 @@
+-- Número de rotaciones del token de refresco de cada sesión. El token lleva su
+-- generación firmada por el servidor, así que presentar cualquier token ya
+-- rotado (no solo el anterior) indica robo y revoca la sesión.
+ALTER TABLE sesiones_usuarios
+    ADD COLUMN generacion_token_refresco INT NOT NULL DEFAULT 0 AFTER hash_token_refresco_anterior;
@@ -2,38 +2,168 @@ import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
-import { query, insert, findByField, update } from '../config/database.js';
+import { query, insert, findByField, update, transaction } from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
+import { existsSync } from 'fs';
+import {
+    getJwtSecret,
+    createUserSession,
+    rotateRefreshToken,
+    isSessionActive,
+    revokeSession,
+    revokeAllUserSessions
+} from '../utils/sessions.js';
+import { issueUserToken, consumeUserToken, TOKEN_PURPOSES } from '../utils/userTokens.js';
+import { sendMail, getFrontendUrl } from '../utils/mailer.js';
+import { isRestrictedForUnverified } from '../config/verification.js';
+import { ROLES, fromDbRole, toDbRole, hasPermission, isTwoFactorRequired } from '../config/roles.js';
+import {
+    generateSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} from '../utils/totp.js';
+import {
+    EXPORT_SYNC_MAX_ROWS,
+    countExportRows,
+    collectUserData,
+    writeExportArchive,
+    startExportJob,
+    verifyDownloadToken,
+    buildDownloadUrl,
+    deleteUserExports,
+    removeExportFiles
+} from '../utils/dataExport.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, clearLoginLock } from '../utils/loginAttempts.js';
 
 const router = express.Router();
 
-// Middleware para validar tokens JWT
-export const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+// Comprobar un token de acceso. Devuelve { user } con el usuario normalizado
+// o { status, error } si el token no es válido o su sesión ya no está activa.
+const verifyAccessToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, getJwtSecret());
+    } catch (err) {
+        console.error('Error verificando token:', err);
+        return { status: 403, error: 'Token inválido' };
+    }
 
-    if (!token) {
-        return res.status(401).json({ error: 'Token de acceso requerido' });
+    // Los tokens de propósito específico (retos de 2FA, descargas...) no dan acceso a la API
+    if (decoded.purpose) {
+        return { status: 403, error: 'Token inválido' };
     }
 
-    jwt.verify(token, process.env.JWT_SECRET || 'maxwavex_secret_key', (err, decoded) => {
-        if (err) {
-            console.error('Error verificando token:', err);
-            return res.status(403).json({ error: 'Token inválido' });
+    // Los usuarios registrados deben tener una sesión activa (no revocada)
+    if (decoded.userType !== 'guest') {
+        if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+            return { status: 401, error: 'Sesión revocada o expirada' };
         }
-        
-        // Normalizar la estructura del usuario decodificado
-        req.user = {
+    }
+
+    // Normalizar la estructura del usuario decodificado
+    return {
+        user: {
             userId: decoded.userId || decoded.guestId,
             guestId: decoded.guestId,
             sessionId: decoded.sessionId,
             email: decoded.email,
             username: decoded.username,
-            userType: decoded.userType || 'student'
-        };
-        
+            userType: fromDbRole(decoded.userType)
+        }
+    };
+};
+
+const getBearerToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1];
+};
+
+// Middleware para validar tokens JWT
+export const authenticateToken = async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Token de acceso requerido' });
+    }
+
+    try {
+        const { user, status, error } = await verifyAccessToken(token);
+        if (!user) {
+            return res.status(status).json({ error });
+        }
+        req.user = user;
+    } catch (error) {
+        console.error('Error comprobando sesión:', error);
+        return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+
+    next();
+};
+
+// Middleware: autenticación opcional para rutas públicas que personalizan
+// la respuesta según el usuario. Sin cabecera, o con un token caducado o
+// inválido, se continúa como anónimo.
+export const optionalAuthenticateToken = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return next();
+    }
+
+    try {
+        const { user } = await verifyAccessToken(token);
+        if (user) {
+            req.user = user;
+        }
+    } catch (error) {
+        console.error('Error comprobando sesión:', error);
+        return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+
+    next();
+};
+
+// Middleware: exige todos los permisos indicados al usuario autenticado.
+// Se usa después de authenticateToken, p. ej. authorize(PERMISSIONS.MODULES_MANAGE)
+export const authorize = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Token de acceso requerido' });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.userType, permission));
+    if (missing.length > 0) {
+        return res.status(403).json({
+            error: 'Permisos insuficientes',
+            required: missing
+        });
+    }
+
+    next();
+};
+
+// Middleware: bloquea una capacidad para usuarios con email sin verificar,
+// según la política configurada en config/verification.js
+export const requireVerifiedEmail = (capability) => async (req, res, next) => {
+    if (req.user.userType === 'guest' || !isRestrictedForUnverified(capability)) {
+        return next();
+    }
+
+    try {
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.correo_verificado) {
+            return res.status(403).json({
+                error: 'Debes verificar tu email para realizar esta acción',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
         next();
-    });
+    } catch (error) {
+        console.error('Error comprobando verificación de email:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+    }
 };
 
 // Validaciones para registro
@@ -62,6 +192,210 @@ const loginValidation = [
         .withMessage('Contraseña requerida')
 ];
 
+// Validaciones para la gestión del perfil
+const updateProfileValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+    body('preferences')
+        .optional()
+        .isObject()
+        .withMessage('Las preferencias deben ser un objeto')
+];
+
+const changePasswordValidation = [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Contraseña actual requerida'),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('La contraseña debe tener al menos 6 caracteres')
+];
+
+const changeEmailValidation = [
+    body('newEmail')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Email inválido'),
+    body('password')
+        .notEmpty()
+        .withMessage('Contraseña requerida')
+];
+
+const MAX_PREFERENCES_SIZE = 4096;
+const EMAIL_CHANGE_TOKEN_TTL = 24 * 3600000; // 24 horas
+
+// Middleware: acciones reservadas a cuentas registradas
+const requireAccount = (req, res, next) => {
+    if (req.user.userType === 'guest') {
+        return res.status(403).json({
+            error: 'Esta acción requiere una cuenta registrada'
+        });
+    }
+    next();
+};
+
+// Tokens de reto para la verificación en dos pasos:
+//  - 2fa_login: contraseña correcta, falta el código TOTP
+//  - 2fa_setup: el rol exige 2FA y el usuario aún no lo ha configurado
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+export const signChallengeToken = (user, purpose) => jwt.sign(
+    { purpose, userId: user.id_usuario, userType: fromDbRole(user.tipo_usuario) },
+    getJwtSecret(),
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, getJwtSecret());
+        return decoded.purpose === purpose ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+// Middleware: acepta un token de acceso normal o un reto 2fa_setup
+// (para que los roles con 2FA obligatorio puedan configurarlo antes de entrar)
+const authenticateTwoFactorSetup = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    const challenge = token && verifyChallengeToken(token, '2fa_setup');
+
+    if (challenge) {
+        req.user = {
+            userId: challenge.userId,
+            userType: challenge.userType,
+            setupChallenge: true
+        };
+        return next();
+    }
+
+    authenticateToken(req, res, next);
+};
+
+const replaceRecoveryCodes = async (userId) => {
+    const codes = generateRecoveryCodes();
+
+    await transaction(async (connection) => {
+        await connection.execute('DELETE FROM codigos_recuperacion WHERE id_usuario = ?', [userId]);
+        for (const code of codes) {
+            await connection.execute(
+                'INSERT INTO codigos_recuperacion (id_usuario, hash_codigo, fecha_creacion) VALUES (?, ?, ?)',
+                [userId, hashRecoveryCode(code), new Date()]
+            );
+        }
+    });
+
+    return codes;
+};
+
+const countRecoveryCodes = async (userId) => {
+    const rows = await query(
+        'SELECT COUNT(*) as remaining FROM codigos_recuperacion WHERE id_usuario = ? AND fecha_uso IS NULL',
+        [userId]
+    );
+    return Number(rows[0].remaining);
+};
+
+// Comprobar un código TOTP (o de recuperación) y marcarlo como usado
+const consumeTwoFactorCode = async (user, { code, recoveryCode }) => {
+    if (code && user.totp_secreto) {
+        const counter = verifyTotp(decryptSecret(user.totp_secreto), code, user.totp_ultimo_contador);
+        if (counter !== null) {
+            await update('usuarios', user.id_usuario, { totp_ultimo_contador: counter });
+            return { valid: true, usedRecoveryCode: false };
+        }
+    }
+
+    if (recoveryCode) {
+        const result = await query(`
+            UPDATE codigos_recuperacion SET fecha_uso = NOW()
+            WHERE id_usuario = ? AND hash_codigo = ? AND fecha_uso IS NULL
+            LIMIT 1
+        `, [user.id_usuario, hashRecoveryCode(recoveryCode)]);
+
+        if (result.affectedRows > 0) {
+            return { valid: true, usedRecoveryCode: true };
+        }
+    }
+
+    return { valid: false, usedRecoveryCode: false };
+};
+
+// Completar un inicio de sesión: registra el acceso y crea la sesión
+export const completeLogin = async (user, req) => {
+    await update('usuarios', user.id_usuario, { ultimo_inicio_sesion: new Date() });
+    await recordLoginSuccess(user.correo_electronico, user.id_usuario, req);
+
+    const session = await createUserSession(user, req);
+
+    return {
+        message: 'Login exitoso',
+        user: {
+            id: user.id_usuario,
+            name: user.nombre,
+            email: user.correo_electronico,
+            userType: fromDbRole(user.tipo_usuario),
+            emailVerified: !!user.correo_verificado
+        },
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+    };
+};
+
+// Validaciones para restablecer contraseña
+const forgotPasswordValidation = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Email inválido')
+];
+
+const resendVerificationValidation = [
+    body('email')
+        .optional()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Email inválido')
+];
+
+const resetPasswordValidation = [
+    body('token')
+        .notEmpty()
+        .withMessage('Token requerido'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('La contraseña debe tener al menos 6 caracteres')
+];
+
+const RESET_TOKEN_TTL = 3600000; // 1 hora
+const VERIFICATION_TOKEN_TTL = 24 * 3600000; // 24 horas
+const VERIFICATION_RESEND_COOLDOWN = 60000; // 1 minuto entre reenvíos
+const VERIFICATION_MAX_PER_DAY = 5;
+
+// Enviar el correo con el enlace de verificación
+const sendVerificationEmail = async (user) => {
+    const verificationToken = await issueUserToken(
+        user.id_usuario,
+        TOKEN_PURPOSES.EMAIL_VERIFICATION,
+        VERIFICATION_TOKEN_TTL
+    );
+    const verificationUrl = `${getFrontendUrl()}/verify-email?token=${verificationToken}`;
+
+    await sendMail({
+        to: user.correo_electronico,
+        subject: 'Verifica tu email en MaxWaveX',
+        text: `Hola ${user.nombre},\n\n`
+            + 'Confirma tu dirección de email abriendo este enlace (válido durante 24 horas):'
+            + `\n\n${verificationUrl}\n\n`
+            + 'Si no creaste una cuenta en MaxWaveX, puedes ignorar este correo.'
+    });
+};
+
 // Registro de usuarios
 router.post('/register', registerValidation, async (req, res) => {
     try {
@@ -89,32 +423,46 @@ router.post('/register', registerValidation, async (req, res) => {
             nombre: name.trim(),
             correo_electronico: email.toLowerCase(),
             contrasena: passwordHash,
-            tipo_usuario: 'estudiante',
+            tipo_usuario: toDbRole(ROLES.STUDENT),
             fecha_creacion: new Date(),
-            esta_activo: true
+            esta_activo: true,
+            correo_verificado: false
         };
 
         const result = await insert('usuarios', userData);
 
-        const token = jwt.sign(
-            { 
-                userId: result.insertId, 
-                email: email.toLowerCase(),
-                userType: 'student'
-            },
-            process.env.JWT_SECRET || 'maxwavex_secret_key',
-            { expiresIn: '24h' }
-        );
+        // Un fallo al enviar el correo no impide el registro: se puede reenviar
+        try {
+            await sendVerificationEmail({ ...userData, id_usuario: result.insertId });
+        } catch (mailError) {
+            console.error('Error enviando correo de verificación:', mailError);
+        }
+
+        const registeredUser = {
+            id: result.insertId,
+            name: name.trim(),
+            email: email.toLowerCase(),
+            userType: ROLES.STUDENT,
+            emailVerified: false
+        };
+
+        // Si el login exige email verificado no se abre sesión hasta verificarlo
+        if (isRestrictedForUnverified('login')) {
+            return res.status(201).json({
+                message: 'Usuario registrado. Verifica tu email para iniciar sesión',
+                user: registeredUser,
+                requiresEmailVerification: true
+            });
+        }
+
+        const session = await createUserSession({ ...userData, id_usuario: result.insertId }, req);
 
         res.status(201).json({
             message: 'Usuario registrado exitosamente',
-            user: {
-                id: result.insertId,
-                name: name.trim(),
-                email: email.toLowerCase(),
-                userType: 'student'
-            },
-            token
+            user: registeredUser,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
         });
 
     } catch (error) {
@@ -138,53 +486,131 @@ router.post('/login', loginValidation, async (req, res) => {
         }
 
         const { email, password } = req.body;
+        const normalizedEmail = email.toLowerCase();
 
-        const user = await findByField('usuarios', 'correo_electronico', email.toLowerCase());
+        const attempt = await checkLoginAllowed(normalizedEmail);
+        if (!attempt.allowed) {
+            res.set('Retry-After', String(attempt.retryAfter));
+            return res.status(429).json({
+                error: attempt.locked
+                    ? 'Cuenta bloqueada temporalmente por demasiados intentos fallidos. Espera o restablece tu contraseña.'
+                    : 'Demasiados intentos fallidos, espera unos segundos antes de volver a intentarlo',
+                code: attempt.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+                retryAfter: attempt.retryAfter
+            });
+        }
+
+        const user = await findByField('usuarios', 'correo_electronico', normalizedEmail);
         if (!user) {
+            await recordLoginFailure(normalizedEmail, null, 'usuario_inexistente', req);
             return res.status(401).json({
                 error: 'Credenciales inválidas'
             });
         }
 
+        const passwordMatch = await bcrypt.compare(password, user.contrasena);
+        if (!passwordMatch) {
+            const failure = await recordLoginFailure(normalizedEmail, user.id_usuario, 'contrasena_incorrecta', req);
+            return res.status(401).json({
+                error: failure.locked
+                    ? 'Credenciales inválidas. La cuenta ha sido bloqueada temporalmente.'
+                    : 'Credenciales inválidas'
+            });
+        }
+
         if (!user.esta_activo) {
             return res.status(401).json({
                 error: 'Cuenta desactivada'
             });
         }
 
-        const passwordMatch = await bcrypt.compare(password, user.contrasena);
-        if (!passwordMatch) {
+        if (!user.correo_verificado && isRestrictedForUnverified('login')) {
+            return res.status(403).json({
+                error: 'Debes verificar tu email antes de iniciar sesión',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        // Segundo paso: código TOTP o configuración obligatoria de 2FA
+        if (user.totp_activo) {
+            return res.json({
+                message: 'Introduce el código de verificación en dos pasos',
+                requiresTwoFactor: true,
+                challengeToken: signChallengeToken(user, '2fa_login')
+            });
+        }
+
+        if (isTwoFactorRequired(user.tipo_usuario)) {
+            return res.json({
+                message: 'Tu rol requiere configurar la verificación en dos pasos',
+                requiresTwoFactorSetup: true,
+                challengeToken: signChallengeToken(user, '2fa_setup')
+            });
+        }
+
+        res.json(await completeLogin(user, req));
+
+    } catch (error) {
+        console.error('Error en login:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Segundo paso del login con verificación en dos pasos
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = verifyChallengeToken(challengeToken, '2fa_login');
+        if (!challenge) {
+            return res.status(401).json({
+                error: 'Reto de verificación inválido o expirado. Inicia sesión de nuevo.'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                error: 'Código de verificación o de recuperación requerido'
+            });
+        }
+
+        const user = await findByField('usuarios', 'id_usuario', challenge.userId);
+        if (!user || !user.esta_activo || !user.totp_activo) {
             return res.status(401).json({
                 error: 'Credenciales inválidas'
             });
         }
 
-        // Actualizar último login
-        await update('usuarios', user.id_usuario, { ultimo_inicio_sesion: new Date() });
+        const attempt = await checkLoginAllowed(user.correo_electronico);
+        if (!attempt.allowed) {
+            res.set('Retry-After', String(attempt.retryAfter));
+            return res.status(429).json({
+                error: 'Demasiados intentos fallidos, intenta de nuevo más tarde',
+                code: attempt.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+                retryAfter: attempt.retryAfter
+            });
+        }
 
-        const token = jwt.sign(
-            { 
-                userId: user.id_usuario, 
-                email: user.correo_electronico,
-                userType: user.tipo_usuario
-            },
-            process.env.JWT_SECRET || 'maxwavex_secret_key',
-            { expiresIn: '24h' }
-        );
+        const verification = await consumeTwoFactorCode(user, { code, recoveryCode });
+        if (!verification.valid) {
+            await recordLoginFailure(user.correo_electronico, user.id_usuario, 'codigo_2fa_incorrecto', req);
+            return res.status(401).json({
+                error: 'Código de verificación incorrecto'
+            });
+        }
 
-        res.json({
-            message: 'Login exitoso',
-            user: {
-                id: user.id_usuario,
-                name: user.nombre,
-                email: user.correo_electronico,
-                userType: user.tipo_usuario
-            },
-            token
-        });
+        const response = await completeLogin(user, req);
+        if (verification.usedRecoveryCode) {
+            response.remainingRecoveryCodes = await countRecoveryCodes(user.id_usuario);
+        }
+
+        res.json(response);
 
     } catch (error) {
-        console.error('Error en login:', error);
+        console.error('Error en login con 2FA:', error);
         res.status(500).json({
             error: 'Error interno del servidor',
             details: error.message
@@ -223,7 +649,7 @@ router.post('/guest', async (req, res) => {
                 username: username.trim(),
                 userType: 'guest'
             },
-            process.env.JWT_SECRET || 'maxwavex_secret_key',
+            getJwtSecret(),
             { expiresIn: '1h' }
         );
 
@@ -248,25 +674,378 @@ router.post('/guest', async (req, res) => {
     }
 });
 
-// Verificar token
-router.get('/verify', authenticateToken, async (req, res) => {
+// Convertir una sesión de invitado en una cuenta registrada conservando sus datos
+router.post('/guest/upgrade', authenticateToken, registerValidation, async (req, res) => {
     try {
-        if (req.user.userType === 'guest') {
-            const guest = await query(
-                'SELECT * FROM sesiones_invitados WHERE id_sesion_invitado = ? AND esta_activo = true AND fecha_expiracion > NOW()',
-                [req.user.guestId]
+        if (req.user.userType !== 'guest' || !req.user.guestId) {
+            return res.status(400).json({
+                error: 'Solo las sesiones de invitado pueden convertirse en cuenta'
+            });
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { name, email, password } = req.body;
+        const guestId = req.user.guestId;
+        const passwordHash = await bcrypt.hash(password, 12);
+
+        const userData = {
+            nombre: name.trim(),
+            correo_electronico: email.toLowerCase(),
+            contrasena: passwordHash,
+            tipo_usuario: toDbRole(ROLES.STUDENT),
+            fecha_creacion: new Date(),
+            esta_activo: true,
+            correo_verificado: false
+        };
+
+        const upgrade = await transaction(async (connection) => {
+            const [guests] = await connection.execute(
+                'SELECT id_sesion_invitado FROM sesiones_invitados WHERE id_sesion_invitado = ? AND esta_activo = true FOR UPDATE',
+                [guestId]
             );
+            if (guests.length === 0) {
+                return { error: 'GUEST_INACTIVE' };
+            }
 
-            if (!guest || guest.length === 0) {
-                return res.status(401).json({
-                    error: 'Sesión de invitado expirada'
-                });
+            const [existing] = await connection.execute(
+                'SELECT id_usuario FROM usuarios WHERE correo_electronico = ? LIMIT 1',
+                [userData.correo_electronico]
+            );
+            if (existing.length > 0) {
+                return { error: 'EMAIL_TAKEN' };
             }
 
-            return res.json({
-                valid: true,
-                user: {
-                    id: guest[0].id_sesion_invitado,
+            const fields = Object.keys(userData);
+            const [userResult] = await connection.execute(
+                `INSERT INTO usuarios (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+                Object.values(userData)
+            );
+            const userId = userResult.insertId;
+
+            // Re-asignar los resultados de juegos del invitado al nuevo usuario
+            const [gamesResult] = await connection.execute(
+                'UPDATE resultados_juegos SET id_usuario = ?, id_sesion_invitado = NULL WHERE id_sesion_invitado = ?',
+                [userId, guestId]
+            );
+
+            // Y también su progreso en los módulos
+            const [progressResult] = await connection.execute(
+                'UPDATE progreso_usuarios SET id_usuario = ?, id_sesion_invitado = NULL WHERE id_sesion_invitado = ?',
+                [userId, guestId]
+            );
+            await connection.execute(
+                'UPDATE progreso_secciones SET id_usuario = ?, id_sesion_invitado = NULL WHERE id_sesion_invitado = ?',
+                [userId, guestId]
+            );
+            await connection.execute(
+                'UPDATE eventos_progreso SET id_usuario = ?, id_sesion_invitado = NULL WHERE id_sesion_invitado = ?',
+                [userId, guestId]
+            );
+
+            await connection.execute(
+                'UPDATE sesiones_invitados SET esta_activo = false WHERE id_sesion_invitado = ?',
+                [guestId]
+            );
+
+            return {
+                userId,
+                migrated: {
+                    gameResults: gamesResult.affectedRows,
+                    moduleProgress: progressResult.affectedRows
+                }
+            };
+        });
+
+        if (upgrade.error === 'GUEST_INACTIVE') {
+            return res.status(401).json({
+                error: 'Sesión de invitado expirada'
+            });
+        }
+
+        if (upgrade.error === 'EMAIL_TAKEN') {
+            return res.status(409).json({
+                error: 'El email ya está registrado'
+            });
+        }
+
+        const user = { ...userData, id_usuario: upgrade.userId };
+
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Error enviando correo de verificación:', mailError);
+        }
+
+        const upgradedUser = {
+            id: upgrade.userId,
+            name: userData.nombre,
+            email: userData.correo_electronico,
+            userType: ROLES.STUDENT,
+            emailVerified: false
+        };
+
+        if (isRestrictedForUnverified('login')) {
+            return res.status(201).json({
+                message: 'Cuenta creada a partir de la sesión de invitado. Verifica tu email para iniciar sesión',
+                user: upgradedUser,
+                migrated: upgrade.migrated,
+                requiresEmailVerification: true
+            });
+        }
+
+        const session = await createUserSession(user, req);
+
+        res.status(201).json({
+            message: 'Cuenta creada a partir de la sesión de invitado',
+            user: upgradedUser,
+            migrated: upgrade.migrated,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        });
+
+    } catch (error) {
+        console.error('Error convirtiendo sesión de invitado:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Solicitar restablecimiento de contraseña
+router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { email } = req.body;
+        const user = await findByField('usuarios', 'correo_electronico', email.toLowerCase());
+
+        // Misma respuesta exista o no la cuenta, para no revelar emails registrados
+        if (user && user.esta_activo) {
+            const resetToken = await issueUserToken(user.id_usuario, TOKEN_PURPOSES.PASSWORD_RESET, RESET_TOKEN_TTL);
+            const resetUrl = `${getFrontendUrl()}/reset-password?token=${resetToken}`;
+
+            await sendMail({
+                to: user.correo_electronico,
+                subject: 'Restablece tu contraseña de MaxWaveX',
+                text: `Hola ${user.nombre},\n\n`
+                    + `Recibimos una solicitud para restablecer tu contraseña. `
+                    + `Abre este enlace (válido durante 1 hora):\n\n${resetUrl}\n\n`
+                    + 'Si no fuiste tú, puedes ignorar este correo.'
+            });
+        }
+
+        res.json({
+            message: 'Si el email está registrado, recibirás instrucciones para restablecer tu contraseña'
+        });
+
+    } catch (error) {
+        console.error('Error solicitando restablecimiento:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Restablecer contraseña con un token de un solo uso
+router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+
+        const resetToken = await consumeUserToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+        if (!resetToken) {
+            return res.status(400).json({
+                error: 'Token inválido o expirado'
+            });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 12);
+        // El enlace llegó al buzón del usuario, así que el email queda verificado
+        await update('usuarios', resetToken.id_usuario, {
+            contrasena: passwordHash,
+            correo_verificado: true,
+            fecha_verificacion_correo: new Date()
+        });
+
+        // Cerrar todas las sesiones abiertas con la contraseña anterior y desbloquear la cuenta
+        await revokeAllUserSessions(resetToken.id_usuario);
+
+        const user = await findByField('usuarios', 'id_usuario', resetToken.id_usuario);
+        if (user) {
+            await clearLoginLock(user.correo_electronico);
+        }
+
+        res.json({
+            message: 'Contraseña restablecida correctamente. Inicia sesión de nuevo.'
+        });
+
+    } catch (error) {
+        console.error('Error restableciendo contraseña:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Verificar email con el token enviado por correo
+router.get('/verify-email/:token', async (req, res) => {
+    try {
+        const verificationToken = await consumeUserToken(req.params.token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+        if (!verificationToken) {
+            return res.status(400).json({
+                error: 'Token de verificación inválido o expirado'
+            });
+        }
+
+        await update('usuarios', verificationToken.id_usuario, {
+            correo_verificado: true,
+            fecha_verificacion_correo: new Date()
+        });
+
+        res.json({
+            message: 'Email verificado correctamente'
+        });
+
+    } catch (error) {
+        console.error('Error verificando email:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Segundos que faltan para poder reenviar el correo de verificación (0 si ya se puede)
+const getVerificationResendWait = async (userId) => {
+    const recent = await query(`
+        SELECT COUNT(*) as sent_today, MAX(fecha_creacion) as last_sent
+        FROM tokens_usuarios
+        WHERE id_usuario = ? AND proposito = ? AND fecha_creacion > DATE_SUB(NOW(), INTERVAL 1 DAY)
+    `, [userId, TOKEN_PURPOSES.EMAIL_VERIFICATION]);
+
+    const { sent_today, last_sent } = recent[0];
+    const elapsed = last_sent ? Date.now() - new Date(last_sent).getTime() : Infinity;
+
+    if (sent_today >= VERIFICATION_MAX_PER_DAY) {
+        return 24 * 3600;
+    }
+    return elapsed < VERIFICATION_RESEND_COOLDOWN
+        ? Math.ceil((VERIFICATION_RESEND_COOLDOWN - elapsed) / 1000)
+        : 0;
+};
+
+// Reenviar el correo de verificación (con límite de frecuencia). Con token se
+// reenvía al usuario de la sesión; sin token, a la cuenta del email indicado
+// (quien no puede iniciar sesión hasta verificar no tiene token).
+router.post('/resend-verification', optionalAuthenticateToken, resendVerificationValidation, async (req, res) => {
+    try {
+        if (!req.user) {
+            const errors = validationResult(req);
+            if (!errors.isEmpty() || !req.body.email) {
+                return res.status(400).json({
+                    error: 'Datos inválidos',
+                    details: errors.array()
+                });
+            }
+
+            // Misma respuesta exista o no la cuenta, para no revelar emails registrados
+            const user = await findByField('usuarios', 'correo_electronico', req.body.email.toLowerCase());
+            if (user && user.esta_activo && !user.correo_verificado
+                && await getVerificationResendWait(user.id_usuario) === 0) {
+                await sendVerificationEmail(user);
+            }
+
+            return res.json({
+                message: 'Si el email está registrado y pendiente de verificar, recibirás un nuevo correo de verificación'
+            });
+        }
+
+        if (req.user.userType === 'guest') {
+            return res.status(400).json({
+                error: 'Los invitados no tienen email que verificar'
+            });
+        }
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        if (user.correo_verificado) {
+            return res.status(400).json({
+                error: 'El email ya está verificado'
+            });
+        }
+
+        const retryAfter = await getVerificationResendWait(user.id_usuario);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: 'Has solicitado demasiados correos de verificación, intenta de nuevo más tarde',
+                retryAfter
+            });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({
+            message: 'Correo de verificación enviado'
+        });
+
+    } catch (error) {
+        console.error('Error reenviando verificación:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Verificar token
+router.get('/verify', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.userType === 'guest') {
+            const guest = await query(
+                'SELECT * FROM sesiones_invitados WHERE id_sesion_invitado = ? AND esta_activo = true AND fecha_expiracion > NOW()',
+                [req.user.guestId]
+            );
+
+            if (!guest || guest.length === 0) {
+                return res.status(401).json({
+                    error: 'Sesión de invitado expirada'
+                });
+            }
+
+            return res.json({
+                valid: true,
+                user: {
+                    id: guest[0].id_sesion_invitado,
                     sessionId: guest[0].identificador_sesion,
                     username: guest[0].nombre_usuario,
                     userType: 'guest'
@@ -287,7 +1066,8 @@ router.get('/verify', authenticateToken, async (req, res) => {
                     id: user.id_usuario,
                     name: user.nombre,
                     email: user.correo_electronico,
-                    userType: user.tipo_usuario
+                    userType: fromDbRole(user.tipo_usuario),
+                    emailVerified: !!user.correo_verificado
                 }
             });
         }
@@ -306,6 +1086,8 @@ router.post('/logout', authenticateToken, async (req, res) => {
     try {
         if (req.user.userType === 'guest' && req.user.guestId) {
             await update('sesiones_invitados', req.user.guestId, { esta_activo: false });
+        } else if (req.user.sessionId) {
+            await revokeSession(req.user.sessionId);
         }
 
         res.json({
@@ -321,6 +1103,74 @@ router.post('/logout', authenticateToken, async (req, res) => {
     }
 });
 
+// Cerrar sesión en todos los dispositivos
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.userType === 'guest') {
+            return res.status(400).json({
+                error: 'Los invitados no tienen sesiones en otros dispositivos'
+            });
+        }
+
+        const revokedSessions = await revokeAllUserSessions(req.user.userId);
+
+        res.json({
+            message: 'Se cerró la sesión en todos los dispositivos',
+            revokedSessions
+        });
+
+    } catch (error) {
+        console.error('Error cerrando todas las sesiones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Renovar el token de acceso con un token de refresco (rotativo)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: 'Token de refresco requerido'
+            });
+        }
+
+        const session = await rotateRefreshToken(refreshToken, req);
+        if (!session) {
+            return res.status(401).json({
+                error: 'Token de refresco inválido o expirado'
+            });
+        }
+
+        // Las sesiones abiertas antes de exigir la verificación tampoco se renuevan
+        if (!session.emailVerified && isRestrictedForUnverified('login')) {
+            await revokeSession(session.sessionId);
+            return res.status(403).json({
+                error: 'Debes verificar tu email antes de iniciar sesión',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        res.json({
+            message: 'Token renovado',
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        });
+
+    } catch (error) {
+        console.error('Error renovando token:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
 // Obtener perfil del usuario
 router.get('/profile', authenticateToken, async (req, res) => {
     try {
@@ -356,7 +1206,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
                 id: user.id_usuario,
                 name: user.nombre,
                 email: user.correo_electronico,
-                userType: user.tipo_usuario,
+                userType: fromDbRole(user.tipo_usuario),
+                emailVerified: !!user.correo_verificado,
+                preferences: user.preferencias || {},
+                twoFactorEnabled: !!user.totp_activo,
                 createdAt: user.fecha_creacion,
                 lastLogin: user.ultimo_inicio_sesion
             });
@@ -371,4 +1224,713 @@ router.get('/profile', authenticateToken, async (req, res) => {
     }
 });
 
+// Actualizar perfil (nombre y preferencias)
+router.patch('/profile', authenticateToken, requireAccount, updateProfileValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { name, preferences } = req.body;
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.esta_activo) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        const changes = {};
+        if (name !== undefined) {
+            changes.nombre = name.trim();
+        }
+
+        if (preferences !== undefined) {
+            // Las claves con valor null se eliminan; el resto se combina con lo existente
+            const merged = { ...(user.preferencias || {}), ...preferences };
+            Object.keys(merged).forEach(key => merged[key] === null && delete merged[key]);
+
+            const serialized = JSON.stringify(merged);
+            if (serialized.length > MAX_PREFERENCES_SIZE) {
+                return res.status(400).json({
+                    error: `Las preferencias no pueden superar ${MAX_PREFERENCES_SIZE} bytes`
+                });
+            }
+            changes.preferencias = serialized;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({
+                error: 'No hay cambios que guardar'
+            });
+        }
+
+        await update('usuarios', user.id_usuario, changes);
+        const updatedUser = await findByField('usuarios', 'id_usuario', user.id_usuario);
+
+        res.json({
+            message: 'Perfil actualizado correctamente',
+            user: {
+                id: updatedUser.id_usuario,
+                name: updatedUser.nombre,
+                email: updatedUser.correo_electronico,
+                userType: fromDbRole(updatedUser.tipo_usuario),
+                emailVerified: !!updatedUser.correo_verificado,
+                preferences: updatedUser.preferencias || {}
+            }
+        });
+
+    } catch (error) {
+        console.error('Error actualizando perfil:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Cambiar contraseña (requiere la contraseña actual)
+router.post('/change-password', authenticateToken, requireAccount, changePasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.esta_activo) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        const passwordMatch = await bcrypt.compare(currentPassword, user.contrasena);
+        if (!passwordMatch) {
+            return res.status(401).json({
+                error: 'La contraseña actual no es correcta'
+            });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 12);
+        await update('usuarios', user.id_usuario, { contrasena: passwordHash });
+
+        // Mantener la sesión actual y cerrar el resto de dispositivos
+        const revokedSessions = await revokeAllUserSessions(user.id_usuario, req.user.sessionId);
+
+        res.json({
+            message: 'Contraseña actualizada correctamente',
+            revokedSessions
+        });
+
+    } catch (error) {
+        console.error('Error cambiando contraseña:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Solicitar cambio de email: se confirma desde un enlace enviado a la dirección nueva
+router.post('/change-email', authenticateToken, requireAccount, changeEmailValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const newEmail = req.body.newEmail.toLowerCase();
+        const { password } = req.body;
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.esta_activo) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        const passwordMatch = await bcrypt.compare(password, user.contrasena);
+        if (!passwordMatch) {
+            return res.status(401).json({
+                error: 'La contraseña no es correcta'
+            });
+        }
+
+        if (newEmail === user.correo_electronico) {
+            return res.status(400).json({
+                error: 'El nuevo email es igual al actual'
+            });
+        }
+
+        const existingUser = await findByField('usuarios', 'correo_electronico', newEmail);
+        if (existingUser) {
+            return res.status(409).json({
+                error: 'El email ya está registrado'
+            });
+        }
+
+        const changeToken = await issueUserToken(
+            user.id_usuario,
+            TOKEN_PURPOSES.EMAIL_CHANGE,
+            EMAIL_CHANGE_TOKEN_TTL,
+            { newEmail }
+        );
+        const confirmUrl = `${getFrontendUrl()}/confirm-email-change?token=${changeToken}`;
+
+        await sendMail({
+            to: newEmail,
+            subject: 'Confirma tu nuevo email en MaxWaveX',
+            text: `Hola ${user.nombre},\n\n`
+                + 'Abre este enlace para confirmar tu nueva dirección de email (válido durante 24 horas):'
+                + `\n\n${confirmUrl}\n\n`
+                + 'Si no solicitaste este cambio, puedes ignorar este correo.'
+        });
+
+        res.json({
+            message: 'Te enviamos un enlace de confirmación a la nueva dirección de email'
+        });
+
+    } catch (error) {
+        console.error('Error solicitando cambio de email:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Confirmar cambio de email
+router.get('/confirm-email-change/:token', async (req, res) => {
+    try {
+        const changeToken = await consumeUserToken(req.params.token, TOKEN_PURPOSES.EMAIL_CHANGE);
+        if (!changeToken || !changeToken.datos || !changeToken.datos.newEmail) {
+            return res.status(400).json({
+                error: 'Token inválido o expirado'
+            });
+        }
+
+        const { newEmail } = changeToken.datos;
+
+        const existingUser = await findByField('usuarios', 'correo_electronico', newEmail);
+        if (existingUser) {
+            return res.status(409).json({
+                error: 'El email ya está registrado'
+            });
+        }
+
+        const user = await findByField('usuarios', 'id_usuario', changeToken.id_usuario);
+        if (!user || !user.esta_activo) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        await update('usuarios', user.id_usuario, {
+            correo_electronico: newEmail,
+            correo_verificado: true,
+            fecha_verificacion_correo: new Date()
+        });
+
+        // Avisar a la dirección anterior por si el cambio no fue legítimo
+        try {
+            await sendMail({
+                to: user.correo_electronico,
+                subject: 'Tu email de MaxWaveX ha cambiado',
+                text: `Hola ${user.nombre},\n\n`
+                    + `El email de tu cuenta se cambió a ${newEmail}. `
+                    + 'Si no fuiste tú, contacta con soporte de inmediato.'
+            });
+        } catch (mailError) {
+            console.error('Error avisando del cambio de email:', mailError);
+        }
+
+        res.json({
+            message: 'Email actualizado correctamente',
+            email: newEmail
+        });
+
+    } catch (error) {
+        console.error('Error confirmando cambio de email:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Confirmar la identidad antes de una acción sensible: con la contraseña, con
+// un código 2FA (o de recuperación) o con el reauthToken de un proveedor OIDC
+// vinculado (POST /api/auth/oidc/:provider/reauth). Las cuentas creadas con
+// OIDC no tienen una contraseña que el usuario conozca.
+const confirmAccountOwner = async (user, { password, code, recoveryCode, reauthToken }) => {
+    if (reauthToken) {
+        const reauth = verifyChallengeToken(reauthToken, 'account_reauth');
+        return Boolean(reauth) && reauth.userId === user.id_usuario;
+    }
+
+    if ((code || recoveryCode) && user.totp_activo) {
+        const verification = await consumeTwoFactorCode(user, { code, recoveryCode });
+        return verification.valid;
+    }
+
+    return Boolean(password) && await bcrypt.compare(password, user.contrasena);
+};
+
+// Eliminar la cuenta: "deactivate" la desactiva; "anonymize" (por defecto) borra
+// los datos personales, el progreso y desvincula los resultados de juegos
+router.delete('/account', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const { mode = 'anonymize' } = req.body;
+
+        if (!['deactivate', 'anonymize'].includes(mode)) {
+            return res.status(400).json({
+                error: 'Modo inválido',
+                validModes: ['deactivate', 'anonymize']
+            });
+        }
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.esta_activo) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        if (!(await confirmAccountOwner(user, req.body))) {
+            return res.status(401).json({
+                error: 'No se pudo confirmar tu identidad',
+                code: 'REAUTHENTICATION_REQUIRED'
+            });
+        }
+
+        const userId = user.id_usuario;
+
+        if (mode === 'deactivate') {
+            await update('usuarios', userId, { esta_activo: false });
+        } else {
+            const unusablePassword = await bcrypt.hash(uuidv4(), 12);
+
+            const exportFiles = await transaction(async (connection) => {
+                await connection.execute(`
+                    UPDATE usuarios
+                    SET nombre = 'Usuario eliminado',
+                        correo_electronico = ?,
+                        contrasena = ?,
+                        preferencias = NULL,
+                        esta_activo = false,
+                        correo_verificado = false,
+                        totp_secreto = NULL,
+                        totp_activo = false,
+                        totp_ultimo_contador = NULL,
+                        fecha_eliminacion = NOW()
+                    WHERE id_usuario = ?
+                `, [`eliminado-${userId}@maxwavex.invalid`, unusablePassword, userId]);
+
+                await connection.execute('DELETE FROM progreso_usuarios WHERE id_usuario = ?', [userId]);
+                await connection.execute('DELETE FROM progreso_secciones WHERE id_usuario = ?', [userId]);
+                await connection.execute('DELETE FROM eventos_progreso WHERE id_usuario = ?', [userId]);
+                await connection.execute('DELETE FROM intentos_cuestionarios WHERE id_usuario = ?', [userId]);
+                await connection.execute('DELETE FROM variantes_problemas WHERE id_usuario = ?', [userId]);
+                // Los escenarios iniciales publicados se conservan como contenido del módulo
+                await connection.execute('DELETE FROM escenarios_simulacion WHERE id_usuario = ? AND es_inicial = false', [userId]);
+                await connection.execute(
+                    'UPDATE resultados_juegos SET id_usuario = NULL, metadatos = NULL WHERE id_usuario = ?',
+                    [userId]
+                );
+                await connection.execute('DELETE FROM tokens_usuarios WHERE id_usuario = ?', [userId]);
+                await connection.execute('DELETE FROM sesiones_usuarios WHERE id_usuario = ?', [userId]);
+                await connection.execute('DELETE FROM codigos_recuperacion WHERE id_usuario = ?', [userId]);
+                await connection.execute('DELETE FROM identidades_externas WHERE id_usuario = ?', [userId]);
+                await connection.execute(
+                    'DELETE FROM intentos_inicio_sesion WHERE id_usuario = ? OR correo_electronico = ?',
+                    [userId, user.correo_electronico]
+                );
+                return deleteUserExports(connection, userId);
+            });
+            await removeExportFiles(exportFiles);
+        }
+
+        await revokeAllUserSessions(userId);
+
+        res.json({
+            message: mode === 'deactivate'
+                ? 'Cuenta desactivada correctamente'
+                : 'Cuenta eliminada y datos personales anonimizados'
+        });
+
+    } catch (error) {
+        console.error('Error eliminando cuenta:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Estado de la verificación en dos pasos
+router.get('/2fa/status', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        res.json({
+            enabled: !!user.totp_activo,
+            required: isTwoFactorRequired(user.tipo_usuario),
+            enabledAt: user.fecha_activacion_totp,
+            remainingRecoveryCodes: user.totp_activo ? await countRecoveryCodes(user.id_usuario) : 0
+        });
+
+    } catch (error) {
+        console.error('Error consultando 2FA:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Iniciar la configuración de 2FA: genera el secreto y la URI otpauth para el QR
+router.post('/2fa/setup', authenticateTwoFactorSetup, requireAccount, async (req, res) => {
+    try {
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.esta_activo) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        if (user.totp_activo) {
+            return res.status(400).json({
+                error: 'La verificación en dos pasos ya está activada'
+            });
+        }
+
+        const secret = generateSecret();
+        await update('usuarios', user.id_usuario, {
+            totp_secreto: encryptSecret(secret),
+            totp_ultimo_contador: null
+        });
+
+        const otpauthUri = buildOtpauthUri(secret, user.correo_electronico);
+
+        res.json({
+            message: 'Escanea el código QR con tu app de autenticación y confirma con un código',
+            secret,
+            otpauthUri,
+            qrPayload: otpauthUri
+        });
+
+    } catch (error) {
+        console.error('Error configurando 2FA:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Confirmar la configuración de 2FA con un primer código válido
+router.post('/2fa/confirm', authenticateTwoFactorSetup, requireAccount, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.esta_activo) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        if (user.totp_activo) {
+            return res.status(400).json({
+                error: 'La verificación en dos pasos ya está activada'
+            });
+        }
+
+        if (!user.totp_secreto) {
+            return res.status(400).json({
+                error: 'Primero inicia la configuración en /2fa/setup'
+            });
+        }
+
+        const counter = verifyTotp(decryptSecret(user.totp_secreto), code);
+        if (counter === null) {
+            return res.status(400).json({
+                error: 'Código de verificación incorrecto'
+            });
+        }
+
+        await update('usuarios', user.id_usuario, {
+            totp_activo: true,
+            totp_ultimo_contador: counter,
+            fecha_activacion_totp: new Date()
+        });
+
+        const recoveryCodes = await replaceRecoveryCodes(user.id_usuario);
+        const response = {
+            message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro.',
+            recoveryCodes
+        };
+
+        // Si se configuró durante un login obligatorio, se completa el inicio de sesión
+        if (req.user.setupChallenge) {
+            const login = await completeLogin(user, req);
+            Object.assign(response, {
+                user: login.user,
+                token: login.token,
+                refreshToken: login.refreshToken,
+                expiresIn: login.expiresIn
+            });
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Error confirmando 2FA:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Regenerar los códigos de recuperación (invalida los anteriores)
+router.post('/2fa/recovery-codes', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.totp_activo) {
+            return res.status(400).json({
+                error: 'La verificación en dos pasos no está activada'
+            });
+        }
+
+        const verification = await consumeTwoFactorCode(user, { code: req.body.code });
+        if (!verification.valid) {
+            return res.status(401).json({
+                error: 'Código de verificación incorrecto'
+            });
+        }
+
+        res.json({
+            message: 'Códigos de recuperación regenerados',
+            recoveryCodes: await replaceRecoveryCodes(user.id_usuario)
+        });
+
+    } catch (error) {
+        console.error('Error regenerando códigos de recuperación:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Desactivar 2FA (requiere contraseña y código)
+router.post('/2fa/disable', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user || !user.totp_activo) {
+            return res.status(400).json({
+                error: 'La verificación en dos pasos no está activada'
+            });
+        }
+
+        if (isTwoFactorRequired(user.tipo_usuario)) {
+            return res.status(403).json({
+                error: 'La verificación en dos pasos es obligatoria para tu rol'
+            });
+        }
+
+        const passwordMatch = password && await bcrypt.compare(password, user.contrasena);
+        if (!passwordMatch) {
+            return res.status(401).json({
+                error: 'La contraseña no es correcta'
+            });
+        }
+
+        const verification = await consumeTwoFactorCode(user, { code, recoveryCode });
+        if (!verification.valid) {
+            return res.status(401).json({
+                error: 'Código de verificación incorrecto'
+            });
+        }
+
+        await update('usuarios', user.id_usuario, {
+            totp_secreto: null,
+            totp_activo: false,
+            totp_ultimo_contador: null,
+            fecha_activacion_totp: null
+        });
+        await query('DELETE FROM codigos_recuperacion WHERE id_usuario = ?', [user.id_usuario]);
+
+        res.json({
+            message: 'Verificación en dos pasos desactivada'
+        });
+
+    } catch (error) {
+        console.error('Error desactivando 2FA:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+export const getApiBaseUrl = (req) => (process.env.API_URL || `${req.protocol}://${req.get('host')}`)
+    .replace(/\/+$/, '');
+
+// Exportar todos los datos personales del usuario (JSON o ZIP con CSVs).
+// Las exportaciones grandes (o con ?async=true) se generan en segundo plano.
+router.get('/me/export', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'zip'].includes(format)) {
+            return res.status(400).json({
+                error: 'Formato inválido',
+                validFormats: ['json', 'zip']
+            });
+        }
+
+        const user = await findByField('usuarios', 'id_usuario', req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        const totalRows = await countExportRows(user);
+        if (req.query.async === 'true' || totalRows > EXPORT_SYNC_MAX_ROWS) {
+            const exportId = await startExportJob(user, format);
+
+            return res.status(202).json({
+                message: 'La exportación se está generando. Te enviaremos el enlace de descarga por email.',
+                exportId,
+                status: 'pendiente',
+                statusUrl: `/api/auth/me/export/${exportId}`
+            });
+        }
+
+        const data = await collectUserData(user);
+        const filename = `maxwavex-export-${user.id_usuario}`;
+
+        if (format === 'zip') {
+            res.attachment(`${filename}.zip`);
+            return await writeExportArchive(data, res);
+        }
+
+        res.attachment(`${filename}.json`);
+        res.json(data);
+
+    } catch (error) {
+        console.error('Error exportando datos:', error);
+        // El ZIP ya se estaba enviando: solo se puede cortar la respuesta
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Estado de una exportación asíncrona
+router.get('/me/export/:exportId', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const jobs = await query(
+            'SELECT * FROM exportaciones_datos WHERE identificador_exportacion = ? AND id_usuario = ?',
+            [req.params.exportId, req.user.userId]
+        );
+
+        if (jobs.length === 0) {
+            return res.status(404).json({
+                error: 'Exportación no encontrada'
+            });
+        }
+
+        const job = jobs[0];
+        const isAvailable = job.estado === 'completada'
+            && job.ruta_archivo
+            && new Date(job.fecha_expiracion) > new Date();
+
+        res.json({
+            exportId: job.identificador_exportacion,
+            format: job.formato,
+            status: job.estado,
+            createdAt: job.fecha_creacion,
+            completedAt: job.fecha_completada,
+            expiresAt: job.fecha_expiracion,
+            error: job.mensaje_error,
+            emailSent: !!job.correo_enviado,
+            emailError: job.error_correo,
+            downloadUrl: isAvailable
+                ? buildDownloadUrl(job.identificador_exportacion, job.id_usuario)
+                : null
+        });
+
+    } catch (error) {
+        console.error('Error consultando exportación:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Descargar una exportación con el enlace firmado
+router.get('/me/export/:exportId/download', async (req, res) => {
+    try {
+        const { exportId } = req.params;
+        const decoded = verifyDownloadToken(req.query.token, exportId);
+        if (!decoded) {
+            return res.status(403).json({
+                error: 'Enlace de descarga inválido o expirado'
+            });
+        }
+
+        // Las cuentas desactivadas o eliminadas ya no pueden descargar sus datos
+        const jobs = await query(`
+            SELECT e.* FROM exportaciones_datos e
+            JOIN usuarios u ON e.id_usuario = u.id_usuario
+            WHERE e.identificador_exportacion = ? AND e.id_usuario = ?
+              AND e.estado = 'completada' AND e.fecha_expiracion > NOW()
+              AND u.esta_activo = true
+        `, [exportId, decoded.userId]);
+
+        if (jobs.length === 0 || !jobs[0].ruta_archivo || !existsSync(jobs[0].ruta_archivo)) {
+            return res.status(404).json({
+                error: 'Exportación no disponible'
+            });
+        }
+
+        const job = jobs[0];
+        res.download(job.ruta_archivo, `maxwavex-export-${job.id_usuario}.${job.formato}`);
+
+    } catch (error) {
+        console.error('Error descargando exportación:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
 export default router;
\ No newline at end of file
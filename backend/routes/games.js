@@ -1,47 +1,30 @@
 import express from 'express';
-import { query, insert } from '../config/database.js';
-import { authenticateToken } from './auth.js';
+import { query } from '../config/database.js';
+import { authenticateToken, requireVerifiedEmail } from './auth.js';
+import { isRestrictedForUnverified } from '../config/verification.js';
+import { parseGameResult, saveGameResult } from '../utils/gameResults.js';
+import { getProgressOwner } from '../utils/progressOwner.js';
 
 const router = express.Router();
 
 // Guardar resultado de juego
-router.post('/result', authenticateToken, async (req, res) => {
+router.post('/result', authenticateToken, requireVerifiedEmail('games'), async (req, res) => {
     try {
-        const { gameType, score, levelReached, timePlayed, metadata } = req.body;
-
-        // Validaciones
-        if (!gameType || score === undefined || !levelReached || !timePlayed) {
-            return res.status(400).json({
-                error: 'Datos incompletos',
-                required: ['gameType', 'score', 'levelReached', 'timePlayed']
-            });
-        }
-
-        if (score < 0 || levelReached < 1 || timePlayed < 0) {
+        const { result: gameResult, error, details } = parseGameResult(req.body);
+        if (error) {
             return res.status(400).json({
-                error: 'Valores inválidos',
-                message: 'Score, level y time deben ser valores positivos'
+                error,
+                ...details
             });
         }
 
-        const gameResult = {
-            id_usuario: req.user.userType === 'guest' ? null : req.user.userId,
-            id_sesion_invitado: req.user.userType === 'guest' ? req.user.guestId : null,
-            tipo_juego: gameType,
-            puntuacion: score,
-            nivel_alcanzado: levelReached,
-            tiempo_jugado: timePlayed,
-            metadatos: metadata ? JSON.stringify(metadata) : null,
-            fecha_juego: new Date()
-        };
-
-        const result = await insert('resultados_juegos', gameResult);
+        const result = await saveGameResult(getProgressOwner(req.user), gameResult);
 
         res.status(201).json({
             message: 'Resultado guardado correctamente',
-            resultId: result.insertId,
-            score: score,
-            levelReached: levelReached
+            resultId: result.resultId,
+            score: gameResult.score,
+            levelReached: gameResult.levelReached
         });
 
     } catch (error) {
@@ -58,6 +41,11 @@ router.get('/leaderboard/:gameType', async (req, res) => {
         const { gameType } = req.params;
         const limit = Math.min(parseInt(req.query.limit) || 10, 100);
 
+        // Excluir usuarios sin email verificado si la política lo indica
+        const verifiedCondition = isRestrictedForUnverified('leaderboard')
+            ? 'AND (u.id_usuario IS NULL OR u.correo_verificado = true)'
+            : '';
+
         const leaderboard = await query(`
             SELECT 
                 rj.puntuacion as score,
@@ -73,7 +61,7 @@ router.get('/leaderboard/:gameType', async (req, res) => {
             FROM resultados_juegos rj
             LEFT JOIN usuarios u ON rj.id_usuario = u.id_usuario
             LEFT JOIN sesiones_invitados si ON rj.id_sesion_invitado = si.id_sesion_invitado
-            WHERE rj.tipo_juego = ?
+            WHERE rj.tipo_juego = ? ${verifiedCondition}
             ORDER BY rj.puntuacion DESC, rj.nivel_alcanzado DESC, rj.tiempo_jugado ASC
             LIMIT ?
         `, [gameType, limit]);
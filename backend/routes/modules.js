@@ -1,29 +1,532 @@
 import express from 'express';
-import { query, findById } from '../config/database.js';
-import { authenticateToken } from './auth.js';
+import { body, validationResult } from 'express-validator';
+import { query, insert, findById, update, transaction } from '../config/database.js';
+import { authenticateToken, optionalAuthenticateToken, authorize } from './auth.js';
+import {
+    REVISION_FIELDS,
+    formatRevision,
+    createRevision,
+    publishRevision,
+    diffRevisions
+} from '../utils/moduleRevisions.js';
+import {
+    findCycle,
+    loadPrerequisiteEdges,
+    getUnlockStatus,
+    getModuleLockStatus
+} from '../utils/prerequisites.js';
+import { PERMISSIONS, hasPermission } from '../config/roles.js';
+import {
+    CONTENT_TYPES,
+    DIFFICULTY_LEVELS,
+    SECTION_TYPES,
+    normalizeContentType,
+    normalizeDifficulty,
+    normalizeSectionType
+} from '../config/modules.js';
+import {
+    formatSection,
+    loadSections,
+    getSectionProgress,
+    recalculateModuleProgress
+} from '../utils/sections.js';
+import { DEFAULT_LOCALE, TRANSLATION_LOCALES, normalizeLocale, negotiateLocale } from '../config/locales.js';
+import {
+    loadTranslations,
+    translateModule,
+    formatTranslation,
+    findMissingTranslations
+} from '../utils/translations.js';
+import {
+    SORT_OPTIONS,
+    CATALOG_DEFAULT_LIMIT,
+    CATALOG_MAX_LIMIT,
+    parseSort,
+    decodeCursor,
+    queryCatalog,
+    loadModuleTags,
+    normalizeTag
+} from '../utils/catalog.js';
+import { tokenizeQuery, buildBooleanQuery, buildSnippet, SEARCH_MIN_TERM_LENGTH } from '../utils/search.js';
+import { getProgressOwner } from '../utils/progressOwner.js';
 
 const router = express.Router();
 
-// Obtener todos los módulos (público)
-router.get('/', async (req, res) => {
+// Mapear nombres de columnas al formato esperado por el frontend
+const formatModule = (module) => ({
+    id: module.id_modulo,
+    title: module.titulo,
+    description: module.descripcion,
+    content: module.contenido,
+    content_type: module.tipo_contenido,
+    difficulty_level: module.nivel_dificultad,
+    order_index: module.indice_orden,
+    is_active: module.esta_activo,
+    published_revision_id: module.id_revision_publicada,
+    created_at: module.fecha_creacion
+});
+
+// Validaciones para crear/editar módulos (en la edición todos los campos son opcionales)
+const moduleValidation = (isUpdate = false) => {
+    const field = (name) => isUpdate ? body(name).optional() : body(name);
+
+    return [
+        field('title')
+            .isString()
+            .trim()
+            .isLength({ min: 3, max: 200 })
+            .withMessage('El título debe tener entre 3 y 200 caracteres'),
+        body('description')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 2000 })
+            .withMessage('La descripción no puede superar 2000 caracteres'),
+        body('content')
+            .optional({ values: 'null' })
+            .isString()
+            .withMessage('El contenido debe ser texto'),
+        field('content_type')
+            .customSanitizer(normalizeContentType)
+            .notEmpty()
+            .withMessage(`Tipo de contenido inválido (${CONTENT_TYPES.join(', ')})`),
+        field('difficulty_level')
+            .customSanitizer(normalizeDifficulty)
+            .notEmpty()
+            .withMessage(`Nivel de dificultad inválido (${DIFFICULTY_LEVELS.join(', ')})`),
+        body('order_index')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('El índice de orden debe ser un entero positivo')
+            .toInt(),
+        body('publish')
+            .optional()
+            .isBoolean()
+            .withMessage('publish debe ser booleano')
+            .toBoolean(),
+        body('change_note')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('La nota de cambios no puede superar 500 caracteres')
+    ];
+};
+
+const reorderValidation = [
+    body('modules')
+        .isArray({ min: 1 })
+        .withMessage('Se requiere la lista de módulos a reordenar'),
+    body('modules.*.id')
+        .isInt({ min: 1 })
+        .withMessage('ID de módulo inválido')
+        .toInt(),
+    body('modules.*.order_index')
+        .isInt({ min: 0 })
+        .withMessage('El índice de orden debe ser un entero positivo')
+        .toInt()
+];
+
+const prerequisitesValidation = [
+    body('prerequisites')
+        .isArray()
+        .withMessage('Se requiere la lista de prerrequisitos'),
+    body('prerequisites.*.module_id')
+        .isInt({ min: 1 })
+        .withMessage('ID de módulo inválido')
+        .toInt(),
+    body('prerequisites.*.min_score')
+        .optional({ values: 'null' })
+        .isInt({ min: 0 })
+        .withMessage('La puntuación mínima debe ser un entero positivo')
+        .toInt()
+];
+
+// Validaciones para crear/editar secciones (en la edición todos los campos son opcionales)
+const sectionValidation = (isUpdate = false) => {
+    const field = (name) => isUpdate ? body(name).optional() : body(name);
+
+    return [
+        field('type')
+            .customSanitizer(normalizeSectionType)
+            .notEmpty()
+            .withMessage(`Tipo de sección inválido (${SECTION_TYPES.join(', ')})`),
+        field('title')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('El título debe tener entre 1 y 200 caracteres'),
+        body('content')
+            .optional({ values: 'null' })
+            .isString()
+            .withMessage('El contenido debe ser texto'),
+        body('config')
+            .optional({ values: 'null' })
+            .isObject()
+            .withMessage('La configuración debe ser un objeto'),
+        body('order_index')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('El índice de orden debe ser un entero positivo')
+            .toInt(),
+        body('is_required')
+            .optional()
+            .isBoolean()
+            .withMessage('is_required debe ser booleano')
+            .toBoolean()
+    ];
+};
+
+const sectionReorderValidation = [
+    body('sections')
+        .isArray({ min: 1 })
+        .withMessage('Se requiere la lista de secciones a reordenar'),
+    body('sections.*.id')
+        .isInt({ min: 1 })
+        .withMessage('ID de sección inválido')
+        .toInt(),
+    body('sections.*.order_index')
+        .isInt({ min: 0 })
+        .withMessage('El índice de orden debe ser un entero positivo')
+        .toInt()
+];
+
+// Convertir el cuerpo de la petición en columnas de la tabla secciones_modulos
+const toSectionColumns = (data) => {
+    const columns = {};
+    if (data.type !== undefined) columns.tipo_seccion = data.type;
+    if (data.title !== undefined) columns.titulo = data.title.trim();
+    if (data.content !== undefined) columns.contenido = data.content;
+    if (data.config !== undefined) columns.configuracion = data.config === null ? null : JSON.stringify(data.config);
+    if (data.order_index !== undefined) columns.indice_orden = data.order_index;
+    if (data.is_required !== undefined) columns.es_obligatoria = data.is_required;
+    return columns;
+};
+
+const tagsValidation = [
+    body('tags')
+        .isArray({ max: 20 })
+        .withMessage('Se requiere la lista de etiquetas (máximo 20)'),
+    body('tags.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Cada etiqueta debe tener entre 1 y 50 caracteres')
+];
+
+const translationValidation = [
+    body('title')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('El título debe tener entre 3 y 200 caracteres'),
+    body('description')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('La descripción no puede superar 2000 caracteres'),
+    body('content')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('El contenido debe ser texto')
+];
+
+// Editar un módulo requiere MODULES_MANAGE; cambiar su posición en el catálogo
+// (order_index) requiere además MODULES_ADMIN, igual que PUT /reorder. Publicar
+// con publish: true basta con MODULES_MANAGE, como en /:id/revisions/:version/publish.
+export const authorizeModuleUpdate = (req, res, next) => authorize(
+    PERMISSIONS.MODULES_MANAGE,
+    ...(req.body && req.body.order_index !== undefined ? [PERMISSIONS.MODULES_ADMIN] : [])
+)(req, res, next);
+
+// Si quien llama puede abrir un módulo bloqueado por prerrequisitos (solo quien
+// gestiona contenidos). Los visitantes anónimos ven la ficha pública del
+// módulo sin el contenido; a los usuarios se les responde 403 con lo que falta.
+const canOpenModule = (req, locked) => !locked
+    || (!!req.user && hasPermission(req.user.userType, PERMISSIONS.MODULES_MANAGE));
+
+// Idioma de la respuesta según ?lang= o Accept-Language
+const resolveLocale = (req, res) => {
+    const locale = negotiateLocale(req);
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+    return locale;
+};
+
+// Convertir el cuerpo de la petición en columnas de la tabla modulos
+const toModuleColumns = (data) => {
+    const columns = {};
+    if (data.title !== undefined) columns.titulo = data.title.trim();
+    if (data.description !== undefined) columns.descripcion = data.description;
+    if (data.content !== undefined) columns.contenido = data.content;
+    if (data.content_type !== undefined) columns.tipo_contenido = data.content_type;
+    if (data.difficulty_level !== undefined) columns.nivel_dificultad = data.difficulty_level;
+    if (data.order_index !== undefined) columns.indice_orden = data.order_index;
+    return columns;
+};
+
+// Lista de valores separados por comas (?content_type=teoria,ecuaciones)
+const parseListParam = (value) => (typeof value === 'string' ? value.split(',') : [])
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Catálogo de módulos (público). Filtros combinables: content_type,
+// difficulty_level y tag (listas separadas por comas) y orden con sort.
+// Sin limit ni cursor se devuelve el array completo como hasta ahora;
+// con ellos, una página { data, meta } con el cursor de la siguiente.
+// Con token se indica además qué módulos tiene bloqueados el usuario.
+router.get('/', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const contentTypes = parseListParam(req.query.content_type).map(normalizeContentType);
+        if (contentTypes.includes(null)) {
+            return res.status(400).json({
+                error: 'Tipo de contenido inválido',
+                validTypes: CONTENT_TYPES
+            });
+        }
+
+        const difficulties = parseListParam(req.query.difficulty_level).map(normalizeDifficulty);
+        if (difficulties.includes(null)) {
+            return res.status(400).json({
+                error: 'Nivel de dificultad inválido',
+                validLevels: DIFFICULTY_LEVELS
+            });
+        }
+
+        const sort = parseSort(req.query.sort || 'order');
+        if (!sort) {
+            return res.status(400).json({
+                error: 'Ordenación inválida',
+                validSorts: Object.keys(SORT_OPTIONS).flatMap(key => [key, `-${key}`])
+            });
+        }
+
+        const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+        const limit = paginated
+            ? Math.min(Math.max(parseInt(req.query.limit) || CATALOG_DEFAULT_LIMIT, 1), CATALOG_MAX_LIMIT)
+            : null;
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor, sort);
+            if (!cursor) {
+                return res.status(400).json({
+                    error: 'Cursor inválido o de otra ordenación'
+                });
+            }
+        }
+
+        const { modules, total, nextCursor } = await queryCatalog({
+            filters: {
+                contentTypes,
+                difficulties,
+                tags: parseListParam(req.query.tag).map(normalizeTag)
+            },
+            sort,
+            cursor,
+            limit
+        });
+
+        const moduleIds = modules.map(module => module.id_modulo);
+        const locale = resolveLocale(req, res);
+        const translations = await loadTranslations(locale, moduleIds);
+        const tags = await loadModuleTags(moduleIds);
+        const unlockStatus = await getUnlockStatus(req.user);
+
+        const data = modules.map(module => {
+            const status = unlockStatus.get(module.id_modulo);
+            const summary = {
+                id: module.id_modulo,
+                title: module.titulo,
+                description: module.descripcion,
+                content_type: module.tipo_contenido,
+                difficulty_level: module.nivel_dificultad,
+                order_index: module.indice_orden,
+                is_active: module.esta_activo
+            };
+            return {
+                ...translateModule(summary, translations.get(module.id_modulo), locale),
+                tags: tags.get(module.id_modulo) || [],
+                locked: status ? status.locked : false,
+                missing_prerequisites: status ? status.missing_prerequisites : []
+            };
+        });
+
+        if (!paginated) {
+            return res.json(data);
+        }
+
+        res.json({
+            data,
+            meta: {
+                total,
+                limit,
+                sort: sort.value,
+                next_cursor: nextCursor,
+                has_more: nextCursor !== null
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo módulos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Etiquetas en uso en el catálogo, con el número de módulos de cada una
+router.get('/tags', async (req, res) => {
+    try {
+        const tags = await query(`
+            SELECT e.etiqueta as tag, COUNT(*) as modules
+            FROM etiquetas_modulos e
+            JOIN modulos m ON e.id_modulo = m.id_modulo
+            WHERE m.esta_activo = true
+            GROUP BY e.etiqueta
+            ORDER BY e.etiqueta ASC
+        `);
+
+        res.json(tags);
+    } catch (error) {
+        console.error('Error obteniendo etiquetas:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Listar todos los módulos, incluidos los eliminados (gestión de contenidos)
+router.get('/admin/all', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
     try {
         const modules = await query(`
-            SELECT 
-                id_modulo as id, 
-                titulo as title, 
-                descripcion as description, 
-                tipo_contenido as content_type, 
-                nivel_dificultad as difficulty_level, 
-                indice_orden as order_index, 
-                esta_activo as is_active
-            FROM modulos 
-            WHERE esta_activo = true 
-            ORDER BY indice_orden ASC
+            SELECT * FROM modulos
+            ORDER BY esta_activo DESC, indice_orden ASC
         `);
 
-        res.json(modules);
+        res.json(modules.map(module => {
+            const { content, ...summary } = formatModule(module);
+            return summary;
+        }));
     } catch (error) {
-        console.error('Error obteniendo módulos:', error);
+        console.error('Error listando módulos para administración:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Búsqueda de texto completo en título, descripción y contenido (público).
+// Filtros opcionales: content_type y difficulty_level.
+router.get('/search', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const text = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!text || text.length > 200) {
+            return res.status(400).json({
+                error: 'Indica el texto a buscar (máximo 200 caracteres)'
+            });
+        }
+
+        const terms = tokenizeQuery(text);
+        if (terms.length === 0) {
+            return res.status(400).json({
+                error: `La búsqueda debe contener alguna palabra de al menos ${SEARCH_MIN_TERM_LENGTH} caracteres`
+            });
+        }
+
+        const conditions = ['m.esta_activo = true'];
+        const filterParams = [];
+
+        if (req.query.content_type) {
+            const contentType = normalizeContentType(req.query.content_type);
+            if (!contentType) {
+                return res.status(400).json({
+                    error: 'Tipo de contenido inválido'
+                });
+            }
+            conditions.push('m.tipo_contenido = ?');
+            filterParams.push(contentType);
+        }
+
+        if (req.query.difficulty_level) {
+            const difficulty = normalizeDifficulty(req.query.difficulty_level);
+            if (!difficulty) {
+                return res.status(400).json({
+                    error: 'Nivel de dificultad inválido'
+                });
+            }
+            conditions.push('m.nivel_dificultad = ?');
+            filterParams.push(difficulty);
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const booleanQuery = buildBooleanQuery(terms);
+
+        const locale = resolveLocale(req, res);
+        const relevance = (table) => `MATCH(${table}.titulo) AGAINST(? IN BOOLEAN MODE) * 3
+                + MATCH(${table}.descripcion) AGAINST(? IN BOOLEAN MODE) * 2
+                + MATCH(${table}.contenido) AGAINST(? IN BOOLEAN MODE)`;
+
+        // Las coincidencias en el título pesan más que en la descripción y el contenido.
+        // En otro idioma se busca en la traducción y también en el original,
+        // que es lo que se muestra en los campos sin traducir.
+        const modules = locale === DEFAULT_LOCALE
+            ? await query(`
+                SELECT m.*, ${relevance('m')} as relevancia
+                FROM modulos m
+                WHERE MATCH(m.titulo, m.descripcion, m.contenido) AGAINST(? IN BOOLEAN MODE)
+                    AND ${conditions.join(' AND ')}
+                ORDER BY relevancia DESC, m.indice_orden ASC
+                LIMIT ${limit}
+            `, [booleanQuery, booleanQuery, booleanQuery, booleanQuery, ...filterParams])
+            : await query(`
+                SELECT m.*, GREATEST(${relevance('m')}, COALESCE(${relevance('t')}, 0)) as relevancia
+                FROM modulos m
+                LEFT JOIN traducciones_modulos t ON t.id_modulo = m.id_modulo AND t.idioma = ?
+                WHERE (MATCH(m.titulo, m.descripcion, m.contenido) AGAINST(? IN BOOLEAN MODE)
+                        OR MATCH(t.titulo, t.descripcion, t.contenido) AGAINST(? IN BOOLEAN MODE))
+                    AND ${conditions.join(' AND ')}
+                ORDER BY relevancia DESC, m.indice_orden ASC
+                LIMIT ${limit}
+            `, [
+                ...Array(6).fill(booleanQuery), locale, booleanQuery, booleanQuery, ...filterParams
+            ]);
+
+        const translations = await loadTranslations(locale, modules.map(module => module.id_modulo));
+        const unlockStatus = await getUnlockStatus(req.user);
+
+        res.json({
+            query: text,
+            terms,
+            total: modules.length,
+            results: modules.map(module => {
+                const status = unlockStatus.get(module.id_modulo);
+                const locked = status ? status.locked : false;
+                const translated = translateModule({
+                    title: module.titulo,
+                    description: module.descripcion,
+                    content: module.contenido
+                }, translations.get(module.id_modulo), locale);
+                return {
+                    id: module.id_modulo,
+                    title: translated.title,
+                    description: translated.description,
+                    content_type: module.tipo_contenido,
+                    difficulty_level: module.nivel_dificultad,
+                    order_index: module.indice_orden,
+                    locale,
+                    is_fallback: translated.is_fallback,
+                    score: Math.round(Number(module.relevancia) * 1000) / 1000,
+                    locked,
+                    highlights: {
+                        title: buildSnippet(translated.title, terms),
+                        description: buildSnippet(translated.description, terms),
+                        // El contenido de un módulo que no se puede abrir no se muestra
+                        content: canOpenModule(req, locked) ? buildSnippet(translated.content, terms) : null
+                    }
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error buscando módulos:', error);
         res.status(500).json({
             error: 'Error interno del servidor'
         });
@@ -31,7 +534,7 @@ router.get('/', async (req, res) => {
 });
 
 // Obtener módulo por ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -54,20 +557,29 @@ router.get('/:id', async (req, res) => {
             });
         }
 
-        // Mapear nombres de columnas al formato esperado por el frontend
-        const moduleResponse = {
-            id: module.id_modulo,
-            title: module.titulo,
-            description: module.descripcion,
-            content: module.contenido,
-            content_type: module.tipo_contenido,
-            difficulty_level: module.nivel_dificultad,
-            order_index: module.indice_orden,
-            is_active: module.esta_activo,
-            created_at: module.fecha_creacion
-        };
+        // Los módulos bloqueados no se pueden abrir (ver canOpenModule)
+        const lockStatus = await getModuleLockStatus(req.user, module.id_modulo);
+        const canOpen = canOpenModule(req, lockStatus.locked);
+        if (!canOpen && req.user) {
+            return res.status(403).json({
+                error: 'Módulo bloqueado: completa antes sus prerrequisitos',
+                missing_prerequisites: lockStatus.missing_prerequisites
+            });
+        }
+
+        const locale = resolveLocale(req, res);
+        const translations = await loadTranslations(locale, [module.id_modulo]);
+        const tags = await loadModuleTags([module.id_modulo]);
 
-        res.json(moduleResponse);
+        const formatted = translateModule(formatModule(module), translations.get(module.id_modulo), locale);
+
+        res.json({
+            ...formatted,
+            content: canOpen ? formatted.content : null,
+            tags: tags.get(module.id_modulo) || [],
+            locked: lockStatus.locked,
+            missing_prerequisites: lockStatus.missing_prerequisites
+        });
     } catch (error) {
         console.error('Error obteniendo módulo:', error);
         res.status(500).json({
@@ -80,20 +592,10 @@ router.get('/:id', async (req, res) => {
 router.get('/type/:contentType', async (req, res) => {
     try {
         const { contentType } = req.params;
-        
-        // Mapear tipos en inglés a español
-        const typeMap = {
-            'theory': 'teoria',
-            'equations': 'ecuaciones',
-            'applications': 'aplicaciones',
-            'simulation': 'simulacion',
-            'game': 'juego'
-        };
 
-        const tipoContenido = typeMap[contentType] || contentType;
-        
-        const validTypes = ['teoria', 'ecuaciones', 'aplicaciones', 'simulacion', 'juego'];
-        if (!validTypes.includes(tipoContenido)) {
+        // Acepta el tipo en inglés o en español
+        const tipoContenido = normalizeContentType(contentType);
+        if (!tipoContenido) {
             return res.status(400).json({
                 error: 'Tipo de contenido inválido'
             });
@@ -112,7 +614,10 @@ router.get('/type/:contentType', async (req, res) => {
             ORDER BY indice_orden ASC
         `, [tipoContenido]);
 
-        res.json(modules);
+        const locale = resolveLocale(req, res);
+        const translations = await loadTranslations(locale, modules.map(module => module.id));
+
+        res.json(modules.map(module => translateModule(module, translations.get(module.id), locale)));
     } catch (error) {
         console.error('Error obteniendo módulos por tipo:', error);
         res.status(500).json({
@@ -148,4 +653,964 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
     }
 });
 
-export default router;
\ No newline at end of file
+// Crear módulo
+router.post('/', authenticateToken, authorize(PERMISSIONS.MODULES_ADMIN), moduleValidation(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const columns = toModuleColumns(req.body);
+
+        // Por defecto el módulo nuevo va al final del catálogo
+        if (columns.indice_orden === undefined) {
+            const last = await query('SELECT COALESCE(MAX(indice_orden), 0) as max_order FROM modulos');
+            columns.indice_orden = Number(last[0].max_order) + 1;
+        }
+
+        // El módulo se crea con su versión 1 ya publicada
+        const moduleId = await transaction(async (connection) => {
+            const fields = Object.keys(columns);
+            const [result] = await connection.execute(
+                `INSERT INTO modulos (${fields.join(', ')}, esta_activo, fecha_creacion)
+                 VALUES (${fields.map(() => '?').join(', ')}, true, ?)`,
+                [...Object.values(columns), new Date()]
+            );
+
+            const revision = await createRevision(
+                connection,
+                result.insertId,
+                columns,
+                req.user.userId,
+                req.body.change_note || 'Versión inicial'
+            );
+            await publishRevision(connection, result.insertId, revision.id_revision);
+
+            return result.insertId;
+        });
+
+        const module = await findById('modulos', moduleId);
+
+        res.status(201).json({
+            message: 'Módulo creado correctamente',
+            module: formatModule(module)
+        });
+    } catch (error) {
+        console.error('Error creando módulo:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Reordenar varios módulos a la vez
+router.put('/reorder', authenticateToken, authorize(PERMISSIONS.MODULES_ADMIN), reorderValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { modules } = req.body;
+
+        const ids = modules.map(module => module.id);
+        if (new Set(ids).size !== ids.length) {
+            return res.status(400).json({
+                error: 'La lista contiene módulos repetidos'
+            });
+        }
+
+        const updated = await transaction(async (connection) => {
+            const [existing] = await connection.execute(
+                `SELECT id_modulo FROM modulos WHERE id_modulo IN (${ids.map(() => '?').join(', ')})`,
+                ids
+            );
+            if (existing.length !== ids.length) {
+                return null;
+            }
+
+            for (const module of modules) {
+                await connection.execute(
+                    'UPDATE modulos SET indice_orden = ? WHERE id_modulo = ?',
+                    [module.order_index, module.id]
+                );
+            }
+            return modules.length;
+        });
+
+        if (updated === null) {
+            return res.status(404).json({
+                error: 'Alguno de los módulos no existe'
+            });
+        }
+
+        res.json({
+            message: 'Módulos reordenados correctamente',
+            updated
+        });
+    } catch (error) {
+        console.error('Error reordenando módulos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Editar módulo
+router.put('/:id', authenticateToken, authorizeModuleUpdate, moduleValidation(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const columns = toModuleColumns(req.body);
+        if (Object.keys(columns).length === 0) {
+            return res.status(400).json({
+                error: 'No hay cambios que guardar'
+            });
+        }
+
+        // Los cambios de contenido crean una versión nueva (borrador salvo publish: true);
+        // el orden en el catálogo no se versiona y se aplica directamente
+        const contentColumns = {};
+        REVISION_FIELDS.forEach(field => {
+            if (columns[field] !== undefined) contentColumns[field] = columns[field];
+        });
+
+        const revision = await transaction(async (connection) => {
+            if (columns.indice_orden !== undefined) {
+                await connection.execute(
+                    'UPDATE modulos SET indice_orden = ? WHERE id_modulo = ?',
+                    [columns.indice_orden, module.id_modulo]
+                );
+            }
+
+            if (Object.keys(contentColumns).length === 0) {
+                return null;
+            }
+
+            const draft = await createRevision(
+                connection,
+                module.id_modulo,
+                contentColumns,
+                req.user.userId,
+                req.body.change_note || null
+            );
+
+            if (req.body.publish) {
+                return publishRevision(connection, module.id_modulo, draft.id_revision);
+            }
+            return { ...draft, id_modulo: module.id_modulo, estado: 'borrador' };
+        });
+
+        const updatedModule = await findById('modulos', module.id_modulo);
+
+        res.json({
+            message: revision && revision.estado === 'borrador'
+                ? 'Borrador guardado. Publícalo para que los estudiantes lo vean.'
+                : 'Módulo actualizado correctamente',
+            module: formatModule(updatedModule),
+            revision: revision ? formatRevision(revision, false) : null
+        });
+    } catch (error) {
+        console.error('Error actualizando módulo:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Eliminar módulo (borrado lógico: deja de mostrarse pero conserva el progreso)
+router.delete('/:id', authenticateToken, authorize(PERMISSIONS.MODULES_ADMIN), async (req, res) => {
+    try {
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        if (!module.esta_activo) {
+            return res.status(400).json({
+                error: 'El módulo ya está eliminado'
+            });
+        }
+
+        await update('modulos', module.id_modulo, { esta_activo: false });
+
+        res.json({
+            message: 'Módulo eliminado correctamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando módulo:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Restaurar un módulo eliminado
+router.post('/:id/restore', authenticateToken, authorize(PERMISSIONS.MODULES_ADMIN), async (req, res) => {
+    try {
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        if (module.esta_activo) {
+            return res.status(400).json({
+                error: 'El módulo no está eliminado'
+            });
+        }
+
+        await update('modulos', module.id_modulo, { esta_activo: true });
+
+        res.json({
+            message: 'Módulo restaurado correctamente',
+            module: formatModule({ ...module, esta_activo: true })
+        });
+    } catch (error) {
+        console.error('Error restaurando módulo:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Historial de versiones de un módulo
+router.get('/:id/revisions', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const revisions = await query(`
+            SELECT * FROM revisiones_modulos
+            WHERE id_modulo = ?
+            ORDER BY numero_version DESC
+        `, [module.id_modulo]);
+
+        res.json({
+            module_id: module.id_modulo,
+            published_revision_id: module.id_revision_publicada,
+            revisions: revisions.map(revision => formatRevision(revision, false))
+        });
+    } catch (error) {
+        console.error('Error obteniendo versiones del módulo:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Comparar dos versiones (?from=1&to=2)
+router.get('/:id/revisions/diff', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const from = parseInt(req.query.from);
+        const to = parseInt(req.query.to);
+        if (!from || !to) {
+            return res.status(400).json({
+                error: 'Indica las versiones a comparar con ?from= y ?to='
+            });
+        }
+
+        const revisions = await query(`
+            SELECT * FROM revisiones_modulos
+            WHERE id_modulo = ? AND numero_version IN (?, ?)
+        `, [req.params.id, from, to]);
+
+        const fromRevision = revisions.find(revision => revision.numero_version === from);
+        const toRevision = revisions.find(revision => revision.numero_version === to);
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                error: 'Versión no encontrada'
+            });
+        }
+
+        res.json({
+            module_id: Number(req.params.id),
+            from,
+            to,
+            changes: diffRevisions(fromRevision, toRevision)
+        });
+    } catch (error) {
+        console.error('Error comparando versiones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Obtener una versión concreta (incluidos borradores)
+router.get('/:id/revisions/:version', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const revisions = await query(`
+            SELECT * FROM revisiones_modulos
+            WHERE id_modulo = ? AND numero_version = ?
+        `, [req.params.id, req.params.version]);
+
+        if (revisions.length === 0) {
+            return res.status(404).json({
+                error: 'Versión no encontrada'
+            });
+        }
+
+        res.json(formatRevision(revisions[0]));
+    } catch (error) {
+        console.error('Error obteniendo versión:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Publicar una versión (borrador o archivada)
+router.post('/:id/revisions/:version/publish', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const revisions = await query(`
+            SELECT id_revision, id_modulo, estado FROM revisiones_modulos
+            WHERE id_modulo = ? AND numero_version = ?
+        `, [req.params.id, req.params.version]);
+
+        if (revisions.length === 0) {
+            return res.status(404).json({
+                error: 'Versión no encontrada'
+            });
+        }
+
+        if (revisions[0].estado === 'publicada') {
+            return res.status(400).json({
+                error: 'Esta versión ya está publicada'
+            });
+        }
+
+        const { id_modulo: moduleId, id_revision: revisionId } = revisions[0];
+        const revision = await transaction(connection => publishRevision(connection, moduleId, revisionId));
+        const module = await findById('modulos', moduleId);
+
+        res.json({
+            message: 'Versión publicada correctamente',
+            module: formatModule(module),
+            revision: formatRevision(revision, false)
+        });
+    } catch (error) {
+        console.error('Error publicando versión:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Volver a una versión anterior: se crea y publica una versión nueva con su contenido
+router.post('/:id/revisions/:version/rollback', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const revisions = await query(`
+            SELECT * FROM revisiones_modulos
+            WHERE id_modulo = ? AND numero_version = ?
+        `, [req.params.id, req.params.version]);
+
+        if (revisions.length === 0) {
+            return res.status(404).json({
+                error: 'Versión no encontrada'
+            });
+        }
+
+        const source = revisions[0];
+        const fields = {};
+        REVISION_FIELDS.forEach(field => {
+            fields[field] = source[field];
+        });
+
+        const revision = await transaction(async (connection) => {
+            const draft = await createRevision(
+                connection,
+                source.id_modulo,
+                fields,
+                req.user.userId,
+                `Restaurada desde la versión ${source.numero_version}`
+            );
+            return publishRevision(connection, source.id_modulo, draft.id_revision);
+        });
+        const module = await findById('modulos', source.id_modulo);
+
+        res.json({
+            message: `Módulo restaurado a la versión ${source.numero_version}`,
+            module: formatModule(module),
+            revision: formatRevision(revision, false)
+        });
+    } catch (error) {
+        console.error('Error restaurando versión:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Secciones de un módulo, en orden. Con token se indica cuáles ha completado
+// el usuario y el porcentaje del módulo que se deriva de ellas.
+router.get('/:id/sections', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const module = await findById('modulos', req.params.id);
+        if (!module || !module.esta_activo) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        // Igual que GET /:id: los visitantes anónimos ven las secciones sin su contenido
+        const lockStatus = await getModuleLockStatus(req.user, module.id_modulo);
+        const canOpen = canOpenModule(req, lockStatus.locked);
+        if (!canOpen && req.user) {
+            return res.status(403).json({
+                error: 'Módulo bloqueado: completa antes sus prerrequisitos',
+                missing_prerequisites: lockStatus.missing_prerequisites
+            });
+        }
+
+        const sections = await loadSections(module.id_modulo);
+
+        let progress = null;
+        if (req.user) {
+            progress = await getSectionProgress(getProgressOwner(req.user), module.id_modulo);
+        }
+
+        res.json({
+            module_id: module.id_modulo,
+            sections: sections.map(section => canOpen
+                ? formatSection(section, progress ? progress.completedIds : null)
+                : { ...formatSection(section), content: null, config: null }),
+            progress: progress
+                ? { total: progress.total, completed: progress.completed, percentage: progress.percentage }
+                : null
+        });
+    } catch (error) {
+        console.error('Error obteniendo secciones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Añadir una sección a un módulo (por defecto al final)
+router.post('/:id/sections', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), sectionValidation(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const columns = toSectionColumns(req.body);
+        if (columns.indice_orden === undefined) {
+            const last = await query(
+                'SELECT COALESCE(MAX(indice_orden), 0) as max_order FROM secciones_modulos WHERE id_modulo = ?',
+                [module.id_modulo]
+            );
+            columns.indice_orden = Number(last[0].max_order) + 1;
+        }
+
+        const result = await insert('secciones_modulos', {
+            ...columns,
+            id_modulo: module.id_modulo,
+            fecha_creacion: new Date()
+        });
+
+        await recalculateModuleProgress(module.id_modulo);
+
+        const section = await findById('secciones_modulos', result.insertId);
+
+        res.status(201).json({
+            message: 'Sección creada correctamente',
+            section: formatSection(section)
+        });
+    } catch (error) {
+        console.error('Error creando sección:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Cambiar el orden de varias secciones de un módulo a la vez
+router.put('/:id/sections/reorder', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), sectionReorderValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const { sections } = req.body;
+        const ids = sections.map(section => section.id);
+        const existing = await query(
+            `SELECT id_seccion FROM secciones_modulos
+             WHERE id_modulo = ? AND id_seccion IN (${ids.map(() => '?').join(', ')})`,
+            [module.id_modulo, ...ids]
+        );
+        if (existing.length !== new Set(ids).size) {
+            return res.status(404).json({
+                error: 'Alguna de las secciones no pertenece al módulo'
+            });
+        }
+
+        await transaction(async (connection) => {
+            for (const section of sections) {
+                await connection.execute(
+                    'UPDATE secciones_modulos SET indice_orden = ?, fecha_actualizacion = ? WHERE id_seccion = ?',
+                    [section.order_index, new Date(), section.id]
+                );
+            }
+        });
+
+        const updated = await loadSections(module.id_modulo);
+
+        res.json({
+            message: 'Orden de secciones actualizado correctamente',
+            sections: updated.map(section => formatSection(section))
+        });
+    } catch (error) {
+        console.error('Error reordenando secciones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Editar una sección
+router.put('/:id/sections/:sectionId', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), sectionValidation(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const section = await findById('secciones_modulos', req.params.sectionId);
+        if (!section || String(section.id_modulo) !== String(req.params.id)) {
+            return res.status(404).json({
+                error: 'Sección no encontrada'
+            });
+        }
+
+        const columns = toSectionColumns(req.body);
+        if (Object.keys(columns).length === 0) {
+            return res.status(400).json({
+                error: 'No hay cambios que guardar'
+            });
+        }
+
+        await update('secciones_modulos', section.id_seccion, {
+            ...columns,
+            fecha_actualizacion: new Date()
+        });
+
+        // Pasar una sección a obligatoria u opcional cambia el porcentaje
+        if (columns.es_obligatoria !== undefined) {
+            await recalculateModuleProgress(section.id_modulo);
+        }
+
+        const updated = await findById('secciones_modulos', section.id_seccion);
+
+        res.json({
+            message: 'Sección actualizada correctamente',
+            section: formatSection(updated)
+        });
+    } catch (error) {
+        console.error('Error actualizando sección:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Eliminar una sección (se borra también el progreso de los usuarios en ella)
+router.delete('/:id/sections/:sectionId', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const section = await findById('secciones_modulos', req.params.sectionId);
+        if (!section || String(section.id_modulo) !== String(req.params.id)) {
+            return res.status(404).json({
+                error: 'Sección no encontrada'
+            });
+        }
+
+        await query('DELETE FROM secciones_modulos WHERE id_seccion = ?', [section.id_seccion]);
+        await recalculateModuleProgress(section.id_modulo);
+
+        res.json({
+            message: 'Sección eliminada correctamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando sección:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Reemplazar las etiquetas de un módulo
+router.put('/:id/tags', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), tagsValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const tags = [...new Set(req.body.tags.map(normalizeTag))];
+
+        await transaction(async (connection) => {
+            await connection.execute('DELETE FROM etiquetas_modulos WHERE id_modulo = ?', [module.id_modulo]);
+            for (const tag of tags) {
+                await connection.execute(
+                    'INSERT INTO etiquetas_modulos (id_modulo, etiqueta) VALUES (?, ?)',
+                    [module.id_modulo, tag]
+                );
+            }
+        });
+
+        res.json({
+            message: 'Etiquetas actualizadas correctamente',
+            module_id: module.id_modulo,
+            tags: tags.sort()
+        });
+    } catch (error) {
+        console.error('Error actualizando etiquetas:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Prerrequisitos de un módulo
+router.get('/:id/prerequisites', async (req, res) => {
+    try {
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const prerequisites = await query(`
+            SELECT
+                m.id_modulo as id,
+                m.titulo as title,
+                m.esta_activo as is_active,
+                p.puntuacion_minima as min_score
+            FROM prerequisitos_modulos p
+            JOIN modulos m ON p.id_modulo_requisito = m.id_modulo
+            WHERE p.id_modulo = ?
+            ORDER BY m.indice_orden ASC
+        `, [module.id_modulo]);
+
+        res.json({
+            module_id: module.id_modulo,
+            prerequisites
+        });
+    } catch (error) {
+        console.error('Error obteniendo prerrequisitos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Reemplazar los prerrequisitos de un módulo (rechaza los que crearían un ciclo)
+router.put('/:id/prerequisites', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), prerequisitesValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const moduleId = module.id_modulo;
+        const prerequisites = req.body.prerequisites;
+        const requiredIds = prerequisites.map(prerequisite => prerequisite.module_id);
+
+        if (requiredIds.includes(moduleId)) {
+            return res.status(400).json({
+                error: 'Un módulo no puede ser prerrequisito de sí mismo'
+            });
+        }
+
+        if (new Set(requiredIds).size !== requiredIds.length) {
+            return res.status(400).json({
+                error: 'La lista contiene prerrequisitos repetidos'
+            });
+        }
+
+        if (requiredIds.length > 0) {
+            const existing = await query(
+                `SELECT id_modulo FROM modulos WHERE id_modulo IN (${requiredIds.map(() => '?').join(', ')})`,
+                requiredIds
+            );
+            if (existing.length !== requiredIds.length) {
+                return res.status(404).json({
+                    error: 'Alguno de los prerrequisitos no existe'
+                });
+            }
+        }
+
+        // Comprobar el grafo resultante antes de guardar
+        const edges = (await loadPrerequisiteEdges())
+            .filter(edge => edge.from !== moduleId)
+            .concat(requiredIds.map(requiredId => ({ from: moduleId, to: requiredId })));
+
+        const cycle = findCycle(edges);
+        if (cycle) {
+            return res.status(400).json({
+                error: 'Los prerrequisitos crearían un ciclo',
+                cycle
+            });
+        }
+
+        await transaction(async (connection) => {
+            await connection.execute('DELETE FROM prerequisitos_modulos WHERE id_modulo = ?', [moduleId]);
+            for (const prerequisite of prerequisites) {
+                await connection.execute(`
+                    INSERT INTO prerequisitos_modulos (id_modulo, id_modulo_requisito, puntuacion_minima, fecha_creacion)
+                    VALUES (?, ?, ?, ?)
+                `, [moduleId, prerequisite.module_id, prerequisite.min_score ?? null, new Date()]);
+            }
+        });
+
+        res.json({
+            message: 'Prerrequisitos actualizados correctamente',
+            module_id: moduleId,
+            prerequisites: prerequisites.map(prerequisite => ({
+                id: prerequisite.module_id,
+                min_score: prerequisite.min_score ?? null
+            }))
+        });
+    } catch (error) {
+        console.error('Error actualizando prerrequisitos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Traducciones pendientes por módulo (?locale= para un solo idioma)
+router.get('/translations/missing', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        let locales = TRANSLATION_LOCALES;
+        if (req.query.locale) {
+            const locale = normalizeLocale(req.query.locale);
+            if (!locale || !TRANSLATION_LOCALES.includes(locale)) {
+                return res.status(400).json({
+                    error: 'Idioma inválido',
+                    validLocales: TRANSLATION_LOCALES
+                });
+            }
+            locales = [locale];
+        }
+
+        const modules = await findMissingTranslations(locales);
+
+        res.json({
+            default_locale: DEFAULT_LOCALE,
+            locales,
+            total: modules.length,
+            modules
+        });
+    } catch (error) {
+        console.error('Error listando traducciones pendientes:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Traducciones de un módulo
+router.get('/:id/translations', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const translations = await query(
+            'SELECT * FROM traducciones_modulos WHERE id_modulo = ? ORDER BY idioma ASC',
+            [module.id_modulo]
+        );
+
+        res.json({
+            module_id: module.id_modulo,
+            default_locale: DEFAULT_LOCALE,
+            translations: translations.map(formatTranslation)
+        });
+    } catch (error) {
+        console.error('Error obteniendo traducciones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Crear o actualizar la traducción de un módulo a un idioma
+router.put('/:id/translations/:locale', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), translationValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                details: errors.array()
+            });
+        }
+
+        const locale = normalizeLocale(req.params.locale);
+        if (!locale || !TRANSLATION_LOCALES.includes(locale)) {
+            return res.status(400).json({
+                error: 'Idioma inválido',
+                validLocales: TRANSLATION_LOCALES
+            });
+        }
+
+        const module = await findById('modulos', req.params.id);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const { title, description, content } = req.body;
+        if (title === undefined && description === undefined && content === undefined) {
+            return res.status(400).json({
+                error: 'No hay campos para actualizar'
+            });
+        }
+
+        const existing = await query(
+            'SELECT * FROM traducciones_modulos WHERE id_modulo = ? AND idioma = ?',
+            [module.id_modulo, locale]
+        );
+
+        // Los campos que no se envían conservan su valor anterior
+        const current = existing[0] || {};
+        const fields = {
+            titulo: title !== undefined ? title : (current.titulo ?? null),
+            descripcion: description !== undefined ? description : (current.descripcion ?? null),
+            contenido: content !== undefined ? content : (current.contenido ?? null)
+        };
+
+        const now = new Date();
+        await query(`
+            INSERT INTO traducciones_modulos
+                (id_modulo, idioma, titulo, descripcion, contenido, id_autor, fecha_creacion, fecha_actualizacion)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                titulo = VALUES(titulo),
+                descripcion = VALUES(descripcion),
+                contenido = VALUES(contenido),
+                id_autor = VALUES(id_autor),
+                fecha_actualizacion = VALUES(fecha_actualizacion)
+        `, [module.id_modulo, locale, fields.titulo, fields.descripcion, fields.contenido, req.user.userId, now, now]);
+
+        const saved = await query(
+            'SELECT * FROM traducciones_modulos WHERE id_modulo = ? AND idioma = ?',
+            [module.id_modulo, locale]
+        );
+
+        res.status(existing.length > 0 ? 200 : 201).json({
+            message: 'Traducción guardada correctamente',
+            translation: formatTranslation(saved[0])
+        });
+    } catch (error) {
+        console.error('Error guardando traducción:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Eliminar la traducción de un módulo a un idioma
+router.delete('/:id/translations/:locale', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const locale = normalizeLocale(req.params.locale);
+        const result = await query(
+            'DELETE FROM traducciones_modulos WHERE id_modulo = ? AND idioma = ?',
+            [req.params.id, locale]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Traducción no encontrada'
+            });
+        }
+
+        res.json({
+            message: 'Traducción eliminada correctamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando traducción:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+export default router;
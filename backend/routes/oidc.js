@@ -0,0 +1,492 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import { v4 as uuidv4 } from 'uuid';
+import { query, insert, findByField, transaction } from '../config/database.js';
+import { getOidcProviders, getOidcProvider } from '../config/oidc.js';
+import { ROLES, toDbRole, isTwoFactorRequired } from '../config/roles.js';
+import { isRestrictedForUnverified } from '../config/verification.js';
+import { authenticateToken, completeLogin, signChallengeToken, getApiBaseUrl } from './auth.js';
+import { hashToken } from '../utils/sessions.js';
+import { getFrontendUrl } from '../utils/mailer.js';
+import {
+    randomString,
+    createPkcePair,
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    fetchUserInfo
+} from '../utils/oidc.js';
+
+const router = express.Router();
+
+const STATE_TTL = 10 * 60000; // 10 minutos
+
+// Error con código para responder al frontend sin exponer detalles internos
+class OidcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const getRedirectUri = (req, provider) => provider.redirectUri
+    || `${getApiBaseUrl(req)}/api/auth/oidc/${provider.name}/callback`;
+
+// Solo se aceptan rutas relativas del frontend como destino tras el login
+const sanitizeReturnPath = (path) => typeof path === 'string' && /^\/(?!\/)/.test(path)
+    ? path.substring(0, 255)
+    : null;
+
+// Crear el estado del flujo y devolver la URL de autorización del proveedor.
+// Con reauth el proveedor vuelve a pedir las credenciales y el callback solo
+// confirma la identidad del usuario (no inicia sesión ni vincula cuentas).
+const createAuthorizationRequest = async (req, provider, {
+    userId = null,
+    returnPath = null,
+    mode = 'redirect',
+    reauth = false
+}) => {
+    const metadata = await discover(provider);
+    const state = randomString();
+    const nonce = randomString();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await query('DELETE FROM estados_oidc WHERE fecha_expiracion <= NOW()');
+    await insert('estados_oidc', {
+        hash_estado: hashToken(state),
+        proveedor: provider.name,
+        verificador_pkce: codeVerifier,
+        nonce,
+        id_usuario: userId,
+        es_reautenticacion: reauth,
+        ruta_retorno: returnPath,
+        modo_respuesta: mode,
+        fecha_creacion: new Date(),
+        fecha_expiracion: new Date(Date.now() + STATE_TTL)
+    });
+
+    return buildAuthorizationUrl(provider, metadata, {
+        state,
+        nonce,
+        codeChallenge,
+        redirectUri: getRedirectUri(req, provider),
+        prompt: reauth ? 'login' : undefined
+    });
+};
+
+// Recuperar y eliminar el estado (un solo uso)
+const consumeState = async (state, providerName) => {
+    if (!state) {
+        return null;
+    }
+
+    const rows = await query(`
+        SELECT * FROM estados_oidc
+        WHERE hash_estado = ? AND proveedor = ? AND fecha_expiracion > NOW()
+        LIMIT 1
+    `, [hashToken(String(state)), providerName]);
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const result = await query('DELETE FROM estados_oidc WHERE id_estado_oidc = ?', [rows[0].id_estado_oidc]);
+    return result.affectedRows > 0 ? rows[0] : null;
+};
+
+// Comprobar que la identidad externa pertenece al usuario que pidió reautenticarse
+const confirmIdentity = async (provider, claims, userId) => {
+    const identities = await query(
+        'SELECT * FROM identidades_externas WHERE proveedor = ? AND sujeto = ? LIMIT 1',
+        [provider.name, String(claims.sub)]
+    );
+
+    if (identities.length === 0 || identities[0].id_usuario !== userId) {
+        throw new OidcError('IDENTITY_MISMATCH', 'Esta cuenta externa no está vinculada a tu usuario');
+    }
+
+    await query('UPDATE identidades_externas SET ultimo_uso = NOW() WHERE id_identidad = ?', [identities[0].id_identidad]);
+    return findByField('usuarios', 'id_usuario', userId);
+};
+
+const isEmailVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
+
+// Encontrar (o crear) el usuario correspondiente a la identidad externa
+const resolveUser = async (provider, claims, linkUserId) => {
+    const subject = String(claims.sub);
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+
+    const identities = await query(
+        'SELECT * FROM identidades_externas WHERE proveedor = ? AND sujeto = ? LIMIT 1',
+        [provider.name, subject]
+    );
+
+    if (identities.length > 0) {
+        const identity = identities[0];
+        if (linkUserId && identity.id_usuario !== linkUserId) {
+            throw new OidcError('IDENTITY_LINKED_ELSEWHERE', 'Esta cuenta externa ya está vinculada a otro usuario');
+        }
+        await query('UPDATE identidades_externas SET ultimo_uso = NOW() WHERE id_identidad = ?', [identity.id_identidad]);
+        return findByField('usuarios', 'id_usuario', identity.id_usuario);
+    }
+
+    const identityData = {
+        proveedor: provider.name,
+        sujeto: subject,
+        correo_electronico: email,
+        fecha_creacion: new Date(),
+        ultimo_uso: new Date()
+    };
+
+    if (linkUserId) {
+        await insert('identidades_externas', { ...identityData, id_usuario: linkUserId });
+        return findByField('usuarios', 'id_usuario', linkUserId);
+    }
+
+    if (!email) {
+        throw new OidcError('EMAIL_REQUIRED', 'El proveedor no compartió un email');
+    }
+
+    const existingUser = await findByField('usuarios', 'correo_electronico', email);
+    if (existingUser) {
+        // Solo se vincula automáticamente si el proveedor garantiza el email
+        if (!isEmailVerified(claims)) {
+            throw new OidcError(
+                'EMAIL_IN_USE',
+                'Ya existe una cuenta con este email. Inicia sesión y vincula la cuenta externa desde tu perfil.'
+            );
+        }
+        await insert('identidades_externas', { ...identityData, id_usuario: existingUser.id_usuario });
+        return existingUser;
+    }
+
+    // Cuenta nueva sin contraseña utilizable (se puede crear una con "olvidé mi contraseña")
+    const unusablePassword = await bcrypt.hash(uuidv4(), 12);
+    const name = String(claims.name || claims.given_name || email.split('@')[0]).substring(0, 100);
+
+    const userId = await transaction(async (connection) => {
+        const [userResult] = await connection.execute(`
+            INSERT INTO usuarios
+                (nombre, correo_electronico, contrasena, tipo_usuario, fecha_creacion, esta_activo, correo_verificado)
+            VALUES (?, ?, ?, ?, ?, true, ?)
+        `, [name, email, unusablePassword, toDbRole(ROLES.STUDENT), new Date(), isEmailVerified(claims)]);
+
+        await connection.execute(`
+            INSERT INTO identidades_externas
+                (id_usuario, proveedor, sujeto, correo_electronico, fecha_creacion, ultimo_uso)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [userResult.insertId, provider.name, subject, email, new Date(), new Date()]);
+
+        return userResult.insertId;
+    });
+
+    return findByField('usuarios', 'id_usuario', userId);
+};
+
+// Responder según el modo del flujo: JSON o redirección al frontend (datos en el fragmento)
+const sendResult = (res, stateRow, status, payload) => {
+    if (stateRow && stateRow.modo_respuesta === 'json') {
+        return res.status(status).json(payload);
+    }
+
+    const fragment = new URLSearchParams();
+    Object.entries(payload).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && typeof value !== 'object') {
+            fragment.set(key, String(value));
+        }
+    });
+    if (stateRow && stateRow.ruta_retorno) {
+        fragment.set('redirect', stateRow.ruta_retorno);
+    }
+
+    res.redirect(`${getFrontendUrl()}/auth/oidc/callback#${fragment.toString()}`);
+};
+
+// Listar los proveedores disponibles
+router.get('/providers', (req, res) => {
+    res.json(Object.values(getOidcProviders()).map(provider => ({
+        name: provider.name,
+        displayName: provider.displayName,
+        startUrl: `/api/auth/oidc/${provider.name}/start`
+    })));
+});
+
+// Identidades externas vinculadas al usuario
+router.get('/identities', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.userType === 'guest') {
+            return res.json([]);
+        }
+
+        const identities = await query(`
+            SELECT
+                proveedor as provider,
+                correo_electronico as email,
+                fecha_creacion as linked_at,
+                ultimo_uso as last_used
+            FROM identidades_externas
+            WHERE id_usuario = ?
+            ORDER BY fecha_creacion ASC
+        `, [req.user.userId]);
+
+        res.json(identities);
+    } catch (error) {
+        console.error('Error listando identidades externas:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Desvincular una identidad externa
+router.delete('/identities/:provider', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.userType === 'guest') {
+            return res.status(403).json({
+                error: 'Esta acción requiere una cuenta registrada'
+            });
+        }
+
+        const result = await query(
+            'DELETE FROM identidades_externas WHERE id_usuario = ? AND proveedor = ?',
+            [req.user.userId, req.params.provider]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Identidad externa no encontrada'
+            });
+        }
+
+        res.json({
+            message: 'Cuenta externa desvinculada'
+        });
+    } catch (error) {
+        console.error('Error desvinculando identidad externa:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Iniciar el login con un proveedor (redirige, o devuelve la URL con ?mode=json)
+router.get('/:provider/start', async (req, res) => {
+    try {
+        const provider = getOidcProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                error: 'Proveedor de identidad no configurado'
+            });
+        }
+
+        const mode = req.query.mode === 'json' ? 'json' : 'redirect';
+        const authorizationUrl = await createAuthorizationRequest(req, provider, {
+            returnPath: sanitizeReturnPath(req.query.redirect),
+            mode
+        });
+
+        if (mode === 'json') {
+            return res.json({ authorizationUrl });
+        }
+        res.redirect(authorizationUrl);
+
+    } catch (error) {
+        console.error('Error iniciando login OIDC:', error);
+        res.status(502).json({
+            error: 'No se pudo contactar con el proveedor de identidad'
+        });
+    }
+});
+
+// Vincular un proveedor a la cuenta actual (devuelve la URL de autorización)
+router.post('/:provider/link', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.userType === 'guest') {
+            return res.status(403).json({
+                error: 'Esta acción requiere una cuenta registrada'
+            });
+        }
+
+        const provider = getOidcProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                error: 'Proveedor de identidad no configurado'
+            });
+        }
+
+        const authorizationUrl = await createAuthorizationRequest(req, provider, {
+            userId: req.user.userId,
+            returnPath: sanitizeReturnPath(req.body.redirect),
+            mode: req.body.mode === 'json' ? 'json' : 'redirect'
+        });
+
+        res.json({ authorizationUrl });
+
+    } catch (error) {
+        console.error('Error iniciando vinculación OIDC:', error);
+        res.status(502).json({
+            error: 'No se pudo contactar con el proveedor de identidad'
+        });
+    }
+});
+
+// Confirmar la identidad con un proveedor vinculado (devuelve la URL de autorización).
+// El callback responde con un reauthToken de corta duración que sustituye a la
+// contraseña en acciones sensibles, como DELETE /api/auth/account.
+router.post('/:provider/reauth', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.userType === 'guest') {
+            return res.status(403).json({
+                error: 'Esta acción requiere una cuenta registrada'
+            });
+        }
+
+        const provider = getOidcProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                error: 'Proveedor de identidad no configurado'
+            });
+        }
+
+        const authorizationUrl = await createAuthorizationRequest(req, provider, {
+            userId: req.user.userId,
+            returnPath: sanitizeReturnPath(req.body.redirect),
+            mode: req.body.mode === 'json' ? 'json' : 'redirect',
+            reauth: true
+        });
+
+        res.json({ authorizationUrl });
+
+    } catch (error) {
+        console.error('Error iniciando reautenticación OIDC:', error);
+        res.status(502).json({
+            error: 'No se pudo contactar con el proveedor de identidad'
+        });
+    }
+});
+
+// Retorno desde el proveedor de identidad
+router.get('/:provider/callback', async (req, res) => {
+    let stateRow = null;
+
+    try {
+        const provider = getOidcProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                error: 'Proveedor de identidad no configurado'
+            });
+        }
+
+        stateRow = await consumeState(req.query.state, provider.name);
+        if (!stateRow) {
+            return res.status(400).json({
+                error: 'Estado de autenticación inválido o expirado',
+                code: 'INVALID_STATE'
+            });
+        }
+
+        if (req.query.error) {
+            return sendResult(res, stateRow, 401, {
+                error: 'El proveedor de identidad rechazó el inicio de sesión',
+                code: 'PROVIDER_ERROR',
+                providerError: String(req.query.error)
+            });
+        }
+
+        if (!req.query.code) {
+            return sendResult(res, stateRow, 400, {
+                error: 'Código de autorización requerido',
+                code: 'MISSING_CODE'
+            });
+        }
+
+        const metadata = await discover(provider);
+        const tokens = await exchangeCode(provider, metadata, {
+            code: String(req.query.code),
+            codeVerifier: stateRow.verificador_pkce,
+            redirectUri: getRedirectUri(req, provider)
+        });
+
+        if (!tokens.id_token) {
+            throw new OidcError('MISSING_ID_TOKEN', 'El proveedor no devolvió un id_token');
+        }
+
+        let claims = await verifyIdToken(provider, metadata, tokens.id_token, stateRow.nonce);
+        if (!claims.email) {
+            const userInfo = await fetchUserInfo(metadata, tokens.access_token);
+            if (userInfo.sub === claims.sub) {
+                claims = { ...userInfo, ...claims };
+            }
+        }
+
+        const user = stateRow.es_reautenticacion
+            ? await confirmIdentity(provider, claims, stateRow.id_usuario)
+            : await resolveUser(provider, claims, stateRow.id_usuario);
+        if (!user || !user.esta_activo) {
+            return sendResult(res, stateRow, 401, {
+                error: 'Cuenta desactivada',
+                code: 'ACCOUNT_DISABLED'
+            });
+        }
+
+        if (stateRow.es_reautenticacion) {
+            return sendResult(res, stateRow, 200, {
+                message: 'Identidad confirmada',
+                reauthenticated: true,
+                provider: provider.name,
+                reauthToken: signChallengeToken(user, 'account_reauth')
+            });
+        }
+
+        if (stateRow.id_usuario) {
+            return sendResult(res, stateRow, 200, {
+                message: 'Cuenta externa vinculada correctamente',
+                linked: true,
+                provider: provider.name
+            });
+        }
+
+        // Misma restricción que el login con contraseña
+        if (!user.correo_verificado && isRestrictedForUnverified('login')) {
+            return sendResult(res, stateRow, 403, {
+                error: 'Debes verificar tu email antes de iniciar sesión',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        if (user.totp_activo) {
+            return sendResult(res, stateRow, 200, {
+                message: 'Introduce el código de verificación en dos pasos',
+                requiresTwoFactor: true,
+                challengeToken: signChallengeToken(user, '2fa_login')
+            });
+        }
+
+        if (isTwoFactorRequired(user.tipo_usuario)) {
+            return sendResult(res, stateRow, 200, {
+                message: 'Tu rol requiere configurar la verificación en dos pasos',
+                requiresTwoFactorSetup: true,
+                challengeToken: signChallengeToken(user, '2fa_setup')
+            });
+        }
+
+        sendResult(res, stateRow, 200, await completeLogin(user, req));
+
+    } catch (error) {
+        if (error instanceof OidcError) {
+            return sendResult(res, stateRow, 400, {
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        console.error('Error en callback OIDC:', error);
+        sendResult(res, stateRow, 502, {
+            error: 'No se pudo completar el inicio de sesión con el proveedor',
+            code: 'PROVIDER_UNAVAILABLE'
+        });
+    }
+});
+
+export default router;
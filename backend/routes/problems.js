@@ -0,0 +1,494 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { query, insert, update, findById } from '../config/database.js';
+import { authenticateToken, authorize, requireVerifiedEmail } from './auth.js';
+import { PERMISSIONS, hasPermission } from '../config/roles.js';
+import { getModuleLockStatus } from '../utils/prerequisites.js';
+import { checkPhysicsAnswer } from '../utils/units.js';
+import {
+    ProblemError,
+    deriveSeed,
+    generateVariant,
+    validateTemplateDefinition,
+    formatTemplate,
+    formatVariant,
+    buildExpectedAnswer
+} from '../utils/problems.js';
+
+const router = express.Router();
+
+// Middleware: las variantes se generan por usuario, los invitados no pueden pedirlas
+const requireRegisteredUser = (req, res, next) => {
+    if (req.user.userType === 'guest') {
+        return res.status(403).json({
+            error: 'Los problemas no están disponibles para usuarios invitados',
+            tip: 'Crea una cuenta para resolver los problemas'
+        });
+    }
+    next();
+};
+
+// Validaciones para crear/editar plantillas (en la edición todos los campos son opcionales)
+const templateValidation = (isUpdate = false) => {
+    const field = (name) => isUpdate ? body(name).optional() : body(name);
+
+    return [
+        field('title')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('El título debe tener entre 1 y 200 caracteres'),
+        field('statement')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 5000 })
+            .withMessage('El enunciado debe tener entre 1 y 5000 caracteres'),
+        field('parameters')
+            .isArray({ min: 1 })
+            .withMessage('Se requiere la lista de parámetros'),
+        body('constraints')
+            .optional({ values: 'null' })
+            .isArray({ max: 20 })
+            .withMessage('Las restricciones deben ser una lista (máximo 20)'),
+        field('formula')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 1000 })
+            .withMessage('La fórmula debe tener entre 1 y 1000 caracteres'),
+        body('answer_unit')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 50 })
+            .withMessage('La unidad de la respuesta no puede superar 50 caracteres'),
+        body('tolerance')
+            .optional({ values: 'null' })
+            .isFloat({ min: 0 })
+            .withMessage('La tolerancia debe ser un número positivo')
+            .toFloat(),
+        body('tolerance_type')
+            .optional()
+            .isIn(['absolute', 'relative'])
+            .withMessage('tolerance_type debe ser absolute o relative'),
+        body('significant_figures')
+            .optional({ values: 'null' })
+            .isInt({ min: 1, max: 10 })
+            .withMessage('significant_figures debe estar entre 1 y 10')
+            .toInt()
+    ];
+};
+
+const previewValidation = [
+    queryParam('seed')
+        .optional()
+        .matches(/^[0-9a-f]{32}$/i)
+        .withMessage('La semilla debe tener 32 caracteres hexadecimales')
+];
+
+const answerValidation = [
+    body('answer')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('La respuesta debe tener entre 1 y 100 caracteres')
+];
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Datos inválidos',
+            details: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+const findTemplate = async (templateId, res) => {
+    const template = await findById('plantillas_problemas', templateId);
+    if (!template || !template.esta_activa) {
+        res.status(404).json({
+            error: 'Problema no encontrado'
+        });
+        return null;
+    }
+    return template;
+};
+
+// Comprobar la definición y generar una variante de prueba, para no
+// guardar plantillas cuyas restricciones no se pueden cumplir
+const checkTemplate = (template) => {
+    const definitionError = validateTemplateDefinition({
+        parameters: template.parametros,
+        constraints: template.restricciones,
+        formula: template.formula,
+        answerUnit: template.unidad_respuesta
+    });
+    if (definitionError) {
+        return definitionError;
+    }
+
+    try {
+        generateVariant(template, deriveSeed(0, 0, 1));
+    } catch (error) {
+        if (error instanceof ProblemError) return error.message;
+        throw error;
+    }
+    return null;
+};
+
+// El alumno solo puede trabajar en problemas de módulos activos y desbloqueados
+const checkModuleAccess = async (req, res, template) => {
+    const module = await findById('modulos', template.id_modulo);
+    if (!module || !module.esta_activo) {
+        res.status(404).json({
+            error: 'Módulo no disponible'
+        });
+        return false;
+    }
+
+    const lockStatus = await getModuleLockStatus(req.user, module.id_modulo);
+    if (lockStatus.locked) {
+        res.status(403).json({
+            error: 'Módulo bloqueado: completa antes sus prerrequisitos',
+            missing_prerequisites: lockStatus.missing_prerequisites
+        });
+        return false;
+    }
+    return true;
+};
+
+const findCurrentVariant = async (templateId, userId) => {
+    const variants = await query(
+        'SELECT * FROM variantes_problemas WHERE id_plantilla = ? AND id_usuario = ? ORDER BY numero_variante DESC LIMIT 1',
+        [templateId, userId]
+    );
+    return variants[0] || null;
+};
+
+// Generar y guardar la variante número variantNumber. Si otra petición la
+// ha creado a la vez, se devuelve la existente.
+const createVariant = async (template, userId, variantNumber) => {
+    const seed = deriveSeed(template.id_plantilla, userId, variantNumber);
+    const generated = generateVariant(template, seed);
+
+    try {
+        const result = await insert('variantes_problemas', {
+            id_plantilla: template.id_plantilla,
+            id_usuario: userId,
+            numero_variante: variantNumber,
+            semilla: seed,
+            parametros: JSON.stringify(generated.parameters),
+            enunciado: generated.statement,
+            respuesta_esperada: generated.expectedValue,
+            estado: 'pendiente',
+            intentos: 0,
+            fecha_creacion: new Date()
+        });
+        return findById('variantes_problemas', result.insertId);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return findCurrentVariant(template.id_plantilla, userId);
+        }
+        throw error;
+    }
+};
+
+// Plantillas activas de un módulo (sin fórmula, salvo para gestión de contenidos)
+router.get('/module/:moduleId', authenticateToken, async (req, res) => {
+    try {
+        const canManage = hasPermission(req.user.userType, PERMISSIONS.MODULES_MANAGE);
+        const templates = await query(
+            'SELECT * FROM plantillas_problemas WHERE id_modulo = ? AND esta_activa = true ORDER BY id_plantilla ASC',
+            [req.params.moduleId]
+        );
+
+        res.json(templates.map(template => formatTemplate(template, canManage)));
+    } catch (error) {
+        console.error('Error obteniendo problemas:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Crear una plantilla de problema en un módulo de ecuaciones
+router.post('/module/:moduleId', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), templateValidation(), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const module = await findById('modulos', req.params.moduleId);
+        if (!module) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+        if (module.tipo_contenido !== 'ecuaciones') {
+            return res.status(400).json({
+                error: 'Los problemas paramétricos solo están disponibles en módulos de ecuaciones'
+            });
+        }
+
+        const template = {
+            id_modulo: module.id_modulo,
+            titulo: req.body.title,
+            enunciado: req.body.statement,
+            parametros: req.body.parameters,
+            restricciones: req.body.constraints ?? [],
+            formula: req.body.formula,
+            unidad_respuesta: req.body.answer_unit ?? '',
+            tolerancia: req.body.tolerance ?? null,
+            tipo_tolerancia: req.body.tolerance_type ?? 'relative',
+            cifras_significativas: req.body.significant_figures ?? null
+        };
+
+        const templateError = checkTemplate(template);
+        if (templateError) {
+            return res.status(400).json({
+                error: templateError
+            });
+        }
+
+        const result = await insert('plantillas_problemas', {
+            ...template,
+            parametros: JSON.stringify(template.parametros),
+            restricciones: JSON.stringify(template.restricciones),
+            fecha_creacion: new Date()
+        });
+
+        const created = await findById('plantillas_problemas', result.insertId);
+
+        res.status(201).json({
+            message: 'Problema creado correctamente',
+            template: formatTemplate(created, true)
+        });
+    } catch (error) {
+        console.error('Error creando problema:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Editar una plantilla. Las variantes ya generadas conservan sus valores.
+router.put('/:templateId', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), templateValidation(true), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const existing = await findTemplate(req.params.templateId, res);
+        if (!existing) return;
+
+        const current = formatTemplate(existing, true);
+        const template = {
+            ...existing,
+            titulo: req.body.title ?? current.title,
+            enunciado: req.body.statement ?? current.statement,
+            parametros: req.body.parameters ?? current.parameters,
+            restricciones: req.body.constraints !== undefined ? (req.body.constraints ?? []) : current.constraints,
+            formula: req.body.formula ?? current.formula,
+            unidad_respuesta: req.body.answer_unit !== undefined ? (req.body.answer_unit ?? '') : current.answer_unit,
+            tolerancia: req.body.tolerance !== undefined ? req.body.tolerance : current.tolerance,
+            tipo_tolerancia: req.body.tolerance_type ?? current.tolerance_type,
+            cifras_significativas: req.body.significant_figures !== undefined
+                ? req.body.significant_figures
+                : current.significant_figures
+        };
+
+        const templateError = checkTemplate(template);
+        if (templateError) {
+            return res.status(400).json({
+                error: templateError
+            });
+        }
+
+        await update('plantillas_problemas', existing.id_plantilla, {
+            titulo: template.titulo,
+            enunciado: template.enunciado,
+            parametros: JSON.stringify(template.parametros),
+            restricciones: JSON.stringify(template.restricciones),
+            formula: template.formula,
+            unidad_respuesta: template.unidad_respuesta,
+            tolerancia: template.tolerancia,
+            tipo_tolerancia: template.tipo_tolerancia,
+            cifras_significativas: template.cifras_significativas,
+            fecha_actualizacion: new Date()
+        });
+        const updated = await findById('plantillas_problemas', existing.id_plantilla);
+
+        res.json({
+            message: 'Problema actualizado correctamente',
+            template: formatTemplate(updated, true)
+        });
+    } catch (error) {
+        console.error('Error actualizando problema:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Retirar una plantilla (se desactiva para conservar las variantes resueltas)
+router.delete('/:templateId', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.templateId, res);
+        if (!template) return;
+
+        await update('plantillas_problemas', template.id_plantilla, {
+            esta_activa: false,
+            fecha_actualizacion: new Date()
+        });
+
+        res.json({
+            message: 'Problema retirado correctamente'
+        });
+    } catch (error) {
+        console.error('Error retirando problema:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Vista previa de una variante con su solución (semilla aleatoria si no se indica)
+router.get('/:templateId/preview', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), previewValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const template = await findTemplate(req.params.templateId, res);
+        if (!template) return;
+
+        const seed = (req.query.seed || deriveSeed(template.id_plantilla, 0, Date.now())).toLowerCase();
+        const generated = generateVariant(template, seed);
+
+        res.json({
+            seed,
+            statement: generated.statement,
+            parameters: generated.parameters,
+            expected_answer: {
+                value: generated.expectedValue,
+                unit: template.unidad_respuesta
+            }
+        });
+    } catch (error) {
+        if (error instanceof ProblemError) {
+            return res.status(422).json({
+                error: error.message
+            });
+        }
+        console.error('Error generando vista previa:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Variante actual del usuario. La primera vez se genera; después, recargar
+// devuelve siempre la misma.
+router.get('/:templateId/variant', authenticateToken, requireRegisteredUser, async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.templateId, res);
+        if (!template) return;
+        if (!await checkModuleAccess(req, res, template)) return;
+
+        const variant = await findCurrentVariant(template.id_plantilla, req.user.userId)
+            || await createVariant(template, req.user.userId, 1);
+
+        res.json({
+            template: formatTemplate(template),
+            variant: formatVariant(variant, template)
+        });
+    } catch (error) {
+        if (error instanceof ProblemError) {
+            return res.status(422).json({
+                error: error.message
+            });
+        }
+        console.error('Error obteniendo variante:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Pedir una variante nueva (con otros valores) del mismo problema
+router.post('/:templateId/variant', authenticateToken, requireRegisteredUser, requireVerifiedEmail('progress'), async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.templateId, res);
+        if (!template) return;
+        if (!await checkModuleAccess(req, res, template)) return;
+
+        const current = await findCurrentVariant(template.id_plantilla, req.user.userId);
+        const variant = await createVariant(template, req.user.userId, current ? current.numero_variante + 1 : 1);
+
+        res.status(201).json({
+            message: 'Nueva variante generada',
+            template: formatTemplate(template),
+            variant: formatVariant(variant, template)
+        });
+    } catch (error) {
+        if (error instanceof ProblemError) {
+            return res.status(422).json({
+                error: error.message
+            });
+        }
+        console.error('Error generando variante:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Responder la variante actual. La solución solo se muestra una vez resuelta.
+router.post('/:templateId/variant/answer', authenticateToken, requireRegisteredUser, requireVerifiedEmail('progress'), answerValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const template = await findTemplate(req.params.templateId, res);
+        if (!template) return;
+        if (!await checkModuleAccess(req, res, template)) return;
+
+        const variant = await findCurrentVariant(template.id_plantilla, req.user.userId);
+        if (!variant) {
+            return res.status(404).json({
+                error: 'Todavía no tienes ninguna variante de este problema'
+            });
+        }
+        if (variant.estado === 'resuelta') {
+            return res.status(409).json({
+                error: 'Esta variante ya está resuelta, pide una nueva para seguir practicando'
+            });
+        }
+
+        const result = checkPhysicsAnswer(buildExpectedAnswer(template, variant), req.body.answer);
+        const solved = result.fraction === 1;
+
+        await query(`
+            UPDATE variantes_problemas
+            SET intentos = intentos + 1,
+                estado = IF(?, 'resuelta', estado),
+                fecha_resolucion = IF(?, ?, fecha_resolucion)
+            WHERE id_variante = ?
+        `, [solved, solved, new Date(), variant.id_variante]);
+        const updated = await findById('variantes_problemas', variant.id_variante);
+
+        res.json({
+            is_correct: solved,
+            score: Math.round(result.fraction * 100),
+            feedback: {
+                code: result.code,
+                message: result.message
+            },
+            variant: formatVariant(updated, template),
+            solution: solved
+                ? { value: Number(variant.respuesta_esperada), unit: template.unidad_respuesta }
+                : null
+        });
+    } catch (error) {
+        console.error('Error corrigiendo problema:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+export default router;
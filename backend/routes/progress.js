@@ -1,43 +1,59 @@
 import express from 'express';
-import { query, insert, update, findById } from '../config/database.js';
-import { authenticateToken } from './auth.js';
+import { query, findById } from '../config/database.js';
+import { authenticateToken, requireVerifiedEmail } from './auth.js';
+import {
+    ProgressEventError,
+    checkTrackableModule,
+    recordProgressEvent,
+    parseProgressEvent,
+    formatProgressEvent,
+    listProgressSummaries
+} from '../utils/progressEvents.js';
+import { getProgressOwner, ensureProgressRow } from '../utils/progressOwner.js';
 
 const router = express.Router();
 
-// Middleware: solo usuarios registrados pueden tener progreso
-const requireRegisteredUser = (req, res, next) => {
-    if (req.user.userType === 'guest') {
-        return res.status(200).json([]);
+// Módulo en el que se puede registrar progreso (ver checkTrackableModule).
+// Si no, responde y devuelve null.
+const findTrackableModule = async (req, res) => {
+    try {
+        return await checkTrackableModule(req.user, req.params.moduleId);
+    } catch (error) {
+        if (error instanceof ProgressEventError) {
+            sendProgressEventError(error, res);
+            return null;
+        }
+        throw error;
     }
-    next();
 };
 
-// Obtener progreso del usuario
+const findProgressSummary = async (owner, moduleId) => {
+    const progress = await query(`
+        SELECT 
+            pu.*,
+            m.titulo as module_title,
+            m.tipo_contenido as content_type,
+            m.nivel_dificultad as difficulty_level
+        FROM progreso_usuarios pu
+        JOIN modulos m ON pu.id_modulo = m.id_modulo
+        WHERE pu.${owner.column} = ? AND pu.id_modulo = ?
+    `, [owner.id, moduleId]);
+    return progress[0] || null;
+};
+
+const sendProgressEventError = (error, res) => {
+    res.status(error.status).json({
+        error: error.message,
+        ...error.details
+    });
+};
+
+// Obtener progreso del usuario (o de la sesión de invitado)
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        if (req.user.userType === 'guest') {
-            return res.json([]);
-        }
-
-        const userId = req.user.userId;
+        const owner = getProgressOwner(req.user);
 
-        const progress = await query(`
-            SELECT 
-                pu.id_progreso,
-                pu.id_modulo as module_id,
-                pu.porcentaje_completado as completion_percentage,
-                pu.tiempo_empleado as time_spent,
-                pu.ultimo_acceso as last_accessed,
-                pu.esta_completado as is_completed,
-                pu.puntuacion as score,
-                m.titulo as module_title,
-                m.tipo_contenido as content_type,
-                m.nivel_dificultad as difficulty_level
-            FROM progreso_usuarios pu
-            JOIN modulos m ON pu.id_modulo = m.id_modulo
-            WHERE pu.id_usuario = ?
-            ORDER BY m.indice_orden ASC
-        `, [userId]);
+        const progress = await listProgressSummaries(owner);
 
         res.json(progress);
     } catch (error) {
@@ -50,9 +66,9 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Obtener progreso de un módulo específico
-router.get('/:moduleId', authenticateToken, requireRegisteredUser, async (req, res) => {
+router.get('/:moduleId', authenticateToken, async (req, res) => {
     try {
-        const userId = req.user.userId;
+        const owner = getProgressOwner(req.user);
         const { moduleId } = req.params;
 
         const module = await findById('modulos', moduleId);
@@ -70,21 +86,12 @@ router.get('/:moduleId', authenticateToken, requireRegisteredUser, async (req, r
                 m.nivel_dificultad as difficulty_level
             FROM progreso_usuarios pu
             JOIN modulos m ON pu.id_modulo = m.id_modulo
-            WHERE pu.id_usuario = ? AND pu.id_modulo = ?
-        `, [userId, moduleId]);
+            WHERE pu.${owner.column} = ? AND pu.id_modulo = ?
+        `, [owner.id, moduleId]);
 
         if (progress.length === 0) {
-            const newProgress = {
-                id_usuario: userId,
-                id_modulo: moduleId,
-                porcentaje_completado: 0,
-                tiempo_empleado: 0,
-                esta_completado: false,
-                puntuacion: 0
-            };
-
-            const result = await insert('progreso_usuarios', newProgress);
-            
+            const progressId = await ensureProgressRow(owner, moduleId);
+
             const createdProgress = await query(`
                 SELECT 
                     pu.*,
@@ -94,7 +101,7 @@ router.get('/:moduleId', authenticateToken, requireRegisteredUser, async (req, r
                 FROM progreso_usuarios pu
                 JOIN modulos m ON pu.id_modulo = m.id_modulo
                 WHERE pu.id_progreso = ?
-            `, [result.insertId]);
+            `, [progressId]);
 
             return res.json(createdProgress[0]);
         }
@@ -109,82 +116,46 @@ router.get('/:moduleId', authenticateToken, requireRegisteredUser, async (req, r
     }
 });
 
-// Actualizar progreso de un módulo
-router.put('/:moduleId', authenticateToken, async (req, res) => {
+// Actualizar progreso de un módulo. Se registra como un evento de avance:
+// los campos que no se envían no cambian y el resumen nunca retrocede
+router.put('/:moduleId', authenticateToken, requireVerifiedEmail('progress'), async (req, res) => {
     try {
-        if (req.user.userType === 'guest') {
-            return res.status(200).json({
-                message: 'El progreso no se guarda para usuarios invitados',
-                tip: 'Crea una cuenta para guardar tu progreso'
-            });
-        }
-
-        const userId = req.user.userId;
-        const { moduleId } = req.params;
+        const owner = getProgressOwner(req.user);
         const { completion_percentage, time_spent, score } = req.body;
+        const isNumber = (value) => value !== undefined && value !== null && Number.isFinite(Number(value));
 
         // Validaciones
-        if (completion_percentage !== undefined && (completion_percentage < 0 || completion_percentage > 100)) {
+        if (completion_percentage !== undefined && (!isNumber(completion_percentage) || completion_percentage < 0 || completion_percentage > 100)) {
             return res.status(400).json({
                 error: 'El porcentaje de completado debe estar entre 0 y 100'
             });
         }
 
-        if (time_spent !== undefined && time_spent < 0) {
+        if (time_spent !== undefined && (!isNumber(time_spent) || time_spent < 0)) {
             return res.status(400).json({
                 error: 'El tiempo gastado no puede ser negativo'
             });
         }
 
-        if (score !== undefined && score < 0) {
+        if (score !== undefined && (!isNumber(score) || score < 0)) {
             return res.status(400).json({
                 error: 'La puntuación no puede ser negativa'
             });
         }
 
-        const module = await findById('modulos', moduleId);
-        if (!module) {
-            return res.status(404).json({
-                error: 'Módulo no encontrado'
-            });
-        }
+        const module = await findTrackableModule(req, res);
+        if (!module) return;
 
-        const existingProgress = await query(`
-            SELECT id_progreso FROM progreso_usuarios 
-            WHERE id_usuario = ? AND id_modulo = ?
-        `, [userId, moduleId]);
-
-        let progressData = {
-            porcentaje_completado: completion_percentage || 0,
-            tiempo_empleado: time_spent || 0,
-            puntuacion: score || 0,
-            esta_completado: completion_percentage >= 100,
-            ultimo_acceso: new Date()
-        };
-
-        let result;
-        if (existingProgress.length === 0) {
-            progressData.id_usuario = userId;
-            progressData.id_modulo = moduleId;
-            result = await insert('progreso_usuarios', progressData);
-        } else {
-            result = await update('progreso_usuarios', existingProgress[0].id_progreso, progressData);
-        }
-
-        const updatedProgress = await query(`
-            SELECT 
-                pu.*,
-                m.titulo as module_title,
-                m.tipo_contenido as content_type,
-                m.nivel_dificultad as difficulty_level
-            FROM progreso_usuarios pu
-            JOIN modulos m ON pu.id_modulo = m.id_modulo
-            WHERE pu.id_usuario = ? AND pu.id_modulo = ?
-        `, [userId, moduleId]);
+        await recordProgressEvent(owner, module, {
+            type: 'avance',
+            percentage: completion_percentage !== undefined ? Number(completion_percentage) : undefined,
+            totalSeconds: time_spent !== undefined ? Math.round(Number(time_spent)) : undefined,
+            score: score !== undefined ? Math.round(Number(score)) : undefined
+        });
 
         res.json({
             message: 'Progreso actualizado correctamente',
-            progress: updatedProgress[0]
+            progress: await findProgressSummary(owner, module.id_modulo)
         });
 
     } catch (error) {
@@ -197,64 +168,34 @@ router.put('/:moduleId', authenticateToken, async (req, res) => {
 });
 
 // Marcar módulo como completado
-router.post('/:moduleId/complete', authenticateToken, async (req, res) => {
+router.post('/:moduleId/complete', authenticateToken, requireVerifiedEmail('progress'), async (req, res) => {
     try {
-        if (req.user.userType === 'guest') {
-            return res.status(200).json({
-                message: 'El progreso no se guarda para usuarios invitados',
-                tip: 'Crea una cuenta para guardar tu progreso'
-            });
-        }
-
-        const userId = req.user.userId;
-        const { moduleId } = req.params;
+        const owner = getProgressOwner(req.user);
         const { score } = req.body;
 
-        const module = await findById('modulos', moduleId);
-        if (!module) {
-            return res.status(404).json({
-                error: 'Módulo no encontrado'
+        if (score !== undefined && !(Number(score) >= 0)) {
+            return res.status(400).json({
+                error: 'La puntuación no puede ser negativa'
             });
         }
 
-        const existingProgress = await query(`
-            SELECT id_progreso FROM progreso_usuarios 
-            WHERE id_usuario = ? AND id_modulo = ?
-        `, [userId, moduleId]);
+        const module = await findTrackableModule(req, res);
+        if (!module) return;
 
-        let progressData = {
-            porcentaje_completado: 100,
-            esta_completado: true,
-            puntuacion: score || 0,
-            ultimo_acceso: new Date()
-        };
-
-        if (existingProgress.length === 0) {
-            progressData.id_usuario = userId;
-            progressData.id_modulo = moduleId;
-            progressData.tiempo_empleado = 0;
-            await insert('progreso_usuarios', progressData);
-        } else {
-            await update('progreso_usuarios', existingProgress[0].id_progreso, progressData);
-        }
-
-        const completedProgress = await query(`
-            SELECT 
-                pu.*,
-                m.titulo as module_title,
-                m.tipo_contenido as content_type,
-                m.nivel_dificultad as difficulty_level
-            FROM progreso_usuarios pu
-            JOIN modulos m ON pu.id_modulo = m.id_modulo
-            WHERE pu.id_usuario = ? AND pu.id_modulo = ?
-        `, [userId, moduleId]);
+        await recordProgressEvent(owner, module, {
+            type: 'completado',
+            score: score !== undefined ? Math.round(Number(score)) : undefined
+        });
 
         res.json({
             message: 'Módulo completado correctamente',
-            progress: completedProgress[0]
+            progress: await findProgressSummary(owner, module.id_modulo)
         });
 
     } catch (error) {
+        if (error instanceof ProgressEventError) {
+            return sendProgressEventError(error, res);
+        }
         console.error('Error completando módulo:', error);
         res.status(500).json({
             error: 'Error interno del servidor',
@@ -266,22 +207,7 @@ router.post('/:moduleId/complete', authenticateToken, async (req, res) => {
 // Obtener estadísticas generales del usuario
 router.get('/stats/summary', authenticateToken, async (req, res) => {
     try {
-        if (req.user.userType === 'guest') {
-            return res.json({
-                total_modules_started: 0,
-                completed_modules: 0,
-                average_completion: 0,
-                total_time_spent: 0,
-                total_score: 0,
-                best_score: 0,
-                first_access: null,
-                last_access: null,
-                total_available_modules: 0,
-                completion_rate: 0
-            });
-        }
-
-        const userId = req.user.userId;
+        const owner = getProgressOwner(req.user);
 
         const stats = await query(`
             SELECT 
@@ -294,8 +220,8 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
                 MIN(ultimo_acceso) as first_access,
                 MAX(ultimo_acceso) as last_access
             FROM progreso_usuarios 
-            WHERE id_usuario = ?
-        `, [userId]);
+            WHERE ${owner.column} = ?
+        `, [owner.id]);
 
         const totalModules = await query(`
             SELECT COUNT(*) as total_available 
@@ -321,4 +247,97 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
     }
 });
 
-export default router;
\ No newline at end of file
+// Marcar una sección como completada; el porcentaje del módulo se recalcula
+// y el módulo queda completado al terminar todas las secciones obligatorias
+router.post('/:moduleId/sections/:sectionId/complete', authenticateToken, requireVerifiedEmail('progress'), async (req, res) => {
+    try {
+        const owner = getProgressOwner(req.user);
+
+        const module = await findTrackableModule(req, res);
+        if (!module) return;
+
+        const { sections } = await recordProgressEvent(owner, module, {
+            type: 'seccion_completada',
+            sectionId: Number(req.params.sectionId)
+        });
+        const progress = await findProgressSummary(owner, module.id_modulo);
+
+        res.json({
+            message: 'Sección completada correctamente',
+            section_id: Number(req.params.sectionId),
+            module_id: module.id_modulo,
+            sections,
+            module_completed: !!progress.esta_completado
+        });
+    } catch (error) {
+        if (error instanceof ProgressEventError) {
+            return sendProgressEventError(error, res);
+        }
+        console.error('Error completando sección:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Registrar un evento de progreso (apertura, latido, sección completada,
+// puntuación...). Con client_event_id reenviar el mismo evento no lo duplica.
+router.post('/:moduleId/events', authenticateToken, requireVerifiedEmail('progress'), async (req, res) => {
+    try {
+        const owner = getProgressOwner(req.user);
+
+        const { event, error: eventError } = parseProgressEvent(req.body);
+        if (eventError) {
+            return res.status(400).json({
+                error: eventError
+            });
+        }
+
+        const module = await findTrackableModule(req, res);
+        if (!module) return;
+
+        const result = await recordProgressEvent(owner, module, event);
+
+        res.status(result.duplicate ? 200 : 201).json({
+            message: result.duplicate ? 'El evento ya estaba registrado' : 'Evento registrado correctamente',
+            duplicate: result.duplicate,
+            event: formatProgressEvent(result.event),
+            progress: await findProgressSummary(owner, module.id_modulo)
+        });
+    } catch (error) {
+        if (error instanceof ProgressEventError) {
+            return sendProgressEventError(error, res);
+        }
+        console.error('Error registrando evento de progreso:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+// Historial de eventos de progreso del usuario en un módulo (más recientes primero)
+router.get('/:moduleId/events', authenticateToken, async (req, res) => {
+    try {
+        const owner = getProgressOwner(req.user);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+        const events = await query(`
+            SELECT * FROM eventos_progreso
+            WHERE ${owner.column} = ? AND id_modulo = ?
+            ORDER BY fecha_evento DESC, id_evento DESC
+            LIMIT ${limit}
+        `, [owner.id, req.params.moduleId]);
+
+        res.json(events.map(formatProgressEvent));
+    } catch (error) {
+        console.error('Error obteniendo eventos de progreso:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor',
+            details: error.message
+        });
+    }
+});
+
+export default router;
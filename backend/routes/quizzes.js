@@ -0,0 +1,721 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, insert, update, findById, transaction, readJsonColumn } from '../config/database.js';
+import { authenticateToken, optionalAuthenticateToken, authorize, requireVerifiedEmail } from './auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { QUESTION_TYPES, normalizeQuestionType } from '../config/modules.js';
+import { getModuleLockStatus } from '../utils/prerequisites.js';
+import {
+    validateQuestionDefinition,
+    gradeAnswer,
+    formatQuestion,
+    formatQuizSettings,
+    formatAttempt,
+    getQuizSettings,
+    loadActiveQuestions,
+    shuffle,
+    isAttemptExpired,
+    syncQuizScore
+} from '../utils/quiz.js';
+import { parseQuantity, describeQuantity, describeDimension, UnitError } from '../utils/units.js';
+
+const router = express.Router();
+
+// Middleware: los intentos se guardan por usuario, los invitados no pueden hacerlos
+const requireRegisteredUser = (req, res, next) => {
+    if (req.user.userType === 'guest') {
+        return res.status(403).json({
+            error: 'Los cuestionarios no están disponibles para usuarios invitados',
+            tip: 'Crea una cuenta para hacer los cuestionarios'
+        });
+    }
+    next();
+};
+
+// Validaciones para crear/editar preguntas (en la edición todos los campos son opcionales)
+const questionValidation = (isUpdate = false) => {
+    const field = (name) => isUpdate ? body(name).optional() : body(name);
+
+    return [
+        field('type')
+            .customSanitizer(normalizeQuestionType)
+            .notEmpty()
+            .withMessage(`Tipo de pregunta inválido (${QUESTION_TYPES.join(', ')})`),
+        field('statement')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 5000 })
+            .withMessage('El enunciado debe tener entre 1 y 5000 caracteres'),
+        body('options')
+            .optional({ values: 'null' })
+            .isArray({ max: 20 })
+            .withMessage('Las opciones deben ser una lista (máximo 20)'),
+        field('answer')
+            .exists({ values: 'null' })
+            .withMessage('Se requiere la respuesta correcta'),
+        body('explanation')
+            .optional({ values: 'null' })
+            .isString()
+            .withMessage('La explicación debe ser texto'),
+        body('points')
+            .optional()
+            .isFloat({ min: 0, max: 1000 })
+            .withMessage('Los puntos deben ser un número entre 0 y 1000')
+            .toFloat(),
+        body('order_index')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('El índice de orden debe ser un entero positivo')
+            .toInt()
+    ];
+};
+
+const settingsValidation = [
+    body('max_attempts')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('El número de intentos debe ser un entero mayor que 0')
+        .toInt(),
+    body('time_limit_minutes')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 600 })
+        .withMessage('El límite de tiempo debe estar entre 1 y 600 minutos')
+        .toInt(),
+    body('passing_score')
+        .optional()
+        .isInt({ min: 0, max: 100 })
+        .withMessage('La puntuación para aprobar debe estar entre 0 y 100')
+        .toInt(),
+    body('scoring_policy')
+        .optional()
+        .isIn(['best', 'last'])
+        .withMessage('scoring_policy debe ser best o last'),
+    body('shuffle_questions')
+        .optional()
+        .isBoolean()
+        .withMessage('shuffle_questions debe ser booleano')
+        .toBoolean(),
+    body('show_solutions')
+        .optional()
+        .isBoolean()
+        .withMessage('show_solutions debe ser booleano')
+        .toBoolean()
+];
+
+const submitValidation = [
+    body('answers')
+        .isArray()
+        .withMessage('Se requiere la lista de respuestas'),
+    body('answers.*.question_id')
+        .isInt({ min: 1 })
+        .withMessage('ID de pregunta inválido')
+        .toInt()
+];
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Datos inválidos',
+            details: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+const findModule = async (moduleId, res) => {
+    const module = await findById('modulos', moduleId);
+    if (!module) {
+        res.status(404).json({
+            error: 'Módulo no encontrado'
+        });
+        return null;
+    }
+    return module;
+};
+
+// Preguntas de un intento en el orden en que se mostraron. En las de
+// ordenación las opciones se muestran barajadas para no revelar la respuesta.
+const buildAttemptQuestions = async (attempt) => {
+    const layout = readJsonColumn(attempt.preguntas) || [];
+    if (layout.length === 0) {
+        return [];
+    }
+
+    const rows = await query(
+        `SELECT * FROM preguntas_modulos WHERE id_pregunta IN (${layout.map(() => '?').join(', ')})`,
+        layout.map(item => item.id)
+    );
+    const byId = new Map(rows.map(row => [row.id_pregunta, row]));
+
+    return layout
+        .filter(item => byId.has(item.id))
+        .map(item => {
+            const question = byId.get(item.id);
+            const formatted = formatQuestion(question);
+            if (item.options && formatted.options) {
+                const options = new Map(formatted.options.map(option => [option.id, option]));
+                formatted.options = item.options.filter(id => options.has(id)).map(id => options.get(id));
+            }
+            return { question, formatted };
+        });
+};
+
+// Interpretar una magnitud con unidades ("2,5 mT") para previsualizar
+// cómo se corregirá la respuesta antes de entregarla
+router.post('/units/parse', async (req, res) => {
+    try {
+        const { input } = req.body;
+        if (typeof input !== 'string' || input.trim() === '' || input.length > 100) {
+            return res.status(400).json({
+                error: 'Indica la magnitud a interpretar (máximo 100 caracteres)'
+            });
+        }
+
+        const parsed = parseQuantity(input);
+
+        res.json({
+            ...describeQuantity(parsed),
+            dimension: describeDimension(parsed.unit.dim)
+        });
+    } catch (error) {
+        if (error instanceof UnitError) {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code
+            });
+        }
+        console.error('Error interpretando magnitud:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Resumen del cuestionario de un módulo y, con token, de los intentos del usuario
+router.get('/:moduleId', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const module = await findModule(req.params.moduleId, res);
+        if (!module) return;
+
+        const settings = await getQuizSettings(module.id_modulo);
+        const questions = await loadActiveQuestions(module.id_modulo);
+
+        let attempts = null;
+        if (req.user && req.user.userType !== 'guest') {
+            const rows = await query(
+                'SELECT * FROM intentos_cuestionarios WHERE id_usuario = ? AND id_modulo = ? ORDER BY numero_intento ASC',
+                [req.user.userId, module.id_modulo]
+            );
+            const inProgress = rows.find(row => row.estado === 'en_curso' && !isAttemptExpired(row));
+            attempts = {
+                used: rows.length,
+                remaining: settings.intentos_maximos !== null
+                    ? Math.max(0, settings.intentos_maximos - rows.length)
+                    : null,
+                best_score: rows.reduce((best, row) => row.estado === 'entregado' && row.puntuacion > (best ?? -1)
+                    ? row.puntuacion
+                    : best, null),
+                in_progress_attempt_id: inProgress ? inProgress.id_intento : null
+            };
+        }
+
+        res.json({
+            module_id: module.id_modulo,
+            question_count: questions.length,
+            total_points: questions.reduce((total, question) => total + Number(question.puntos), 0),
+            settings: formatQuizSettings(settings),
+            attempts
+        });
+    } catch (error) {
+        console.error('Error obteniendo cuestionario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Banco de preguntas completo, con las respuestas (gestión de contenidos)
+router.get('/:moduleId/questions', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const module = await findModule(req.params.moduleId, res);
+        if (!module) return;
+
+        const questions = await query(
+            'SELECT * FROM preguntas_modulos WHERE id_modulo = ? ORDER BY esta_activa DESC, indice_orden ASC, id_pregunta ASC',
+            [module.id_modulo]
+        );
+
+        res.json(questions.map(question => formatQuestion(question, true)));
+    } catch (error) {
+        console.error('Error obteniendo preguntas:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Añadir una pregunta al banco del módulo
+router.post('/:moduleId/questions', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), questionValidation(), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const module = await findModule(req.params.moduleId, res);
+        if (!module) return;
+
+        const { type, statement, options, answer, explanation, points, order_index } = req.body;
+        const definitionError = validateQuestionDefinition(type, options, answer);
+        if (definitionError) {
+            return res.status(400).json({
+                error: definitionError
+            });
+        }
+
+        let orderIndex = order_index;
+        if (orderIndex === undefined) {
+            const last = await query(
+                'SELECT COALESCE(MAX(indice_orden), 0) as max_order FROM preguntas_modulos WHERE id_modulo = ?',
+                [module.id_modulo]
+            );
+            orderIndex = Number(last[0].max_order) + 1;
+        }
+
+        const result = await insert('preguntas_modulos', {
+            id_modulo: module.id_modulo,
+            tipo_pregunta: type,
+            enunciado: statement,
+            opciones: type === 'numerica' ? null : JSON.stringify(options),
+            respuesta_correcta: JSON.stringify(answer),
+            explicacion: explanation ?? null,
+            puntos: points ?? 1,
+            indice_orden: orderIndex,
+            fecha_creacion: new Date()
+        });
+
+        const question = await findById('preguntas_modulos', result.insertId);
+
+        res.status(201).json({
+            message: 'Pregunta creada correctamente',
+            question: formatQuestion(question, true)
+        });
+    } catch (error) {
+        console.error('Error creando pregunta:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Editar una pregunta. Los intentos ya entregados conservan su corrección.
+router.put('/:moduleId/questions/:questionId', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), questionValidation(true), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const question = await findById('preguntas_modulos', req.params.questionId);
+        if (!question || String(question.id_modulo) !== String(req.params.moduleId)) {
+            return res.status(404).json({
+                error: 'Pregunta no encontrada'
+            });
+        }
+
+        const current = formatQuestion(question, true);
+        const type = req.body.type ?? current.type;
+        const options = req.body.options !== undefined ? req.body.options : current.options;
+        const answer = req.body.answer !== undefined ? req.body.answer : current.answer;
+
+        const definitionError = validateQuestionDefinition(type, options, answer);
+        if (definitionError) {
+            return res.status(400).json({
+                error: definitionError
+            });
+        }
+
+        const columns = {
+            tipo_pregunta: type,
+            opciones: type === 'numerica' ? null : JSON.stringify(options),
+            respuesta_correcta: JSON.stringify(answer),
+            fecha_actualizacion: new Date()
+        };
+        if (req.body.statement !== undefined) columns.enunciado = req.body.statement;
+        if (req.body.explanation !== undefined) columns.explicacion = req.body.explanation;
+        if (req.body.points !== undefined) columns.puntos = req.body.points;
+        if (req.body.order_index !== undefined) columns.indice_orden = req.body.order_index;
+
+        await update('preguntas_modulos', question.id_pregunta, columns);
+        const updated = await findById('preguntas_modulos', question.id_pregunta);
+
+        res.json({
+            message: 'Pregunta actualizada correctamente',
+            question: formatQuestion(updated, true)
+        });
+    } catch (error) {
+        console.error('Error actualizando pregunta:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Retirar una pregunta (se desactiva para conservar las respuestas de intentos anteriores)
+router.delete('/:moduleId/questions/:questionId', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), async (req, res) => {
+    try {
+        const question = await findById('preguntas_modulos', req.params.questionId);
+        if (!question || String(question.id_modulo) !== String(req.params.moduleId)) {
+            return res.status(404).json({
+                error: 'Pregunta no encontrada'
+            });
+        }
+
+        await update('preguntas_modulos', question.id_pregunta, {
+            esta_activa: false,
+            fecha_actualizacion: new Date()
+        });
+
+        res.json({
+            message: 'Pregunta retirada correctamente'
+        });
+    } catch (error) {
+        console.error('Error retirando pregunta:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Configurar intentos, límite de tiempo y puntuación del cuestionario
+router.put('/:moduleId/settings', authenticateToken, authorize(PERMISSIONS.MODULES_MANAGE), settingsValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const module = await findModule(req.params.moduleId, res);
+        if (!module) return;
+
+        const current = await getQuizSettings(module.id_modulo);
+        const { max_attempts, time_limit_minutes, passing_score, scoring_policy, shuffle_questions, show_solutions } = req.body;
+
+        const settings = {
+            intentos_maximos: max_attempts !== undefined ? max_attempts : current.intentos_maximos,
+            limite_tiempo_minutos: time_limit_minutes !== undefined ? time_limit_minutes : current.limite_tiempo_minutos,
+            puntuacion_aprobado: passing_score ?? current.puntuacion_aprobado,
+            politica_puntuacion: scoring_policy !== undefined
+                ? (scoring_policy === 'last' ? 'ultimo' : 'mejor')
+                : current.politica_puntuacion,
+            mezclar_preguntas: shuffle_questions ?? !!current.mezclar_preguntas,
+            mostrar_soluciones: show_solutions ?? !!current.mostrar_soluciones
+        };
+
+        await query(`
+            INSERT INTO configuracion_cuestionarios
+                (id_modulo, intentos_maximos, limite_tiempo_minutos, puntuacion_aprobado,
+                 politica_puntuacion, mezclar_preguntas, mostrar_soluciones, fecha_actualizacion)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                intentos_maximos = VALUES(intentos_maximos),
+                limite_tiempo_minutos = VALUES(limite_tiempo_minutos),
+                puntuacion_aprobado = VALUES(puntuacion_aprobado),
+                politica_puntuacion = VALUES(politica_puntuacion),
+                mezclar_preguntas = VALUES(mezclar_preguntas),
+                mostrar_soluciones = VALUES(mostrar_soluciones),
+                fecha_actualizacion = VALUES(fecha_actualizacion)
+        `, [
+            module.id_modulo,
+            settings.intentos_maximos,
+            settings.limite_tiempo_minutos,
+            settings.puntuacion_aprobado,
+            settings.politica_puntuacion,
+            settings.mezclar_preguntas,
+            settings.mostrar_soluciones,
+            new Date()
+        ]);
+
+        res.json({
+            message: 'Configuración del cuestionario actualizada correctamente',
+            settings: formatQuizSettings(settings)
+        });
+    } catch (error) {
+        console.error('Error actualizando configuración del cuestionario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Intentos del usuario en el cuestionario de un módulo
+router.get('/:moduleId/attempts', authenticateToken, requireRegisteredUser, async (req, res) => {
+    try {
+        const attempts = await query(
+            'SELECT * FROM intentos_cuestionarios WHERE id_usuario = ? AND id_modulo = ? ORDER BY numero_intento ASC',
+            [req.user.userId, req.params.moduleId]
+        );
+
+        res.json(attempts.map(formatAttempt));
+    } catch (error) {
+        console.error('Error obteniendo intentos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Empezar un intento (si hay uno en curso se devuelve ese)
+router.post('/:moduleId/attempts', authenticateToken, requireRegisteredUser, requireVerifiedEmail('progress'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const module = await findModule(req.params.moduleId, res);
+        if (!module) return;
+
+        if (!module.esta_activo) {
+            return res.status(404).json({
+                error: 'Módulo no disponible'
+            });
+        }
+
+        const lockStatus = await getModuleLockStatus(req.user, module.id_modulo);
+        if (lockStatus.locked) {
+            return res.status(403).json({
+                error: 'Módulo bloqueado: completa antes sus prerrequisitos',
+                missing_prerequisites: lockStatus.missing_prerequisites
+            });
+        }
+
+        const settings = await getQuizSettings(module.id_modulo);
+        const attempts = await query(
+            'SELECT * FROM intentos_cuestionarios WHERE id_usuario = ? AND id_modulo = ? ORDER BY numero_intento ASC',
+            [userId, module.id_modulo]
+        );
+
+        // Retomar el intento en curso o cerrar el que se quedó sin tiempo
+        const inProgress = attempts.find(attempt => attempt.estado === 'en_curso');
+        if (inProgress && !isAttemptExpired(inProgress)) {
+            const questions = await buildAttemptQuestions(inProgress);
+            return res.json({
+                message: 'Tienes un intento en curso',
+                attempt: formatAttempt(inProgress),
+                questions: questions.map(item => item.formatted)
+            });
+        }
+        if (inProgress) {
+            await update('intentos_cuestionarios', inProgress.id_intento, {
+                estado: 'caducado',
+                puntos_obtenidos: 0,
+                puntuacion: 0,
+                fecha_entrega: new Date()
+            });
+        }
+
+        if (settings.intentos_maximos !== null && attempts.length >= settings.intentos_maximos) {
+            return res.status(403).json({
+                error: 'Has agotado los intentos de este cuestionario',
+                max_attempts: settings.intentos_maximos
+            });
+        }
+
+        const activeQuestions = await loadActiveQuestions(module.id_modulo);
+        if (activeQuestions.length === 0) {
+            return res.status(404).json({
+                error: 'Este módulo no tiene cuestionario'
+            });
+        }
+
+        const ordered = settings.mezclar_preguntas ? shuffle(activeQuestions) : activeQuestions;
+        const layout = ordered.map(question => ({
+            id: question.id_pregunta,
+            options: question.tipo_pregunta === 'numerica'
+                ? null
+                : (question.tipo_pregunta === 'ordenacion' || settings.mezclar_preguntas
+                    ? shuffle(formatQuestion(question).options.map(option => option.id))
+                    : null)
+        }));
+
+        const now = new Date();
+        const deadline = settings.limite_tiempo_minutos
+            ? new Date(now.getTime() + settings.limite_tiempo_minutos * 60000)
+            : null;
+        const totalPoints = ordered.reduce((total, question) => total + Number(question.puntos), 0);
+
+        const result = await insert('intentos_cuestionarios', {
+            id_usuario: userId,
+            id_modulo: module.id_modulo,
+            numero_intento: attempts.length + 1,
+            estado: 'en_curso',
+            preguntas: JSON.stringify(layout),
+            puntos_totales: totalPoints,
+            fecha_inicio: now,
+            fecha_limite: deadline
+        });
+
+        const attempt = await findById('intentos_cuestionarios', result.insertId);
+        const questions = await buildAttemptQuestions(attempt);
+
+        res.status(201).json({
+            message: 'Intento iniciado',
+            attempt: formatAttempt(attempt),
+            questions: questions.map(item => item.formatted)
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'Ya se está iniciando otro intento, vuelve a intentarlo'
+            });
+        }
+        console.error('Error iniciando intento:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Detalle de un intento. Una vez entregado incluye la corrección de cada
+// pregunta y, si el cuestionario lo permite, las soluciones.
+router.get('/:moduleId/attempts/:attemptId', authenticateToken, requireRegisteredUser, async (req, res) => {
+    try {
+        const attempt = await findById('intentos_cuestionarios', req.params.attemptId);
+        if (!attempt || attempt.id_usuario !== req.user.userId || String(attempt.id_modulo) !== String(req.params.moduleId)) {
+            return res.status(404).json({
+                error: 'Intento no encontrado'
+            });
+        }
+
+        const questions = await buildAttemptQuestions(attempt);
+        if (attempt.estado === 'en_curso') {
+            return res.json({
+                attempt: formatAttempt(attempt),
+                questions: questions.map(item => item.formatted)
+            });
+        }
+
+        const settings = await getQuizSettings(attempt.id_modulo);
+        const answers = await query('SELECT * FROM respuestas_intentos WHERE id_intento = ?', [attempt.id_intento]);
+        const answersByQuestion = new Map(answers.map(answer => [answer.id_pregunta, answer]));
+
+        res.json({
+            attempt: formatAttempt(attempt),
+            passed: attempt.estado === 'entregado' && attempt.puntuacion >= settings.puntuacion_aprobado,
+            questions: questions.map(({ question, formatted }) => {
+                const answer = answersByQuestion.get(question.id_pregunta);
+                const result = {
+                    ...formatted,
+                    response: answer ? readJsonColumn(answer.respuesta) : null,
+                    is_correct: answer ? !!answer.es_correcta : false,
+                    points_earned: answer ? Number(answer.puntos_obtenidos) : 0,
+                    feedback: answer ? answer.retroalimentacion : null
+                };
+                if (settings.mostrar_soluciones) {
+                    const solution = formatQuestion(question, true);
+                    result.solution = solution.answer;
+                    result.explanation = solution.explanation;
+                }
+                return result;
+            })
+        });
+    } catch (error) {
+        console.error('Error obteniendo intento:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Entregar un intento: se corrige en el servidor y la puntuación pasa al progreso del módulo
+router.post('/:moduleId/attempts/:attemptId/submit', authenticateToken, requireRegisteredUser, requireVerifiedEmail('progress'), submitValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const attempt = await findById('intentos_cuestionarios', req.params.attemptId);
+        if (!attempt || attempt.id_usuario !== req.user.userId || String(attempt.id_modulo) !== String(req.params.moduleId)) {
+            return res.status(404).json({
+                error: 'Intento no encontrado'
+            });
+        }
+
+        const responses = new Map(req.body.answers.map(answer => [answer.question_id, answer.answer]));
+        const questions = await buildAttemptQuestions(attempt);
+        const expired = isAttemptExpired(attempt);
+
+        const graded = questions.map(({ question }) => {
+            const response = responses.has(question.id_pregunta) ? responses.get(question.id_pregunta) : null;
+            const { fraction, feedback } = gradeAnswer(question, response);
+            return {
+                question,
+                response,
+                fraction,
+                feedback,
+                points: Math.round(fraction * Number(question.puntos) * 100) / 100
+            };
+        });
+
+        const pointsEarned = graded.reduce((total, item) => total + item.points, 0);
+        const pointsTotal = Number(attempt.puntos_totales) || 0;
+        const score = pointsTotal > 0 ? Math.round(pointsEarned * 100 / pointsTotal) : 0;
+
+        // Las entregas fuera de tiempo se corrigen pero no cuentan para el progreso
+        const status = expired ? 'caducado' : 'entregado';
+
+        const submitted = await transaction(async (connection) => {
+            const [rows] = await connection.execute(
+                'SELECT estado FROM intentos_cuestionarios WHERE id_intento = ? FOR UPDATE',
+                [attempt.id_intento]
+            );
+            if (rows[0].estado !== 'en_curso') {
+                return false;
+            }
+
+            for (const item of graded) {
+                await connection.execute(`
+                    INSERT INTO respuestas_intentos
+                        (id_intento, id_pregunta, respuesta, es_correcta, puntos_obtenidos, retroalimentacion)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [
+                    attempt.id_intento,
+                    item.question.id_pregunta,
+                    item.response === null ? null : JSON.stringify(item.response),
+                    item.fraction === 1,
+                    item.points,
+                    item.feedback ? item.feedback.message.substring(0, 500) : null
+                ]);
+            }
+
+            await connection.execute(`
+                UPDATE intentos_cuestionarios
+                SET estado = ?, puntos_obtenidos = ?, puntuacion = ?, fecha_entrega = ?
+                WHERE id_intento = ?
+            `, [status, pointsEarned, score, new Date(), attempt.id_intento]);
+
+            return true;
+        });
+
+        if (!submitted) {
+            return res.status(409).json({
+                error: 'Este intento ya se entregó'
+            });
+        }
+
+        const settings = await getQuizSettings(attempt.id_modulo);
+        const progressScore = await syncQuizScore(req.user.userId, attempt.id_modulo, settings);
+        const updatedAttempt = await findById('intentos_cuestionarios', attempt.id_intento);
+
+        res.json({
+            message: expired
+                ? 'El intento se entregó fuera de tiempo y no cuenta para tu progreso'
+                : 'Intento entregado correctamente',
+            attempt: formatAttempt(updatedAttempt),
+            passed: !expired && score >= settings.puntuacion_aprobado,
+            module_score: progressScore,
+            results: graded.map(item => ({
+                question_id: item.question.id_pregunta,
+                is_correct: item.fraction === 1,
+                points_earned: item.points,
+                points: Number(item.question.puntos),
+                feedback: item.feedback
+            }))
+        });
+    } catch (error) {
+        console.error('Error entregando intento:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+export default router;
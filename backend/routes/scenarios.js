@@ -0,0 +1,428 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { query, insert, update, findById, findByField } from '../config/database.js';
+import { authenticateToken, optionalAuthenticateToken } from './auth.js';
+import { PERMISSIONS, hasPermission } from '../config/roles.js';
+import { SIMULATION_LIMITS } from '../config/simulations.js';
+import { SimulationError, parseScenario } from '../utils/fields.js';
+import { generateShareToken, buildShareUrl, formatScenario } from '../utils/scenarios.js';
+
+const router = express.Router();
+
+// Middleware: los escenarios se guardan por usuario, los invitados no pueden guardarlos
+const requireRegisteredUser = (req, res, next) => {
+    if (req.user.userType === 'guest') {
+        return res.status(403).json({
+            error: 'Los escenarios no están disponibles para usuarios invitados',
+            tip: 'Crea una cuenta para guardar tus escenarios'
+        });
+    }
+    next();
+};
+
+// Validaciones para crear/editar escenarios (en la edición todos los campos son opcionales)
+const scenarioValidation = (isUpdate = false) => {
+    const field = (name) => isUpdate ? body(name).optional() : body(name);
+
+    return [
+        field('name')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('El nombre debe tener entre 1 y 100 caracteres'),
+        body('description')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 2000 })
+            .withMessage('La descripción no puede superar 2000 caracteres'),
+        field('config')
+            .isObject()
+            .withMessage('Se requiere la configuración del escenario'),
+        body('is_starter')
+            .optional()
+            .isBoolean()
+            .withMessage('is_starter debe ser booleano')
+            .toBoolean()
+    ];
+};
+
+const forkValidation = [
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('El nombre debe tener entre 1 y 100 caracteres')
+];
+
+const listValidation = [
+    queryParam('module_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('ID de módulo inválido')
+        .toInt()
+];
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Datos inválidos',
+            details: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+const canManageModules = (user) => !!user && hasPermission(user.userType, PERMISSIONS.MODULES_MANAGE);
+
+// Validar la configuración; responde 400 y devuelve null si no es válida
+const validateConfig = (config, res) => {
+    try {
+        return parseScenario(config);
+    } catch (error) {
+        if (error instanceof SimulationError) {
+            res.status(400).json({
+                error: error.message
+            });
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Escenario que el usuario puede modificar: el suyo o, para gestión de
+// contenidos, uno inicial del módulo
+const findEditableScenario = async (req, res) => {
+    const scenario = await findById('escenarios_simulacion', req.params.scenarioId);
+    const editable = scenario && (scenario.id_usuario === req.user.userId
+        || (scenario.es_inicial && canManageModules(req.user)));
+    if (!editable) {
+        res.status(404).json({
+            error: 'Escenario no encontrado'
+        });
+        return null;
+    }
+    return scenario;
+};
+
+const checkScenarioQuota = async (userId, res) => {
+    const count = await query(
+        'SELECT COUNT(*) as total FROM escenarios_simulacion WHERE id_usuario = ? AND es_inicial = false',
+        [userId]
+    );
+    if (Number(count[0].total) >= SIMULATION_LIMITS.maxScenariosPerUser) {
+        res.status(409).json({
+            error: `Has alcanzado el máximo de ${SIMULATION_LIMITS.maxScenariosPerUser} escenarios guardados`
+        });
+        return false;
+    }
+    return true;
+};
+
+// Copiar un escenario en la cuenta del usuario
+const forkScenario = async (req, res, source) => {
+    if (!await checkScenarioQuota(req.user.userId, res)) return;
+
+    const result = await insert('escenarios_simulacion', {
+        id_modulo: source.id_modulo,
+        id_usuario: req.user.userId,
+        nombre: req.body.name ?? source.nombre,
+        descripcion: source.descripcion,
+        configuracion: typeof source.configuracion === 'string' ? source.configuracion : JSON.stringify(source.configuracion),
+        es_inicial: false,
+        id_escenario_origen: source.id_escenario,
+        fecha_creacion: new Date()
+    });
+
+    const scenario = await findById('escenarios_simulacion', result.insertId);
+
+    res.status(201).json({
+        message: 'Escenario copiado en tu cuenta',
+        scenario: formatScenario(scenario, req.user.userId)
+    });
+};
+
+// Escenarios iniciales publicados por el profesorado para un módulo
+router.get('/module/:moduleId/starters', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const scenarios = await query(`
+            SELECT e.* FROM escenarios_simulacion e
+            JOIN modulos m ON e.id_modulo = m.id_modulo
+            WHERE e.id_modulo = ? AND e.es_inicial = true AND m.esta_activo = true
+            ORDER BY e.nombre ASC
+        `, [req.params.moduleId]);
+
+        res.json(scenarios.map(scenario => formatScenario(scenario, req.user ? req.user.userId : null)));
+    } catch (error) {
+        console.error('Error obteniendo escenarios iniciales:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Mis escenarios guardados (opcionalmente de un módulo)
+router.get('/mine', authenticateToken, requireRegisteredUser, listValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        let sql = 'SELECT * FROM escenarios_simulacion WHERE id_usuario = ? AND es_inicial = false';
+        const params = [req.user.userId];
+        if (req.query.module_id) {
+            sql += ' AND id_modulo = ?';
+            params.push(req.query.module_id);
+        }
+        sql += ' ORDER BY COALESCE(fecha_actualizacion, fecha_creacion) DESC';
+
+        const scenarios = await query(sql, params);
+
+        res.json(scenarios.map(scenario => formatScenario(scenario, req.user.userId)));
+    } catch (error) {
+        console.error('Error obteniendo escenarios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Ver un escenario compartido con un enlace
+router.get('/shared/:token', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const scenario = await findByField('escenarios_simulacion', 'token_compartir', req.params.token);
+        if (!scenario) {
+            return res.status(404).json({
+                error: 'Escenario no encontrado o ya no se comparte'
+            });
+        }
+
+        res.json(formatScenario(scenario, req.user ? req.user.userId : null));
+    } catch (error) {
+        console.error('Error obteniendo escenario compartido:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Copiar en mi cuenta un escenario compartido
+router.post('/shared/:token/fork', authenticateToken, requireRegisteredUser, forkValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const scenario = await findByField('escenarios_simulacion', 'token_compartir', req.params.token);
+        if (!scenario) {
+            return res.status(404).json({
+                error: 'Escenario no encontrado o ya no se comparte'
+            });
+        }
+
+        await forkScenario(req, res, scenario);
+    } catch (error) {
+        console.error('Error copiando escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Guardar un escenario en un módulo. Con is_starter (gestión de contenidos)
+// se publica como escenario inicial del módulo.
+router.post('/module/:moduleId', authenticateToken, requireRegisteredUser, scenarioValidation(), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const isStarter = req.body.is_starter === true;
+        if (isStarter && !canManageModules(req.user)) {
+            return res.status(403).json({
+                error: 'No tienes permisos para publicar escenarios iniciales'
+            });
+        }
+
+        const module = await findById('modulos', req.params.moduleId);
+        if (!module || (!module.esta_activo && !canManageModules(req.user))) {
+            return res.status(404).json({
+                error: 'Módulo no encontrado'
+            });
+        }
+
+        const config = validateConfig(req.body.config, res);
+        if (!config) return;
+
+        if (!isStarter && !await checkScenarioQuota(req.user.userId, res)) return;
+
+        const result = await insert('escenarios_simulacion', {
+            id_modulo: module.id_modulo,
+            id_usuario: req.user.userId,
+            nombre: req.body.name,
+            descripcion: req.body.description ?? null,
+            configuracion: JSON.stringify(config),
+            es_inicial: isStarter,
+            fecha_creacion: new Date()
+        });
+
+        const scenario = await findById('escenarios_simulacion', result.insertId);
+
+        res.status(201).json({
+            message: isStarter ? 'Escenario inicial publicado' : 'Escenario guardado correctamente',
+            scenario: formatScenario(scenario, req.user.userId)
+        });
+    } catch (error) {
+        console.error('Error guardando escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Ver un escenario propio o uno inicial
+router.get('/:scenarioId', authenticateToken, async (req, res) => {
+    try {
+        const scenario = await findById('escenarios_simulacion', req.params.scenarioId);
+        if (!scenario || (!scenario.es_inicial && scenario.id_usuario !== req.user.userId)) {
+            return res.status(404).json({
+                error: 'Escenario no encontrado'
+            });
+        }
+
+        res.json(formatScenario(scenario, req.user.userId));
+    } catch (error) {
+        console.error('Error obteniendo escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Editar un escenario
+router.put('/:scenarioId', authenticateToken, requireRegisteredUser, scenarioValidation(true), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const scenario = await findEditableScenario(req, res);
+        if (!scenario) return;
+
+        if (req.body.is_starter !== undefined && !!req.body.is_starter !== !!scenario.es_inicial) {
+            return res.status(400).json({
+                error: 'No se puede cambiar si un escenario es inicial; crea uno nuevo'
+            });
+        }
+
+        const columns = { fecha_actualizacion: new Date() };
+        if (req.body.config !== undefined) {
+            const config = validateConfig(req.body.config, res);
+            if (!config) return;
+            columns.configuracion = JSON.stringify(config);
+        }
+        if (req.body.name !== undefined) columns.nombre = req.body.name;
+        if (req.body.description !== undefined) columns.descripcion = req.body.description;
+
+        await update('escenarios_simulacion', scenario.id_escenario, columns);
+        const updated = await findById('escenarios_simulacion', scenario.id_escenario);
+
+        res.json({
+            message: 'Escenario actualizado correctamente',
+            scenario: formatScenario(updated, req.user.userId)
+        });
+    } catch (error) {
+        console.error('Error actualizando escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Eliminar un escenario (las copias que se hicieron de él se conservan)
+router.delete('/:scenarioId', authenticateToken, requireRegisteredUser, async (req, res) => {
+    try {
+        const scenario = await findEditableScenario(req, res);
+        if (!scenario) return;
+
+        await query('DELETE FROM escenarios_simulacion WHERE id_escenario = ?', [scenario.id_escenario]);
+
+        res.json({
+            message: 'Escenario eliminado correctamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Compartir un escenario propio: genera (o devuelve) su enlace
+router.post('/:scenarioId/share', authenticateToken, requireRegisteredUser, async (req, res) => {
+    try {
+        const scenario = await findById('escenarios_simulacion', req.params.scenarioId);
+        if (!scenario || scenario.id_usuario !== req.user.userId) {
+            return res.status(404).json({
+                error: 'Escenario no encontrado'
+            });
+        }
+
+        let token = scenario.token_compartir;
+        if (!token) {
+            token = generateShareToken();
+            await update('escenarios_simulacion', scenario.id_escenario, { token_compartir: token });
+        }
+
+        res.json({
+            message: 'Enlace para compartir generado',
+            share_token: token,
+            share_url: buildShareUrl(token)
+        });
+    } catch (error) {
+        console.error('Error compartiendo escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Dejar de compartir: el enlace anterior deja de funcionar
+router.delete('/:scenarioId/share', authenticateToken, requireRegisteredUser, async (req, res) => {
+    try {
+        const scenario = await findById('escenarios_simulacion', req.params.scenarioId);
+        if (!scenario || scenario.id_usuario !== req.user.userId) {
+            return res.status(404).json({
+                error: 'Escenario no encontrado'
+            });
+        }
+
+        await update('escenarios_simulacion', scenario.id_escenario, { token_compartir: null });
+
+        res.json({
+            message: 'El escenario ya no se comparte'
+        });
+    } catch (error) {
+        console.error('Error dejando de compartir escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Copiar en mi cuenta un escenario inicial (o uno propio, para duplicarlo)
+router.post('/:scenarioId/fork', authenticateToken, requireRegisteredUser, forkValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const scenario = await findById('escenarios_simulacion', req.params.scenarioId);
+        if (!scenario || (!scenario.es_inicial && scenario.id_usuario !== req.user.userId)) {
+            return res.status(404).json({
+                error: 'Escenario no encontrado'
+            });
+        }
+
+        await forkScenario(req, res, scenario);
+    } catch (error) {
+        console.error('Error copiando escenario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,119 @@
+import express from 'express';
+import { SIMULATION_LIMITS, SOURCE_TYPES, FIELD_QUANTITIES } from '../config/simulations.js';
+import {
+    SimulationError,
+    parseSimulationRequest,
+    computeFields,
+    computeQuantity,
+    FIELD_CHECK_QUANTITIES
+} from '../utils/fields.js';
+import { checkPhysicsAnswer } from '../utils/units.js';
+import { validateQuestionDefinition } from '../utils/quiz.js';
+
+const router = express.Router();
+
+const sendSimulationError = (error, res, context) => {
+    if (error instanceof SimulationError) {
+        return res.status(400).json({
+            error: error.message
+        });
+    }
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        error: 'Error interno del servidor'
+    });
+};
+
+// Tipos de fuente, unidades y límites de las peticiones de cálculo
+router.get('/limits', (req, res) => {
+    res.json({
+        source_types: SOURCE_TYPES,
+        units: { ...FIELD_QUANTITIES, position: 'm', charge: 'C', current: 'A' },
+        check_quantities: FIELD_CHECK_QUANTITIES,
+        limits: {
+            max_sources: SIMULATION_LIMITS.maxSources,
+            max_grid_points: SIMULATION_LIMITS.maxGridPoints,
+            max_probe_points: SIMULATION_LIMITS.maxProbePoints,
+            max_field_lines: SIMULATION_LIMITS.maxFieldLines,
+            max_evaluations: SIMULATION_LIMITS.maxEvaluations,
+            max_coordinate: SIMULATION_LIMITS.maxCoordinate,
+            max_charge: SIMULATION_LIMITS.maxCharge,
+            max_current: SIMULATION_LIMITS.maxCurrent,
+            loop_segments: SIMULATION_LIMITS.loopSegments
+        }
+    });
+});
+
+// Calcular E, V y B de una configuración de cargas y corrientes en una malla
+// y/o en una lista de puntos, con semillas opcionales para las líneas de campo
+router.post('/fields', (req, res) => {
+    try {
+        const request = parseSimulationRequest(req.body);
+
+        res.json({
+            units: { ...FIELD_QUANTITIES, position: 'm' },
+            ...computeFields(request)
+        });
+    } catch (error) {
+        sendSimulationError(error, res, 'calculando campos');
+    }
+});
+
+// Corregir la respuesta de un ejercicio de simulación: se calcula la
+// magnitud pedida en el punto y se compara con la del estudiante (con unidades)
+router.post('/check', (req, res) => {
+    try {
+        const { point, quantity, answer, tolerance, tolerance_type, significant_figures } = req.body;
+
+        if (!FIELD_CHECK_QUANTITIES.includes(quantity)) {
+            return res.status(400).json({
+                error: `Magnitud inválida (${FIELD_CHECK_QUANTITIES.join(', ')})`
+            });
+        }
+        if (typeof answer !== 'string' || answer.trim() === '' || answer.length > 100) {
+            return res.status(400).json({
+                error: 'La respuesta debe tener entre 1 y 100 caracteres'
+            });
+        }
+
+        const request = parseSimulationRequest({ sources: req.body.sources, points: [point] });
+        const value = computeQuantity(request.sources, request.points[0], quantity);
+        if (value === null) {
+            return res.status(400).json({
+                error: 'El campo no está definido en ese punto (coincide con una fuente)'
+            });
+        }
+
+        const expected = { value, unit: FIELD_QUANTITIES[quantity[0]] };
+        if (tolerance !== undefined) expected.tolerance = tolerance;
+        if (tolerance_type !== undefined) expected.tolerance_type = tolerance_type;
+        if (significant_figures !== undefined) expected.significant_figures = significant_figures;
+
+        // Mismas reglas de tolerancia y cifras significativas que las preguntas numéricas
+        const definitionError = validateQuestionDefinition('numerica', null, expected);
+        if (definitionError) {
+            return res.status(400).json({
+                error: definitionError
+            });
+        }
+
+        const result = checkPhysicsAnswer(expected, answer);
+
+        res.json({
+            is_correct: result.fraction === 1,
+            score: Math.round(result.fraction * 100),
+            feedback: {
+                code: result.code,
+                message: result.message
+            },
+            expected: {
+                value: Number(value.toPrecision(6)),
+                unit: expected.unit
+            }
+        });
+    } catch (error) {
+        sendSimulationError(error, res, 'corrigiendo ejercicio de simulación');
+    }
+});
+
+export default router;
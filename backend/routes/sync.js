@@ -0,0 +1,222 @@
+import express from 'express';
+import { query, findByField } from '../config/database.js';
+import { authenticateToken } from './auth.js';
+import { isRestrictedForUnverified } from '../config/verification.js';
+import { MAX_SYNC_ITEMS } from '../config/progress.js';
+import {
+    ProgressEventError,
+    checkTrackableModule,
+    isGuestSessionActive,
+    recordProgressEvent,
+    parseProgressEvent,
+    listProgressSummaries
+} from '../utils/progressEvents.js';
+import { parseGameResult, saveGameResult } from '../utils/gameResults.js';
+import { getProgressOwner } from '../utils/progressOwner.js';
+
+const router = express.Router();
+
+// Sincronización de lo que el cliente ha guardado sin conexión.
+//
+// Cada elemento lleva un client_id generado por el cliente y la fecha en que
+// ocurrió (occurred_at):
+//  - { kind: 'progress', module_id, event: { type, ... } }  evento de progreso
+//                                                            (mismo formato que POST /api/progress/:moduleId/events)
+//  - { kind: 'game_result', result: { gameType, ... } }     resultado de juego
+//                                                            (mismo formato que POST /api/games/result)
+// Los elementos se aplican por orden de occurred_at. Reenviar un lote ya
+// enviado no duplica nada (client_id) y el progreso solo avanza, así que un
+// dato antiguo que llega tarde no deshace lo que ya hay en el servidor.
+//
+// Cada elemento termina como applied, duplicate, rejected (no se aplicará
+// nunca; el cliente lo puede descartar) o failed (se puede reintentar). Si la
+// sesión de invitado ha caducado se responde 401 sin aplicar nada, para que
+// el cliente conserve el lote hasta tener una sesión válida.
+
+// Capacidad de requireVerifiedEmail que necesita cada tipo de elemento
+const SYNC_ITEM_CAPABILITIES = {
+    progress: 'progress',
+    game_result: 'games'
+};
+
+const isValidClientId = (value) => typeof value === 'string' && value.length >= 1 && value.length <= 64;
+
+// Validar un elemento del lote. Devuelve { item } normalizado o { error }.
+const parseSyncItem = (raw) => {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'El elemento debe ser un objeto' };
+    }
+    if (!isValidClientId(raw.client_id)) {
+        return { error: 'client_id debe tener entre 1 y 64 caracteres' };
+    }
+    if (!SYNC_ITEM_CAPABILITIES[raw.kind]) {
+        return { error: `Tipo de elemento inválido (${Object.keys(SYNC_ITEM_CAPABILITIES).join(', ')})` };
+    }
+    if (typeof raw.occurred_at !== 'string' || Number.isNaN(Date.parse(raw.occurred_at))) {
+        return { error: 'occurred_at debe ser una fecha ISO 8601' };
+    }
+
+    const item = {
+        clientId: raw.client_id,
+        kind: raw.kind,
+        occurredAt: raw.occurred_at
+    };
+
+    if (raw.kind === 'progress') {
+        if (!Number.isInteger(raw.module_id) || raw.module_id < 1) {
+            return { error: 'Se requiere module_id' };
+        }
+        const { event, error } = parseProgressEvent({
+            ...raw.event,
+            occurred_at: raw.occurred_at,
+            client_event_id: raw.client_id
+        });
+        if (error) {
+            return { error };
+        }
+        item.moduleId = raw.module_id;
+        item.event = event;
+    } else {
+        const { result, error, details } = parseGameResult(raw.result);
+        if (error) {
+            return { error, details };
+        }
+        item.result = result;
+    }
+
+    return { item };
+};
+
+// Capacidades que el usuario no puede usar por no haber verificado su email
+const findUnverifiedRestrictions = async (user) => {
+    if (user.userType === 'guest') {
+        return [];
+    }
+    const restricted = Object.values(SYNC_ITEM_CAPABILITIES).filter(isRestrictedForUnverified);
+    if (restricted.length === 0) {
+        return [];
+    }
+    const account = await findByField('usuarios', 'id_usuario', user.userId);
+    return account && account.correo_verificado ? [] : restricted;
+};
+
+const applySyncItem = async (user, owner, item) => {
+    if (item.kind === 'progress') {
+        const module = await checkTrackableModule(user, item.moduleId);
+        const { event, duplicate } = await recordProgressEvent(owner, module, item.event);
+        return { status: duplicate ? 'duplicate' : 'applied', event_id: event.id_evento };
+    }
+
+    const { resultId, duplicate } = await saveGameResult(owner, item.result, {
+        clientId: item.clientId,
+        playedAt: item.occurredAt
+    });
+    return { status: duplicate ? 'duplicate' : 'applied', result_id: resultId };
+};
+
+// Mejores resultados del usuario o invitado en cada juego
+const listGameSummaries = (owner) => query(`
+    SELECT
+        tipo_juego as game_type,
+        COUNT(*) as games_played,
+        MAX(puntuacion) as best_score,
+        MAX(nivel_alcanzado) as highest_level,
+        SUM(tiempo_jugado) as total_time,
+        MAX(fecha_juego) as last_played
+    FROM resultados_juegos
+    WHERE ${owner.column} = ?
+    GROUP BY tipo_juego
+    ORDER BY game_type ASC
+`, [owner.id]);
+
+// Aplicar un lote de progreso y resultados de juegos guardados sin conexión.
+// Responde con el resultado de cada elemento (en el orden recibido) y el
+// estado actual del servidor para que el cliente lo sustituya por el suyo.
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { items } = req.body;
+
+        if (!Array.isArray(items)) {
+            return res.status(400).json({
+                error: 'Se requiere la lista items'
+            });
+        }
+        if (items.length > MAX_SYNC_ITEMS) {
+            return res.status(413).json({
+                error: `Como máximo ${MAX_SYNC_ITEMS} elementos por petición`,
+                max_items: MAX_SYNC_ITEMS
+            });
+        }
+
+        if (req.user.userType === 'guest' && !(await isGuestSessionActive(req.user.guestId))) {
+            return res.status(401).json({
+                error: 'Sesión de invitado expirada'
+            });
+        }
+
+        const owner = getProgressOwner(req.user);
+        const unverified = await findUnverifiedRestrictions(req.user);
+
+        const outcomes = items.map((raw) => ({
+            client_id: raw && typeof raw === 'object' ? raw.client_id ?? null : null,
+            kind: raw && typeof raw === 'object' ? raw.kind ?? null : null
+        }));
+
+        const pending = [];
+        items.forEach((raw, index) => {
+            const { item, error, details } = parseSyncItem(raw);
+            if (error) {
+                Object.assign(outcomes[index], { status: 'rejected', error, ...details });
+            } else if (unverified.includes(SYNC_ITEM_CAPABILITIES[item.kind])) {
+                Object.assign(outcomes[index], {
+                    status: 'rejected',
+                    error: 'Debes verificar tu email para realizar esta acción',
+                    code: 'EMAIL_NOT_VERIFIED'
+                });
+            } else {
+                pending.push({ item, index });
+            }
+        });
+
+        // Por fecha del cliente; a igualdad de fecha, en el orden del lote
+        pending.sort((a, b) => Date.parse(a.item.occurredAt) - Date.parse(b.item.occurredAt) || a.index - b.index);
+
+        for (const { item, index } of pending) {
+            try {
+                Object.assign(outcomes[index], await applySyncItem(req.user, owner, item));
+            } catch (error) {
+                // La sesión de invitado caducó durante el lote: se puede reintentar
+                if (error instanceof ProgressEventError && error.status === 401) {
+                    Object.assign(outcomes[index], { status: 'failed', error: error.message });
+                } else if (error instanceof ProgressEventError) {
+                    Object.assign(outcomes[index], { status: 'rejected', error: error.message, ...error.details });
+                } else {
+                    console.error('Error sincronizando elemento:', error);
+                    Object.assign(outcomes[index], { status: 'failed', error: 'Error interno del servidor' });
+                }
+            }
+        }
+
+        const summary = { applied: 0, duplicate: 0, rejected: 0, failed: 0 };
+        outcomes.forEach((outcome) => {
+            summary[outcome.status]++;
+        });
+
+        res.json({
+            summary,
+            results: outcomes,
+            state: {
+                progress: await listProgressSummaries(owner),
+                games: await listGameSummaries(owner)
+            },
+            server_time: new Date()
+        });
+    } catch (error) {
+        console.error('Error sincronizando datos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+export default router;
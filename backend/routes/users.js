@@ -0,0 +1,102 @@
+import express from 'express';
+import { query, findByField, update } from '../config/database.js';
+import { authenticateToken, authorize } from './auth.js';
+import { PERMISSIONS, ASSIGNABLE_ROLES, fromDbRole, toDbRole } from '../config/roles.js';
+import { revokeAllUserSessions } from '../utils/sessions.js';
+
+const router = express.Router();
+
+// Listar usuarios (profesores y administradores)
+router.get('/', authenticateToken, authorize(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const { role } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        let roleCondition = '';
+        const params = [];
+        if (role) {
+            if (!ASSIGNABLE_ROLES.includes(role)) {
+                return res.status(400).json({
+                    error: 'Rol inválido',
+                    validRoles: ASSIGNABLE_ROLES
+                });
+            }
+            roleCondition = 'WHERE tipo_usuario = ?';
+            params.push(toDbRole(role));
+        }
+
+        const users = await query(`
+            SELECT
+                id_usuario as id,
+                nombre as name,
+                correo_electronico as email,
+                tipo_usuario as role,
+                esta_activo as is_active,
+                fecha_creacion as created_at,
+                ultimo_inicio_sesion as last_login
+            FROM usuarios
+            ${roleCondition}
+            ORDER BY fecha_creacion DESC
+            LIMIT ${limit} OFFSET ${offset}
+        `, params);
+
+        res.json(users.map(user => ({ ...user, role: fromDbRole(user.role) })));
+    } catch (error) {
+        console.error('Error listando usuarios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// Cambiar el rol de un usuario (solo administradores)
+router.put('/:id/role', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE_ROLES), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Rol inválido',
+                validRoles: ASSIGNABLE_ROLES
+            });
+        }
+
+        if (String(id) === String(req.user.userId)) {
+            return res.status(400).json({
+                error: 'No puedes cambiar tu propio rol'
+            });
+        }
+
+        const user = await findByField('usuarios', 'id_usuario', id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        await update('usuarios', user.id_usuario, { tipo_usuario: toDbRole(role) });
+
+        // Forzar un nuevo inicio de sesión para que los tokens reflejen el rol nuevo
+        await revokeAllUserSessions(user.id_usuario);
+
+        res.json({
+            message: 'Rol actualizado correctamente',
+            user: {
+                id: user.id_usuario,
+                name: user.nombre,
+                email: user.correo_electronico,
+                previousRole: fromDbRole(user.tipo_usuario),
+                role
+            }
+        });
+    } catch (error) {
+        console.error('Error cambiando rol:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+export default router;
@@ -9,12 +9,20 @@ import { existsSync } from 'fs';
 
 // Importar rutas
 import authRoutes from './routes/auth.js';
+import oidcRoutes from './routes/oidc.js';
 import moduleRoutes from './routes/modules.js';
+import quizRoutes from './routes/quizzes.js';
+import problemRoutes from './routes/problems.js';
+import simulationRoutes from './routes/simulations.js';
+import scenarioRoutes from './routes/scenarios.js';
 import progressRoutes from './routes/progress.js';
 import gameRoutes from './routes/games.js';
+import syncRoutes from './routes/sync.js';
+import userRoutes from './routes/users.js';
 
 // Importar configuración de base de datos
 import { testConnection } from './config/database.js';
+import { cleanupExpiredExports } from './utils/dataExport.js';
 
 // Configuración de variables de entorno (solo en desarrollo)
 if (process.env.NODE_ENV !== 'production') {
@@ -34,7 +42,7 @@ app.use(helmet());
 app.use(
   cors({
     origin: ["https://maxwavex-web.vercel.app"], // dominio del frontend en Vercel
-    methods: ["GET", "POST", "PUT", "DELETE"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     credentials: true,
   })
 );
@@ -49,6 +57,40 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Rate limiting más estricto para las rutas de credenciales (login, 2FA,
+// registro, restablecimiento, las que comprueban la contraseña o un código
+// 2FA y las que inician o completan un flujo OIDC, que guardan un estado por
+// petición). El resto de /api/auth (refresh, perfil, verificación del email)
+// solo tiene el límite general: en un aula detrás de una misma IP se renuevan
+// muchos tokens a la vez.
+const AUTH_LIMITED_PATHS = [
+    '/api/auth/login',
+    '/api/auth/login/2fa',
+    '/api/auth/2fa/confirm',
+    '/api/auth/2fa/disable',
+    '/api/auth/2fa/recovery-codes',
+    '/api/auth/register',
+    '/api/auth/guest/upgrade',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/resend-verification',
+    '/api/auth/change-password',
+    '/api/auth/change-email',
+    '/api/auth/account',
+    '/api/auth/oidc/:provider/start',
+    '/api/auth/oidc/:provider/link',
+    '/api/auth/oidc/:provider/reauth',
+    '/api/auth/oidc/:provider/callback'
+];
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutos
+    max: 30, // máximo 30 requests de autenticación por ventana de tiempo por IP
+    message: {
+        error: 'Demasiados intentos de autenticación desde esta IP, intenta de nuevo más tarde.'
+    }
+});
+app.use(AUTH_LIMITED_PATHS, authLimiter);
+
 // Middleware para parsing JSON
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -60,10 +102,17 @@ app.use((req, res, next) => {
 });
 
 // Rutas de la API
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/modules', moduleRoutes);
 app.use('/api/progress', progressRoutes);
+app.use('/api/quizzes', quizRoutes);
+app.use('/api/problems', problemRoutes);
+app.use('/api/simulations', simulationRoutes);
+app.use('/api/scenarios', scenarioRoutes);
 app.use('/api/games', gameRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/users', userRoutes);
 
 // Ruta de salud del servidor
 app.get('/api/health', (req, res) => {
@@ -86,7 +135,13 @@ app.get('/', (req, res) => {
             auth: '/api/auth',
             modules: '/api/modules',
             progress: '/api/progress',
-            games: '/api/games'
+            quizzes: '/api/quizzes',
+            problems: '/api/problems',
+            simulations: '/api/simulations',
+            scenarios: '/api/scenarios',
+            games: '/api/games',
+            sync: '/api/sync',
+            users: '/api/users'
         }
     });
 });
@@ -143,6 +198,8 @@ app.use('/api/*', (req, res) => {
     });
 });
 
+const EXPORT_CLEANUP_INTERVAL = 3600000; // 1 hora
+
 // Función para iniciar el servidor
 async function startServer() {
     try {
@@ -155,6 +212,13 @@ async function startServer() {
             console.log(`📖 API documentada en http://0.0.0.0:${PORT}/api/health`);
             console.log(`🌍 Entorno: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Borrar los archivos de exportaciones de datos caducadas
+        setInterval(() => {
+            cleanupExpiredExports().catch(error => {
+                console.error('Error borrando exportaciones caducadas:', error);
+            });
+        }, EXPORT_CLEANUP_INTERVAL).unref();
     } catch (error) {
         console.error('❌ Error al iniciar el servidor:', error);
         process.exit(1);
@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorizeModuleUpdate } from '../routes/modules.js';
+
+// Ejecutar el middleware y devolver el estado HTTP (200 si deja pasar)
+const runAuthorization = (userType, body) => {
+    let status = 200;
+    const res = {
+        status(code) {
+            status = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    authorizeModuleUpdate({ user: { userType }, body }, res, () => {});
+    return status;
+};
+
+describe('PUT /api/modules/:id: permisos de profesor y administrador', () => {
+    const cases = [
+        ['el profesor edita el contenido', 'teacher', { title: 'Ondas' }, 200],
+        ['el profesor publica una versión', 'teacher', { content: '...', publish: true }, 200],
+        ['el profesor no cambia el orden del catálogo', 'teacher', { order_index: 0 }, 403],
+        ['el profesor no cambia el orden junto con el contenido', 'teacher', { title: 'Ondas', order_index: 3 }, 403],
+        ['el administrador cambia el orden', 'admin', { order_index: 0 }, 200],
+        ['el estudiante no edita', 'student', { title: 'Ondas' }, 403]
+    ];
+
+    for (const [name, userType, body, status] of cases) {
+        test(name, () => {
+            assert.equal(runAuthorization(userType, body), status);
+        });
+    }
+});
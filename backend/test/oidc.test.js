@@ -0,0 +1,172 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import {
+    createPkcePair,
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    fetchUserInfo
+} from '../utils/oidc.js';
+
+// Proveedor de identidad simulado: discovery, JWKS, token y userinfo.
+// El código de autorización solo se canjea con el code_verifier de PKCE correcto.
+const CLIENT_ID = 'maxwavex-test';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'clave-1', use: 'sig', alg: 'RS256' };
+
+const pendingCodes = new Map();
+let server;
+let issuer;
+
+const readBody = (req) => new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const signIdToken = (claims, options = {}) => jwt.sign(
+    { iss: issuer, aud: CLIENT_ID, sub: 'usuario-1', ...claims },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'clave-1', expiresIn: '5m', ...options }
+);
+
+// Simular que el usuario inicia sesión en el proveedor: devuelve el código
+const authorize = (authorizationUrl, claims) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    pendingCodes.set(code, {
+        challenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+        idToken: signIdToken({ nonce: params.get('nonce'), ...claims })
+    });
+    return code;
+};
+
+before(async () => {
+    server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, issuer);
+
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/userinfo`,
+                jwks_uri: `${issuer}/jwks`
+            });
+        }
+        if (url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [jwk] });
+        }
+        if (url.pathname === '/userinfo') {
+            return req.headers.authorization === 'Bearer acceso-1'
+                ? sendJson(res, 200, { sub: 'usuario-1', email: 'ana@example.com', email_verified: true })
+                : sendJson(res, 401, { error: 'invalid_token' });
+        }
+        if (url.pathname === '/token' && req.method === 'POST') {
+            const body = await readBody(req);
+            const pending = pendingCodes.get(body.get('code'));
+            pendingCodes.delete(body.get('code'));
+
+            const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+            if (!pending || pending.challenge !== challenge || pending.redirectUri !== body.get('redirect_uri')
+                || body.get('client_id') !== CLIENT_ID) {
+                return sendJson(res, 400, { error: 'invalid_grant' });
+            }
+            return sendJson(res, 200, { access_token: 'acceso-1', token_type: 'Bearer', id_token: pending.idToken });
+        }
+        sendJson(res, 404, { error: 'not_found' });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const provider = () => ({ name: 'prueba', issuer, clientId: CLIENT_ID, scopes: 'openid email profile' });
+const REDIRECT_URI = 'http://localhost:3000/api/auth/oidc/prueba/callback';
+
+// Recorrer el flujo completo hasta obtener los tokens del proveedor
+const runFlow = async (claims = {}) => {
+    const metadata = await discover(provider());
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const nonce = 'nonce-1';
+    const authorizationUrl = buildAuthorizationUrl(provider(), metadata, {
+        state: 'estado-1',
+        nonce,
+        codeChallenge,
+        redirectUri: REDIRECT_URI
+    });
+    const code = authorize(authorizationUrl, claims);
+    return { metadata, nonce, codeVerifier, code };
+};
+
+describe('flujo OIDC con un proveedor simulado', () => {
+    test('canjea el código y verifica el id_token', async () => {
+        const { metadata, nonce, codeVerifier, code } = await runFlow({ email: 'ana@example.com' });
+        const tokens = await exchangeCode(provider(), metadata, { code, codeVerifier, redirectUri: REDIRECT_URI });
+        const claims = await verifyIdToken(provider(), metadata, tokens.id_token, nonce);
+
+        assert.equal(claims.sub, 'usuario-1');
+        assert.equal(claims.email, 'ana@example.com');
+    });
+
+    test('rechaza un code_verifier que no corresponde al reto PKCE', async () => {
+        const { metadata, code } = await runFlow();
+        await assert.rejects(
+            exchangeCode(provider(), metadata, { code, codeVerifier: 'otro', redirectUri: REDIRECT_URI }),
+            /invalid_grant/
+        );
+    });
+
+    test('rechaza un id_token con otro nonce', async () => {
+        const { metadata, codeVerifier, code } = await runFlow();
+        const tokens = await exchangeCode(provider(), metadata, { code, codeVerifier, redirectUri: REDIRECT_URI });
+        await assert.rejects(verifyIdToken(provider(), metadata, tokens.id_token, 'nonce-2'), /nonce/);
+    });
+
+    test('rechaza un id_token para otro cliente', async () => {
+        const metadata = await discover(provider());
+        const idToken = signIdToken({ nonce: 'nonce-1', aud: 'otro-cliente' });
+        await assert.rejects(verifyIdToken(provider(), metadata, idToken, 'nonce-1'), /audience/);
+    });
+
+    test('rechaza un id_token firmado con otra clave', async () => {
+        const metadata = await discover(provider());
+        const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const idToken = jwt.sign(
+            { iss: issuer, aud: CLIENT_ID, sub: 'usuario-1', nonce: 'nonce-1' },
+            otherKey,
+            { algorithm: 'RS256', keyid: 'clave-1' }
+        );
+        await assert.rejects(verifyIdToken(provider(), metadata, idToken, 'nonce-1'), /signature/);
+    });
+
+    test('pide de nuevo las credenciales al reautenticar', async () => {
+        const metadata = await discover(provider());
+        const url = new URL(buildAuthorizationUrl(provider(), metadata, {
+            state: 'estado-1',
+            nonce: 'nonce-1',
+            codeChallenge: 'reto',
+            redirectUri: REDIRECT_URI,
+            prompt: 'login'
+        }));
+        assert.equal(url.searchParams.get('prompt'), 'login');
+    });
+
+    test('completa el email desde userinfo', async () => {
+        const metadata = await discover(provider());
+        const userInfo = await fetchUserInfo(metadata, 'acceso-1');
+        assert.equal(userInfo.email, 'ana@example.com');
+    });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { transaction } from '../config/database.js';
+import { gradeAnswer, formatQuestion } from '../utils/quiz.js';
+
+// Preguntas tal y como las devuelve mysql2, que ya decodifica las columnas JSON
+const question = (type, answer, options = null) => ({
+    id_pregunta: 1,
+    id_modulo: 1,
+    tipo_pregunta: type,
+    enunciado: '¿?',
+    opciones: options,
+    respuesta_correcta: answer,
+    puntos: '1.00',
+    indice_orden: 0,
+    esta_activa: 1
+});
+
+const OPTIONS = [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }];
+
+describe('gradeAnswer', () => {
+    const cases = [
+        ['opcion_multiple correcta', question('opcion_multiple', 'a', OPTIONS), 'a', 1],
+        ['opcion_multiple incorrecta', question('opcion_multiple', 'a', OPTIONS), 'b', 0],
+        ['opcion_multiple con id numérico', question('opcion_multiple', '1', OPTIONS), '1', 1],
+        ['seleccion_multiple completa', question('seleccion_multiple', ['a', 'c'], OPTIONS), ['c', 'a'], 1],
+        ['seleccion_multiple con un fallo', question('seleccion_multiple', ['a', 'c'], OPTIONS), ['a', 'b'], 0],
+        ['seleccion_multiple parcial', question('seleccion_multiple', ['a', 'c'], OPTIONS), ['a'], 0.5],
+        ['ordenacion parcial', question('ordenacion', ['a', 'b', 'c'], OPTIONS), ['a', 'c', 'b'], 1 / 3],
+        ['numerica dentro de la tolerancia', question('numerica', { value: 9.8, tolerance: 0.1 }), '9,75', 1],
+        ['numerica fuera de la tolerancia', question('numerica', { value: 9.8, tolerance: 0.1 }), '9.6', 0],
+        ['sin respuesta', question('opcion_multiple', 'a', OPTIONS), null, 0]
+    ];
+
+    for (const [name, row, response, fraction] of cases) {
+        test(name, () => {
+            assert.equal(gradeAnswer(row, response).fraction, fraction);
+        });
+    }
+});
+
+test('formatQuestion muestra la respuesta de opción múltiple', () => {
+    assert.equal(formatQuestion(question('opcion_multiple', 'a', OPTIONS), true).answer, 'a');
+});
+
+// Ida y vuelta por una columna JSON real. Solo se ejecuta con TEST_DATABASE=1
+// y una base de datos configurada como la del servidor (DB_HOST, DB_USER...).
+test('corrige la respuesta leída de la base de datos', { skip: !process.env.TEST_DATABASE }, async () => {
+    const stored = await transaction(async (connection) => {
+        await connection.execute('CREATE TEMPORARY TABLE prueba_respuestas (respuesta_correcta JSON NOT NULL)');
+        await connection.execute('INSERT INTO prueba_respuestas (respuesta_correcta) VALUES (?), (?)', [
+            JSON.stringify('a'),
+            JSON.stringify(['a', 'c'])
+        ]);
+        const [rows] = await connection.execute('SELECT respuesta_correcta FROM prueba_respuestas');
+        await connection.execute('DROP TEMPORARY TABLE prueba_respuestas');
+        return rows.map(row => row.respuesta_correcta);
+    });
+
+    assert.equal(gradeAnswer(question('opcion_multiple', stored[0], OPTIONS), 'a').fraction, 1);
+    assert.equal(gradeAnswer(question('seleccion_multiple', stored[1], OPTIONS), ['a', 'c']).fraction, 1);
+});
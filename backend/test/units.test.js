@@ -0,0 +1,115 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseUnit,
+    parseQuantity,
+    countSignificantFigures,
+    formatDimension,
+    checkPhysicsAnswer,
+    UnitError
+} from '../utils/units.js';
+
+// Comparar escalas sin ruido de coma flotante
+const assertScale = (actual, expected) => {
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-12, `${actual} ≠ ${expected}`);
+};
+
+describe('parseUnit', () => {
+    const cases = [
+        ['', 1, 'adimensional'],
+        ['mT', 1e-3, 'kg·s⁻²·A⁻¹'],
+        ['kV/m', 1e3, 'kg·m·s⁻³·A⁻¹'],
+        ['µC', 1e-6, 's·A'],
+        ['ohm', 1, 'kg·m²·s⁻³·A⁻²'],
+        ['cm2', 1e-4, 'm²'],
+        ['mm-1', 1e3, 'm⁻¹'],
+        ['ms', 1e-3, 's'],
+        ['ms-1', 1, 'm·s⁻¹'],
+        ['ms⁻¹', 1, 'm·s⁻¹'],
+        ['m s^-2', 1, 'm·s⁻²'],
+        ['km/h', 1 / 3.6, 'm·s⁻¹'],
+        ['kWh', 3.6e6, 'kg·m²·s⁻²'],
+        ['Nm', 1, 'kg·m²·s⁻²'],
+        ['kgm-3', 1, 'kg·m⁻³'],
+        ['Jkg-1', 1, 'm²·s⁻²'],
+        ['W/m·K', 1, 'kg·m·s⁻³·K⁻¹'],
+        ['(kg·m)/s^2', 1, 'kg·m·s⁻²']
+    ];
+
+    for (const [unit, scale, dimension] of cases) {
+        test(`"${unit}"`, () => {
+            const parsed = parseUnit(unit);
+            assertScale(parsed.scale, scale);
+            assert.equal(formatDimension(parsed.dim), dimension);
+        });
+    }
+
+    for (const [unit, code] of [['xyz', 'unknown_unit'], ['m^', 'invalid_format'], ['(m/s', 'invalid_format']]) {
+        test(`rechaza "${unit}"`, () => {
+            assert.throws(() => parseUnit(unit), (error) => error instanceof UnitError && error.code === code);
+        });
+    }
+});
+
+describe('countSignificantFigures', () => {
+    const cases = [
+        ['2,50', 3, 3],
+        ['0.0042', 2, 2],
+        ['300', 1, 3],
+        ['300.', 3, 3],
+        ['-1.20', 3, 3],
+        ['0', 1, 1]
+    ];
+
+    for (const [mantissa, min, max] of cases) {
+        test(`"${mantissa}"`, () => {
+            assert.deepEqual(countSignificantFigures(mantissa), { min, max });
+        });
+    }
+});
+
+describe('parseQuantity', () => {
+    const cases = [
+        ['2,5 mT', 2.5e-3],
+        ['3e-3 T', 3e-3],
+        ['1.2×10⁻⁶ C', 1.2e-6],
+        ['4.5 x 10^3 V/m', 4.5e3],
+        ['−7 ms-1', -7],
+        ['2 kWh', 7.2e6]
+    ];
+
+    for (const [input, siValue] of cases) {
+        test(`"${input}"`, () => {
+            assertScale(parseQuantity(input).siValue, siValue);
+        });
+    }
+});
+
+describe('checkPhysicsAnswer', () => {
+    const cases = [
+        ['relativa por defecto (1 %)', { value: 2.5, unit: 'mT' }, '2.52 mT', 'correct', 1],
+        ['fuera de la tolerancia relativa', { value: 2.5, unit: 'mT' }, '2.6 mT', 'out_of_tolerance', 0],
+        ['en otra unidad compatible', { value: 2.5, unit: 'mT' }, '2500 µT', 'correct', 1],
+        ['tolerancia absoluta en la unidad esperada', { value: 10, unit: 'm/s', tolerance: 0.5 }, '10.4 ms-1', 'correct', 1],
+        ['justo en el límite de la tolerancia', { value: 10, unit: 'm/s', tolerance: 0.5 }, '10.5 m/s', 'correct', 1],
+        ['pasado el límite de la tolerancia', { value: 10, unit: 'm/s', tolerance: 0.5 }, '10.6 m/s', 'out_of_tolerance', 0],
+        ['tolerancia relativa explícita', { value: 100, unit: 'J', tolerance: 0.05, tolerance_type: 'relative' }, '0.104 kJ', 'correct', 1],
+        ['energía en kWh', { value: 3.6, unit: 'MJ' }, '1 kWh', 'correct', 1],
+        ['sin unidad', { value: 2.5, unit: 'mT' }, '2.5', 'missing_unit', 0],
+        ['dimensión incorrecta', { value: 2.5, unit: 'mT' }, '2.5 mV', 'wrong_dimension', 0],
+        ['no es una magnitud', { value: 2.5, unit: 'mT' }, 'mucho', 'invalid_format', 0],
+        ['cifras significativas correctas', { value: 2.5, unit: 'mT', significant_figures: 3 }, '2.50 mT', 'correct', 1],
+        ['cifras significativas de menos', { value: 2.5, unit: 'mT', significant_figures: 3 }, '2.5 mT', 'significant_figures', 0.5],
+        ['penalización configurada', { value: 2.5, unit: 'mT', significant_figures: 3, significant_figures_penalty: 0.25 }, '2.5 mT', 'significant_figures', 0.75],
+        ['ceros finales ambiguos', { value: 300, unit: 'm', significant_figures: 2 }, '300 m', 'correct', 1],
+        ['respuesta como objeto', { value: 2.5, unit: 'mT' }, { value: 2.5, unit: 'mT' }, 'correct', 1]
+    ];
+
+    for (const [name, expected, response, code, fraction] of cases) {
+        test(name, () => {
+            const result = checkPhysicsAnswer(expected, response);
+            assert.equal(result.code, code);
+            assert.equal(result.fraction, fraction);
+        });
+    }
+});
@@ -0,0 +1,165 @@
+import { query } from '../config/database.js';
+
+// Consulta del catálogo de módulos: filtros, ordenación y paginación por cursor
+export const CATALOG_DEFAULT_LIMIT = 20;
+export const CATALOG_MAX_LIMIT = 100;
+
+// Ordenaciones disponibles (?sort=title, ?sort=-created...). Todas desempatan
+// por indice_orden y después por id_modulo para que el orden sea estable.
+export const SORT_OPTIONS = {
+    order: { expression: 'm.indice_orden', type: 'number' },
+    title: { expression: 'm.titulo', type: 'string' },
+    difficulty: {
+        expression: "FIELD(m.nivel_dificultad, 'principiante', 'intermedio', 'avanzado')",
+        type: 'number'
+    },
+    created: { expression: 'm.fecha_creacion', type: 'date' }
+};
+
+// "-title" -> { key: 'title', direction: 'DESC' }; null si no es válida
+export const parseSort = (value = 'order') => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const descending = value.startsWith('-');
+    const key = descending ? value.substring(1) : value;
+    if (!SORT_OPTIONS[key]) {
+        return null;
+    }
+    return { key, direction: descending ? 'DESC' : 'ASC', value };
+};
+
+// Claves de ordenación completas, con los desempates
+const getSortKeys = (sort) => {
+    const keys = [{ expression: SORT_OPTIONS[sort.key].expression, direction: sort.direction, type: SORT_OPTIONS[sort.key].type }];
+    if (sort.key !== 'order') {
+        keys.push({ expression: 'm.indice_orden', direction: 'ASC', type: 'number' });
+    }
+    keys.push({ expression: 'm.id_modulo', direction: sort.key === 'order' ? sort.direction : 'ASC', type: 'number' });
+    return keys;
+};
+
+// El cursor lleva los valores de ordenación de la última fila devuelta
+export const encodeCursor = (sort, values) => Buffer
+    .from(JSON.stringify({ s: sort.value, v: values.map(value => value instanceof Date ? value.toISOString() : value) }))
+    .toString('base64url');
+
+// Devuelve los valores del cursor o null si no es válido para esta ordenación
+export const decodeCursor = (cursor, sort) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const keys = getSortKeys(sort);
+        if (decoded.s !== sort.value || !Array.isArray(decoded.v) || decoded.v.length !== keys.length) {
+            return null;
+        }
+        return decoded.v.map((value, index) => keys[index].type === 'date' ? new Date(value) : value);
+    } catch {
+        return null;
+    }
+};
+
+// Condición "después del cursor": (a > x) OR (a = x AND b > y) OR ...
+const buildCursorCondition = (keys, values) => {
+    const clauses = [];
+    const params = [];
+
+    keys.forEach((key, index) => {
+        const parts = keys.slice(0, index).map(previous => `${previous.expression} = ?`);
+        parts.push(`${key.expression} ${key.direction === 'ASC' ? '>' : '<'} ?`);
+        clauses.push(`(${parts.join(' AND ')})`);
+        params.push(...values.slice(0, index), values[index]);
+    });
+
+    return { sql: `(${clauses.join(' OR ')})`, params };
+};
+
+// Buscar módulos activos con filtros { contentTypes, difficulties, tags }.
+// Devuelve { modules, total, nextCursor } (nextCursor es null en la última página).
+export const queryCatalog = async ({ filters = {}, sort = parseSort(), cursor = null, limit = null }) => {
+    const conditions = ['m.esta_activo = true'];
+    const params = [];
+
+    if (filters.contentTypes && filters.contentTypes.length > 0) {
+        conditions.push(`m.tipo_contenido IN (${filters.contentTypes.map(() => '?').join(', ')})`);
+        params.push(...filters.contentTypes);
+    }
+
+    if (filters.difficulties && filters.difficulties.length > 0) {
+        conditions.push(`m.nivel_dificultad IN (${filters.difficulties.map(() => '?').join(', ')})`);
+        params.push(...filters.difficulties);
+    }
+
+    // Con varias etiquetas el módulo debe tenerlas todas
+    (filters.tags || []).forEach(tag => {
+        conditions.push('EXISTS (SELECT 1 FROM etiquetas_modulos e WHERE e.id_modulo = m.id_modulo AND e.etiqueta = ?)');
+        params.push(tag);
+    });
+
+    const totalRows = await query(
+        `SELECT COUNT(*) as total FROM modulos m WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+
+    const keys = getSortKeys(sort);
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+        const cursorCondition = buildCursorCondition(keys, cursor);
+        pageConditions.push(cursorCondition.sql);
+        pageParams.push(...cursorCondition.params);
+    }
+
+    // Se pide una fila de más para saber si hay página siguiente
+    const limitClause = limit ? `LIMIT ${limit + 1}` : '';
+    const rows = await query(`
+        SELECT
+            m.id_modulo,
+            m.titulo,
+            m.descripcion,
+            m.tipo_contenido,
+            m.nivel_dificultad,
+            m.indice_orden,
+            m.esta_activo,
+            m.fecha_creacion,
+            ${keys.map((key, index) => `${key.expression} as clave_orden_${index}`).join(',\n            ')}
+        FROM modulos m
+        WHERE ${pageConditions.join(' AND ')}
+        ORDER BY ${keys.map(key => `${key.expression} ${key.direction}`).join(', ')}
+        ${limitClause}
+    `, pageParams);
+
+    const hasMore = limit !== null && rows.length > limit;
+    const modules = hasMore ? rows.slice(0, limit) : rows;
+    const last = modules[modules.length - 1];
+
+    return {
+        modules,
+        total: Number(totalRows[0].total),
+        nextCursor: hasMore
+            ? encodeCursor(sort, keys.map((key, index) => last[`clave_orden_${index}`]))
+            : null
+    };
+};
+
+// Etiquetas de varios módulos: Map id_modulo -> [etiquetas]
+export const loadModuleTags = async (moduleIds) => {
+    const tags = new Map();
+    if (moduleIds.length === 0) {
+        return tags;
+    }
+
+    const rows = await query(
+        `SELECT id_modulo, etiqueta FROM etiquetas_modulos
+         WHERE id_modulo IN (${moduleIds.map(() => '?').join(', ')})
+         ORDER BY etiqueta ASC`,
+        moduleIds
+    );
+    rows.forEach(row => {
+        if (!tags.has(row.id_modulo)) tags.set(row.id_modulo, []);
+        tags.get(row.id_modulo).push(row.etiqueta);
+    });
+    return tags;
+};
+
+// "Electromagnetismo " -> "electromagnetismo"
+export const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, '-');
@@ -0,0 +1,291 @@
+import archiver from 'archiver';
+import jwt from 'jsonwebtoken';
+import { createWriteStream } from 'fs';
+import { finished } from 'stream/promises';
+import { mkdir, writeFile, unlink } from 'fs/promises';
+import { join, resolve } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { query, insert, update } from '../config/database.js';
+import { getJwtSecret } from './sessions.js';
+import { sendMail, getFrontendUrl } from './mailer.js';
+
+const EXPORT_LINK_TTL = 24 * 3600000; // 24 horas
+export const EXPORT_SYNC_MAX_ROWS = parseInt(process.env.EXPORT_SYNC_MAX_ROWS || '5000');
+
+const getExportsDir = () => resolve(process.env.EXPORTS_DIR || 'tmp/exports');
+
+// Secciones de la exportación. Cada una consulta los datos del usuario;
+// las columnas de "omit" nunca se exportan (hashes y secretos). Las columnas
+// JSON llegan ya decodificadas de mysql2 y se exportan tal cual.
+export const EXPORT_SECTIONS = [
+    {
+        name: 'user',
+        single: true,
+        sql: 'SELECT * FROM usuarios WHERE id_usuario = ?',
+        omit: ['contrasena', 'totp_secreto', 'totp_ultimo_contador']
+    },
+    {
+        name: 'progress',
+        sql: 'SELECT * FROM progreso_usuarios WHERE id_usuario = ?'
+    },
+    {
+        name: 'section_progress',
+        sql: `SELECT ps.*, s.id_modulo, s.titulo as titulo_seccion
+              FROM progreso_secciones ps
+              JOIN secciones_modulos s ON ps.id_seccion = s.id_seccion
+              WHERE ps.id_usuario = ?`
+    },
+    {
+        name: 'progress_events',
+        sql: 'SELECT * FROM eventos_progreso WHERE id_usuario = ?'
+    },
+    {
+        name: 'quiz_attempts',
+        sql: 'SELECT * FROM intentos_cuestionarios WHERE id_usuario = ?'
+    },
+    {
+        name: 'quiz_answers',
+        sql: `SELECT r.*, i.id_modulo, i.numero_intento
+              FROM respuestas_intentos r
+              JOIN intentos_cuestionarios i ON r.id_intento = i.id_intento
+              WHERE i.id_usuario = ?`
+    },
+    {
+        name: 'problem_variants',
+        sql: `SELECT v.*, p.id_modulo, p.titulo
+              FROM variantes_problemas v
+              JOIN plantillas_problemas p ON v.id_plantilla = p.id_plantilla
+              WHERE v.id_usuario = ?`
+    },
+    {
+        name: 'simulation_scenarios',
+        sql: 'SELECT * FROM escenarios_simulacion WHERE id_usuario = ?'
+    },
+    {
+        name: 'game_results',
+        sql: 'SELECT * FROM resultados_juegos WHERE id_usuario = ?'
+    },
+    {
+        name: 'sessions',
+        sql: 'SELECT * FROM sesiones_usuarios WHERE id_usuario = ?',
+        omit: ['hash_token_refresco', 'hash_token_refresco_anterior']
+    },
+    {
+        name: 'login_history',
+        sql: 'SELECT * FROM intentos_inicio_sesion WHERE id_usuario = ? OR correo_electronico = ?',
+        params: (user) => [user.id_usuario, user.correo_electronico]
+    },
+    {
+        name: 'external_identities',
+        sql: 'SELECT * FROM identidades_externas WHERE id_usuario = ?'
+    },
+    {
+        name: 'data_exports',
+        sql: 'SELECT * FROM exportaciones_datos WHERE id_usuario = ?',
+        omit: ['ruta_archivo']
+    }
+];
+
+const getSectionParams = (section, user) => section.params
+    ? section.params(user)
+    : [user.id_usuario];
+
+const cleanRow = (section, row) => {
+    const cleaned = { ...row };
+    (section.omit || []).forEach(field => delete cleaned[field]);
+    return cleaned;
+};
+
+// Número total de filas que tendría la exportación (para decidir si es asíncrona)
+export const countExportRows = async (user) => {
+    let total = 0;
+    for (const section of EXPORT_SECTIONS) {
+        const rows = await query(
+            `SELECT COUNT(*) as total FROM (${section.sql}) t`,
+            getSectionParams(section, user)
+        );
+        total += Number(rows[0].total);
+    }
+    return total;
+};
+
+// Reunir todos los datos que guardamos del usuario
+export const collectUserData = async (user) => {
+    const data = {
+        exportedAt: new Date().toISOString(),
+        userId: user.id_usuario
+    };
+
+    for (const section of EXPORT_SECTIONS) {
+        const rows = await query(section.sql, getSectionParams(section, user));
+        const cleaned = rows.map(row => cleanRow(section, row));
+        data[section.name] = section.single ? (cleaned[0] || null) : cleaned;
+    }
+
+    return data;
+};
+
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date
+        ? value.toISOString()
+        : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+export const toCsv = (rows) => {
+    const list = Array.isArray(rows) ? rows : (rows ? [rows] : []);
+    const headers = [...new Set(list.flatMap(row => Object.keys(row)))];
+    const lines = [headers.map(toCsvValue).join(',')];
+    list.forEach(row => lines.push(headers.map(header => toCsvValue(row[header])).join(',')));
+    return lines.join('\r\n');
+};
+
+// Escribir un ZIP con data.json y un CSV por sección en output (un archivo o
+// la respuesta HTTP). Termina cuando output ha recibido todo y falla si
+// falla el ZIP o la escritura.
+export const writeExportArchive = async (data, output) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const written = finished(output);
+    archive.on('error', error => output.destroy(error));
+    output.on('error', () => archive.abort());
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+    EXPORT_SECTIONS.forEach(section => {
+        archive.append(toCsv(data[section.name]), { name: `${section.name}.csv` });
+    });
+
+    await Promise.all([archive.finalize(), written]);
+};
+
+// Enlaces de descarga firmados (válidos 24 horas, no requieren cabecera Authorization)
+export const signDownloadToken = (exportId, userId) => jwt.sign(
+    { purpose: 'data_export', exportId, userId },
+    getJwtSecret(),
+    { expiresIn: EXPORT_LINK_TTL / 1000 }
+);
+
+export const verifyDownloadToken = (token, exportId) => {
+    try {
+        const decoded = jwt.verify(token, getJwtSecret());
+        return decoded.purpose === 'data_export' && decoded.exportId === exportId ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+// Los enlaces se envían por email, así que se construyen siempre con la URL
+// configurada (API_URL, o FRONTEND_URL si el frontend hace de proxy de /api)
+// y nunca con la cabecera Host de la petición
+const getDownloadBaseUrl = () => (process.env.API_URL || getFrontendUrl()).replace(/\/+$/, '');
+
+export const buildDownloadUrl = (exportId, userId) =>
+    `${getDownloadBaseUrl()}/api/auth/me/export/${exportId}/download?token=${signDownloadToken(exportId, userId)}`;
+
+// Borrar archivos de exportaciones caducadas (al crear una exportación y
+// periódicamente desde server.js)
+export const cleanupExpiredExports = async () => {
+    const expired = await query(`
+        SELECT id_exportacion, ruta_archivo FROM exportaciones_datos
+        WHERE estado = 'completada' AND fecha_expiracion <= NOW() AND ruta_archivo IS NOT NULL
+    `);
+
+    for (const job of expired) {
+        await unlink(job.ruta_archivo).catch(() => {});
+        await update('exportaciones_datos', job.id_exportacion, { ruta_archivo: null });
+    }
+};
+
+// Borrar las exportaciones de un usuario (al anonimizar su cuenta): las filas
+// dentro de la transacción y los archivos cuando ya se ha confirmado
+export const deleteUserExports = async (connection, userId) => {
+    const [exports] = await connection.execute(
+        'SELECT ruta_archivo FROM exportaciones_datos WHERE id_usuario = ? AND ruta_archivo IS NOT NULL',
+        [userId]
+    );
+    await connection.execute('DELETE FROM exportaciones_datos WHERE id_usuario = ?', [userId]);
+    return exports.map(job => job.ruta_archivo);
+};
+
+export const removeExportFiles = (paths) => Promise.all(paths.map(path => unlink(path).catch(() => {})));
+
+const runExportJob = async (job, user) => {
+    const filePath = join(getExportsDir(), `${job.exportId}.${job.format}`);
+
+    try {
+        await update('exportaciones_datos', job.id, { estado: 'procesando' });
+
+        const data = await collectUserData(user);
+        await mkdir(getExportsDir(), { recursive: true });
+
+        if (job.format === 'zip') {
+            await writeExportArchive(data, createWriteStream(filePath));
+        } else {
+            await writeFile(filePath, JSON.stringify(data, null, 2));
+        }
+
+        const result = await update('exportaciones_datos', job.id, {
+            estado: 'completada',
+            ruta_archivo: filePath,
+            fecha_completada: new Date(),
+            fecha_expiracion: new Date(Date.now() + EXPORT_LINK_TTL)
+        });
+
+        // La cuenta se anonimizó mientras se generaba: no se conserva ni se envía
+        if (result.affectedRows === 0) {
+            await removeExportFiles([filePath]);
+            return;
+        }
+    } catch (error) {
+        console.error('Error generando exportación de datos:', error);
+        // No dejar en disco un archivo a medio escribir
+        await removeExportFiles([filePath]);
+        await update('exportaciones_datos', job.id, {
+            estado: 'fallida',
+            mensaje_error: error.message.substring(0, 500)
+        }).catch(() => {});
+        return;
+    }
+
+    // La exportación ya está lista: si falla el email se registra aparte y el
+    // enlace sigue disponible en GET /api/auth/me/export/:exportId
+    try {
+        await sendMail({
+            to: user.correo_electronico,
+            subject: 'Tu exportación de datos de MaxWaveX está lista',
+            text: `Hola ${user.nombre},\n\n`
+                + 'Puedes descargar tus datos durante las próximas 24 horas desde este enlace:'
+                + `\n\n${buildDownloadUrl(job.exportId, user.id_usuario)}\n`
+        });
+        await update('exportaciones_datos', job.id, { correo_enviado: true });
+    } catch (error) {
+        console.error('Error enviando email de exportación de datos:', error);
+        await update('exportaciones_datos', job.id, {
+            error_correo: error.message.substring(0, 500)
+        }).catch(() => {});
+    }
+};
+
+// Encolar una exportación en segundo plano y devolver su identificador
+export const startExportJob = async (user, format) => {
+    await cleanupExpiredExports();
+
+    const exportId = uuidv4();
+    const result = await insert('exportaciones_datos', {
+        identificador_exportacion: exportId,
+        id_usuario: user.id_usuario,
+        formato: format,
+        estado: 'pendiente',
+        fecha_creacion: new Date()
+    });
+
+    setImmediate(() => runExportJob({ id: result.insertId, exportId, format }, user));
+
+    return exportId;
+};
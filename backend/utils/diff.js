@@ -0,0 +1,77 @@
+// Diferencias línea a línea entre dos textos (LCS), para comparar versiones
+const MAX_LCS_CELLS = 4000000;
+
+const splitLines = (text) => (text === null || text === undefined || text === '')
+    ? []
+    : String(text).split(/\r?\n/);
+
+// Agrupar líneas consecutivas del mismo tipo
+const pushChange = (changes, type, line) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+        last.lines.push(line);
+    } else {
+        changes.push({ type, lines: [line] });
+    }
+};
+
+const lcsDiff = (a, b, changes) => {
+    // Si la tabla sería demasiado grande se marca todo el bloque como sustituido
+    if (a.length * b.length > MAX_LCS_CELLS) {
+        a.forEach(line => pushChange(changes, 'removed', line));
+        b.forEach(line => pushChange(changes, 'added', line));
+        return;
+    }
+
+    const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pushChange(changes, 'equal', a[i]);
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            pushChange(changes, 'removed', a[i++]);
+        } else {
+            pushChange(changes, 'added', b[j++]);
+        }
+    }
+    while (i < a.length) pushChange(changes, 'removed', a[i++]);
+    while (j < b.length) pushChange(changes, 'added', b[j++]);
+};
+
+// Devuelve una lista de bloques { type: 'equal' | 'added' | 'removed', lines }
+export const diffLines = (oldText, newText) => {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (
+        suffix < a.length - prefix
+        && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const changes = [];
+    a.slice(0, prefix).forEach(line => pushChange(changes, 'equal', line));
+    lcsDiff(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix), changes);
+    a.slice(a.length - suffix).forEach(line => pushChange(changes, 'equal', line));
+
+    return changes;
+};
@@ -0,0 +1,205 @@
+// Evaluador de expresiones matemáticas para las fórmulas de los problemas
+// paramétricos (sin eval). Admite números (1.5, 3e-7), variables, constantes
+// físicas, + - * / ^, comparaciones (< <= > >= == !=), && || ! y funciones.
+export class ExpressionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExpressionError';
+    }
+}
+
+// Constantes físicas en unidades SI (CODATA 2018)
+export const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+    c: 299792458,
+    mu0: 1.25663706212e-6,
+    eps0: 8.8541878128e-12,
+    k_e: 8.9875517923e9,
+    q_e: 1.602176634e-19,
+    m_e: 9.1093837015e-31,
+    m_p: 1.67262192369e-27,
+    g: 9.80665,
+    h_planck: 6.62607015e-34,
+    k_b: 1.380649e-23
+};
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    exp: Math.exp,
+    ln: Math.log,
+    log10: Math.log10,
+    pow: Math.pow,
+    min: Math.min,
+    max: Math.max,
+    round: Math.round,
+    deg: (radians) => radians * 180 / Math.PI,
+    rad: (degrees) => degrees * Math.PI / 180
+};
+
+const tokenize = (text) => {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|&&|\|\||[-+*/^(),<>!]))/y;
+    let match;
+    let position = 0;
+
+    while (position < text.length) {
+        if (/^\s*$/.test(text.substring(position))) break;
+        pattern.lastIndex = position;
+        match = pattern.exec(text);
+        if (!match) {
+            throw new ExpressionError(`Carácter inesperado en la posición ${position + 1}`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else tokens.push({ type: 'op', value: match[3] });
+        position = pattern.lastIndex;
+    }
+    return tokens;
+};
+
+// Precedencia de menor a mayor: || && comparación suma producto unario potencia
+const BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['<', '<=', '>', '>=', '==', '!='],
+    ['+', '-'],
+    ['*', '/']
+];
+
+// Convertir el texto en un árbol sintáctico
+export const parseExpression = (text) => {
+    const tokens = tokenize(String(text));
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new ExpressionError(`Se esperaba "${value}"`);
+        position++;
+    };
+
+    const parseBinary = (level) => {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (peek() && peek().type === 'op' && BINARY_LEVELS[level].includes(peek().value)) {
+            const op = tokens[position++].value;
+            left = { type: 'binary', op, left, right: parseBinary(level + 1) };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOp('-') || isOp('+') || isOp('!')) {
+            const op = tokens[position++].value;
+            return { type: 'unary', op, argument: parseUnary() };
+        }
+        return parsePower();
+    };
+
+    // La potencia es asociativa por la derecha y más fuerte que el signo: -2^2 = -4
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            position++;
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new ExpressionError('La expresión está incompleta');
+
+        if (token.type === 'number') return { type: 'number', value: token.value };
+
+        if (token.type === 'name') {
+            if (isOp('(')) {
+                if (!Object.hasOwn(FUNCTIONS, token.value)) throw new ExpressionError(`Función desconocida: ${token.value}`);
+                position++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseBinary(0));
+                    while (isOp(',')) {
+                        position++;
+                        args.push(parseBinary(0));
+                    }
+                }
+                expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'variable', name: token.value };
+        }
+
+        if (token.value === '(') {
+            const inner = parseBinary(0);
+            expect(')');
+            return inner;
+        }
+        throw new ExpressionError(`Símbolo inesperado: "${token.value}"`);
+    };
+
+    const tree = parseBinary(0);
+    if (position < tokens.length) {
+        throw new ExpressionError(`Símbolo inesperado: "${tokens[position].value}"`);
+    }
+    return tree;
+};
+
+// Variables que usa la expresión (sin contar las constantes)
+export const collectVariables = (tree, names = new Set()) => {
+    if (tree.type === 'variable' && !Object.hasOwn(CONSTANTS, tree.name)) names.add(tree.name);
+    if (tree.type === 'binary') {
+        collectVariables(tree.left, names);
+        collectVariables(tree.right, names);
+    }
+    if (tree.type === 'unary') collectVariables(tree.argument, names);
+    if (tree.type === 'call') tree.args.forEach(arg => collectVariables(arg, names));
+    return names;
+};
+
+const BINARY_OPERATIONS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '^': (a, b) => Math.pow(a, b),
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '&&': (a, b) => a && b,
+    '||': (a, b) => a || b
+};
+
+export const evaluate = (tree, scope = {}) => {
+    switch (tree.type) {
+    case 'number':
+        return tree.value;
+    case 'variable':
+        if (Object.hasOwn(scope, tree.name)) return scope[tree.name];
+        if (Object.hasOwn(CONSTANTS, tree.name)) return CONSTANTS[tree.name];
+        throw new ExpressionError(`Variable desconocida: ${tree.name}`);
+    case 'unary': {
+        const value = evaluate(tree.argument, scope);
+        if (tree.op === '-') return -value;
+        if (tree.op === '!') return !value;
+        return +value;
+    }
+    case 'binary':
+        return BINARY_OPERATIONS[tree.op](evaluate(tree.left, scope), evaluate(tree.right, scope));
+    case 'call':
+        return FUNCTIONS[tree.name](...tree.args.map(arg => evaluate(arg, scope)));
+    default:
+        throw new ExpressionError('Expresión inválida');
+    }
+};
@@ -0,0 +1,500 @@
+import { SIMULATION_LIMITS, normalizeSourceType } from '../config/simulations.js';
+import { CONSTANTS } from './expression.js';
+
+// Cálculo de campos electromagnéticos estáticos por superposición:
+//  - point_charge: { charge (C), position [x, y, z] } -> E y V (Coulomb)
+//  - line_current: { current (A), start, end } para un tramo finito, o
+//                  { current, position, direction } para un hilo infinito -> B
+//  - current_loop: { current, center, normal, radius } -> B. La corriente
+//                  circula en sentido antihorario visto desde la punta de
+//                  normal, de modo que B en el centro va en el sentido de normal.
+//                  Se integra con Biot-Savart dividiendo la espira en tramos.
+// Todas las magnitudes en SI; las posiciones pueden darse como [x, y] (z = 0).
+// En los puntos situados sobre una fuente el campo no está definido y se devuelve null.
+const K_E = CONSTANTS.k_e;
+const MU0_4PI = CONSTANTS.mu0 / (4 * Math.PI);
+const MIN_DISTANCE = 1e-9;
+const DEFAULT_FIELD_LINES = 12;
+
+export class SimulationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SimulationError';
+    }
+}
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const scale = (a, k) => [a[0] * k, a[1] * k, a[2] * k];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+const norm = (a) => Math.sqrt(dot(a, a));
+const unit = (a) => scale(a, 1 / norm(a));
+
+// Un vector unitario cualquiera perpendicular a a
+const perpendicular = (a) => unit(cross(a, Math.abs(a[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]));
+
+// Reducir el tamaño de la respuesta: 6 cifras significativas
+const round = (value) => value === null ? null : Number(value.toPrecision(6));
+const roundVector = (vector) => vector === null ? null : vector.map(round);
+
+const parseVector = (value, label) => {
+    if (!Array.isArray(value) || (value.length !== 2 && value.length !== 3)
+        || !value.every(item => typeof item === 'number' && Number.isFinite(item))) {
+        throw new SimulationError(`${label} debe ser un vector [x, y, z]`);
+    }
+    const vector = value.length === 2 ? [...value, 0] : [...value];
+    if (vector.some(item => Math.abs(item) > SIMULATION_LIMITS.maxCoordinate)) {
+        throw new SimulationError(`${label} está fuera del rango permitido (±${SIMULATION_LIMITS.maxCoordinate} m)`);
+    }
+    return vector;
+};
+
+const parseDirection = (value, label) => {
+    const vector = parseVector(value, label);
+    if (norm(vector) === 0) {
+        throw new SimulationError(`${label} no puede ser el vector nulo`);
+    }
+    return unit(vector);
+};
+
+const parseMagnitude = (value, max, label) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > max) {
+        throw new SimulationError(`${label} debe ser un número entre -${max} y ${max}`);
+    }
+    return value;
+};
+
+const parseSource = (source, index) => {
+    const label = `sources[${index}]`;
+    const type = source ? normalizeSourceType(source.type) : null;
+
+    if (type === 'point_charge') {
+        return {
+            type,
+            charge: parseMagnitude(source.charge, SIMULATION_LIMITS.maxCharge, `${label}.charge`),
+            position: parseVector(source.position, `${label}.position`)
+        };
+    }
+
+    if (type === 'line_current') {
+        const current = parseMagnitude(source.current, SIMULATION_LIMITS.maxCurrent, `${label}.current`);
+        if (source.start !== undefined || source.end !== undefined) {
+            const start = parseVector(source.start, `${label}.start`);
+            const end = parseVector(source.end, `${label}.end`);
+            if (norm(sub(end, start)) === 0) {
+                throw new SimulationError(`${label}: start y end no pueden coincidir`);
+            }
+            return { type, current, infinite: false, start, end };
+        }
+        return {
+            type,
+            current,
+            infinite: true,
+            position: parseVector(source.position, `${label}.position`),
+            direction: parseDirection(source.direction, `${label}.direction`)
+        };
+    }
+
+    if (type === 'current_loop') {
+        const radius = source.radius;
+        if (typeof radius !== 'number' || !(radius > 0) || radius > SIMULATION_LIMITS.maxCoordinate) {
+            throw new SimulationError(`${label}.radius debe ser un número positivo`);
+        }
+        return {
+            type,
+            current: parseMagnitude(source.current, SIMULATION_LIMITS.maxCurrent, `${label}.current`),
+            center: parseVector(source.center, `${label}.center`),
+            normal: parseDirection(source.normal, `${label}.normal`),
+            radius
+        };
+    }
+
+    throw new SimulationError(`${label}: tipo de fuente inválido (point_charge, line_current, current_loop)`);
+};
+
+// Eje de la malla: número (coordenada fija) u objeto { min, max, points }
+const parseAxis = (value, name) => {
+    if (value === undefined || value === null) {
+        return [0];
+    }
+    if (typeof value === 'number') {
+        return [parseVector([value, 0, 0], `grid.${name}`)[0]];
+    }
+    const { min, max, points } = value;
+    const [low, high] = parseVector([min, max], `grid.${name}`);
+    if (low > high) {
+        throw new SimulationError(`grid.${name}: min debe ser menor o igual que max`);
+    }
+    if (!Number.isInteger(points) || points < 1 || points > SIMULATION_LIMITS.maxGridPoints) {
+        throw new SimulationError(`grid.${name}.points debe ser un entero entre 1 y ${SIMULATION_LIMITS.maxGridPoints}`);
+    }
+    if (points === 1) {
+        return [low];
+    }
+    return Array.from({ length: points }, (_, i) => low + (high - low) * i / (points - 1));
+};
+
+// Coste de evaluar todas las fuentes en un punto
+const sourceCost = (sources) => sources.reduce(
+    (total, source) => total + (source.type === 'current_loop' ? SIMULATION_LIMITS.loopSegments : 1),
+    0
+);
+
+const parseGrid = (grid) => {
+    const parsed = { x: parseAxis(grid.x, 'x'), y: parseAxis(grid.y, 'y'), z: parseAxis(grid.z, 'z') };
+    const total = parsed.x.length * parsed.y.length * parsed.z.length;
+    if (total > SIMULATION_LIMITS.maxGridPoints) {
+        throw new SimulationError(`La malla tiene ${total} puntos (máximo ${SIMULATION_LIMITS.maxGridPoints})`);
+    }
+    return parsed;
+};
+
+// field_lines: true, false o { count }; devuelve el número de semillas (0 sin líneas)
+const parseFieldLineCount = (fieldLines) => {
+    if (fieldLines === undefined || fieldLines === null || fieldLines === false) {
+        return 0;
+    }
+    const count = fieldLines === true ? DEFAULT_FIELD_LINES : fieldLines.count ?? DEFAULT_FIELD_LINES;
+    if (!Number.isInteger(count) || count < 1 || count > SIMULATION_LIMITS.maxFieldLines) {
+        throw new SimulationError(`field_lines.count debe estar entre 1 y ${SIMULATION_LIMITS.maxFieldLines}`);
+    }
+    return count;
+};
+
+const parseSources = (sources) => {
+    if (!Array.isArray(sources) || sources.length === 0 || sources.length > SIMULATION_LIMITS.maxSources) {
+        throw new SimulationError(`Se necesitan entre 1 y ${SIMULATION_LIMITS.maxSources} fuentes`);
+    }
+    return sources.map(parseSource);
+};
+
+// Validar y normalizar una petición de cálculo de campos. Lanza SimulationError.
+export const parseSimulationRequest = (body) => {
+    const { sources, grid, points, field_lines: fieldLines } = body || {};
+
+    const parsedSources = parseSources(sources);
+    const parsedGrid = grid !== undefined && grid !== null ? parseGrid(grid) : null;
+
+    let parsedPoints = [];
+    if (points !== undefined && points !== null) {
+        if (!Array.isArray(points) || points.length > SIMULATION_LIMITS.maxProbePoints) {
+            throw new SimulationError(`points debe ser una lista de hasta ${SIMULATION_LIMITS.maxProbePoints} posiciones`);
+        }
+        parsedPoints = points.map((point, index) => parseVector(point, `points[${index}]`));
+    }
+
+    if (!parsedGrid && parsedPoints.length === 0) {
+        throw new SimulationError('Indica una malla (grid) o una lista de puntos (points)');
+    }
+
+    const gridSize = parsedGrid ? parsedGrid.x.length * parsedGrid.y.length * parsedGrid.z.length : 0;
+    const evaluations = (gridSize + parsedPoints.length) * sourceCost(parsedSources);
+    if (evaluations > SIMULATION_LIMITS.maxEvaluations) {
+        throw new SimulationError('El cálculo es demasiado grande: reduce la malla o el número de fuentes');
+    }
+
+    return {
+        sources: parsedSources,
+        grid: parsedGrid,
+        points: parsedPoints,
+        fieldLines: parseFieldLineCount(fieldLines)
+    };
+};
+
+// Campos que se guardan de cada tipo de fuente en un escenario
+const SCENARIO_SOURCE_FIELDS = {
+    point_charge: ['charge', 'position'],
+    line_current: ['current', 'start', 'end'],
+    infinite_line_current: ['current', 'position', 'direction'],
+    current_loop: ['current', 'center', 'normal', 'radius']
+};
+
+const SCENARIO_KEYS = ['sources', 'grid', 'field_lines'];
+
+// Validar la configuración de un escenario guardado:
+//   { sources: [...], grid?: {...}, field_lines?: ... }
+// con el mismo formato que /api/simulations/fields. Cada fuente puede llevar
+// además una etiqueta (label). Devuelve la configuración limpia (sin campos
+// desconocidos) o lanza SimulationError.
+export const parseScenario = (config) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new SimulationError('La configuración del escenario debe ser un objeto');
+    }
+    const unknown = Object.keys(config).filter(key => !SCENARIO_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new SimulationError(`Campos desconocidos en el escenario: ${unknown.join(', ')}`);
+    }
+
+    const parsedSources = parseSources(config.sources);
+    const scenario = {
+        sources: parsedSources.map((parsed, index) => {
+            const source = config.sources[index];
+            const fields = SCENARIO_SOURCE_FIELDS[parsed.infinite ? 'infinite_line_current' : parsed.type];
+            const clean = { type: parsed.type };
+            if (source.label !== undefined) {
+                if (typeof source.label !== 'string' || source.label.length > 50) {
+                    throw new SimulationError(`sources[${index}].label debe ser un texto de hasta 50 caracteres`);
+                }
+                clean.label = source.label;
+            }
+            fields.forEach(field => {
+                clean[field] = source[field];
+            });
+            return clean;
+        })
+    };
+
+    if (config.grid !== undefined && config.grid !== null) {
+        parseGrid(config.grid);
+        scenario.grid = Object.fromEntries(['x', 'y', 'z']
+            .filter(axis => config.grid[axis] !== undefined && config.grid[axis] !== null)
+            .map(axis => [axis, typeof config.grid[axis] === 'number'
+                ? config.grid[axis]
+                : { min: config.grid[axis].min, max: config.grid[axis].max, points: config.grid[axis].points }]));
+    }
+    if (parseFieldLineCount(config.field_lines) > 0) {
+        scenario.field_lines = config.field_lines === true ? true : { count: config.field_lines.count ?? DEFAULT_FIELD_LINES };
+    }
+
+    return scenario;
+};
+
+// Campo B de un tramo recto de corriente de a a b en p (null sobre el propio tramo)
+const segmentField = (a, b, current, p) => {
+    const length = norm(sub(b, a));
+    const u = scale(sub(b, a), 1 / length);
+    const t = dot(sub(p, a), u);
+    const radial = sub(p, add(a, scale(u, t)));
+    const d = norm(radial);
+
+    if (d < MIN_DISTANCE) {
+        // Sobre la recta: fuera del tramo el campo es nulo
+        return t >= -MIN_DISTANCE && t <= length + MIN_DISTANCE ? null : [0, 0, 0];
+    }
+
+    const s1 = -t;
+    const s2 = length - t;
+    const magnitude = MU0_4PI * current / d * (s2 / Math.hypot(s2, d) - s1 / Math.hypot(s1, d));
+    return scale(cross(u, radial), magnitude / d);
+};
+
+// Tramos rectos en que se divide una espira
+const loopSegments = (source) => {
+    const e1 = perpendicular(source.normal);
+    const e2 = cross(source.normal, e1);
+    const n = SIMULATION_LIMITS.loopSegments;
+    const vertices = Array.from({ length: n }, (_, i) => {
+        const angle = 2 * Math.PI * i / n;
+        return add(source.center, add(
+            scale(e1, source.radius * Math.cos(angle)),
+            scale(e2, source.radius * Math.sin(angle))
+        ));
+    });
+    return vertices.map((vertex, i) => [vertex, vertices[(i + 1) % n]]);
+};
+
+// Preparar las fuentes para evaluarlas muchas veces (espiras ya divididas)
+const prepareSources = (sources) => sources.map(source => source.type === 'current_loop'
+    ? { ...source, segments: loopSegments(source) }
+    : source);
+
+// E, V y B en un punto. Cada magnitud es null si el punto está sobre una fuente.
+const evaluatePoint = (sources, p) => {
+    let E = [0, 0, 0];
+    let V = 0;
+    let B = [0, 0, 0];
+    let hasCharges = false;
+    let hasCurrents = false;
+
+    for (const source of sources) {
+        if (source.type === 'point_charge') {
+            hasCharges = true;
+            if (E === null) continue;
+            const r = sub(p, source.position);
+            const distance = norm(r);
+            if (distance < MIN_DISTANCE) {
+                E = null;
+                V = null;
+                continue;
+            }
+            E = add(E, scale(r, K_E * source.charge / distance ** 3));
+            V += K_E * source.charge / distance;
+            continue;
+        }
+
+        hasCurrents = true;
+        if (B === null) continue;
+
+        let contribution;
+        if (source.type === 'line_current' && source.infinite) {
+            const t = dot(sub(p, source.position), source.direction);
+            const radial = sub(p, add(source.position, scale(source.direction, t)));
+            const d = norm(radial);
+            contribution = d < MIN_DISTANCE
+                ? null
+                : scale(cross(source.direction, radial), 2 * MU0_4PI * source.current / (d * d));
+        } else {
+            const segments = source.type === 'current_loop' ? source.segments : [[source.start, source.end]];
+            contribution = [0, 0, 0];
+            for (const [a, b] of segments) {
+                const field = segmentField(a, b, source.current, p);
+                if (field === null) {
+                    contribution = null;
+                    break;
+                }
+                contribution = add(contribution, field);
+            }
+        }
+        B = contribution === null ? null : add(B, contribution);
+    }
+
+    return {
+        E: hasCharges ? E : [0, 0, 0],
+        V: hasCharges ? V : 0,
+        B: hasCurrents ? B : [0, 0, 0]
+    };
+};
+
+const formatValues = (position, values) => ({
+    position: roundVector(position),
+    E: roundVector(values.E),
+    E_magnitude: values.E === null ? null : round(norm(values.E)),
+    V: round(values.V),
+    B: roundVector(values.B),
+    B_magnitude: values.B === null ? null : round(norm(values.B))
+});
+
+// Semillas para trazar líneas de campo en el cliente. Si la malla es un
+// plano (un eje fijo) las semillas se colocan en ese plano.
+//  - E: alrededor de las cargas positivas (o de las negativas si no hay
+//    positivas, trazando hacia atrás), en número proporcional a |q|
+//  - B: a lo largo de una perpendicular a cada hilo y de un diámetro de cada espira
+const fieldLineSeeds = (sources, grid, count) => {
+    const axes = grid ? [grid.x, grid.y, grid.z] : null;
+    const fixedAxes = axes ? axes.map(axis => axis.length === 1) : [];
+    const planeNormal = axes && fixedAxes.filter(Boolean).length === 1
+        ? [0, 1, 2].map(i => (fixedAxes[i] ? 1 : 0))
+        : null;
+    const extent = axes ? Math.max(...axes.map(axis => axis[axis.length - 1] - axis[0])) : 0;
+    const seedRadius = extent > 0 ? extent * 0.02 : 0.01;
+
+    const electric = [];
+    const charges = sources.map((source, index) => ({ source, index })).filter(item => item.source.type === 'point_charge');
+    const positives = charges.filter(item => item.source.charge > 0);
+    const emitters = positives.length > 0 ? positives : charges.filter(item => item.source.charge < 0);
+    const totalCharge = emitters.reduce((total, item) => total + Math.abs(item.source.charge), 0);
+
+    for (const { source, index } of emitters) {
+        const n = Math.max(1, Math.round(count * Math.abs(source.charge) / totalCharge));
+        for (let i = 0; i < n; i++) {
+            let offset;
+            if (planeNormal) {
+                const e1 = perpendicular(planeNormal);
+                const e2 = cross(planeNormal, e1);
+                const angle = 2 * Math.PI * i / n;
+                offset = add(scale(e1, Math.cos(angle)), scale(e2, Math.sin(angle)));
+            } else {
+                // Espiral de Fibonacci: puntos repartidos uniformemente en la esfera
+                const z = 1 - 2 * (i + 0.5) / n;
+                const angle = i * Math.PI * (3 - Math.sqrt(5));
+                const r = Math.sqrt(1 - z * z);
+                offset = [r * Math.cos(angle), r * Math.sin(angle), z];
+            }
+            electric.push({
+                position: roundVector(add(source.position, scale(offset, seedRadius))),
+                direction: positives.length > 0 ? 'forward' : 'backward',
+                source_index: index
+            });
+        }
+    }
+
+    const magnetic = [];
+    const currents = sources.map((source, index) => ({ source, index })).filter(item => item.source.type !== 'point_charge');
+    const perSource = currents.length > 0 ? Math.max(1, Math.round(count / currents.length)) : 0;
+
+    for (const { source, index } of currents) {
+        const axis = source.type === 'current_loop'
+            ? source.normal
+            : (source.infinite ? source.direction : unit(sub(source.end, source.start)));
+        const inPlane = planeNormal ? cross(axis, planeNormal) : [0, 0, 0];
+        const spread = norm(inPlane) > 1e-6 ? unit(inPlane) : perpendicular(axis);
+
+        for (let k = 1; k <= perSource; k++) {
+            let position;
+            if (source.type === 'current_loop') {
+                position = add(source.center, scale(spread, source.radius * 0.9 * (2 * k / (perSource + 1) - 1)));
+            } else {
+                const base = source.infinite ? source.position : scale(add(source.start, source.end), 0.5);
+                position = add(base, scale(spread, seedRadius * k));
+            }
+            magnetic.push({ position: roundVector(position), direction: 'both', source_index: index });
+        }
+    }
+
+    return {
+        electric: electric.slice(0, SIMULATION_LIMITS.maxFieldLines),
+        magnetic: magnetic.slice(0, SIMULATION_LIMITS.maxFieldLines)
+    };
+};
+
+// Calcular los campos de una petición ya validada con parseSimulationRequest.
+// En la malla los valores van en columnas, recorriendo x, después y, después z.
+export const computeFields = ({ sources, grid, points, fieldLines }) => {
+    const prepared = prepareSources(sources);
+    const result = {};
+
+    if (grid) {
+        const E = [];
+        const V = [];
+        const B = [];
+        for (const z of grid.z) {
+            for (const y of grid.y) {
+                for (const x of grid.x) {
+                    const values = evaluatePoint(prepared, [x, y, z]);
+                    E.push(roundVector(values.E));
+                    V.push(round(values.V));
+                    B.push(roundVector(values.B));
+                }
+            }
+        }
+        result.grid = {
+            x: grid.x.map(round),
+            y: grid.y.map(round),
+            z: grid.z.map(round),
+            shape: [grid.x.length, grid.y.length, grid.z.length],
+            E,
+            V,
+            B
+        };
+    }
+
+    if (points.length > 0) {
+        result.points = points.map(point => formatValues(point, evaluatePoint(prepared, point)));
+    }
+
+    if (fieldLines > 0) {
+        result.field_lines = fieldLineSeeds(sources, grid, fieldLines);
+    }
+
+    return result;
+};
+
+// Valor de una magnitud en un punto: E, B (módulos), E_x... B_z (componentes) o V
+export const FIELD_CHECK_QUANTITIES = ['E', 'E_x', 'E_y', 'E_z', 'B', 'B_x', 'B_y', 'B_z', 'V'];
+
+export const computeQuantity = (sources, point, quantity) => {
+    const values = evaluatePoint(prepareSources(sources), point);
+    if (quantity === 'V') {
+        return values.V;
+    }
+    const vector = values[quantity[0]];
+    if (vector === null) {
+        return null;
+    }
+    return quantity.length === 1 ? norm(vector) : vector['xyz'.indexOf(quantity[2])];
+};
@@ -0,0 +1,67 @@
+import { query, insert } from '../config/database.js';
+import { resolveEventDate } from './progressEvents.js';
+
+// Validar un resultado de juego recibido por la API ({ gameType, score,
+// levelReached, timePlayed, metadata }). Devuelve { result } o
+// { error, details } con el motivo y los datos extra de la respuesta.
+export const parseGameResult = (raw) => {
+    const { gameType, score, levelReached, timePlayed, metadata } = raw || {};
+
+    if (!gameType || score === undefined || !levelReached || !timePlayed) {
+        return {
+            error: 'Datos incompletos',
+            details: { required: ['gameType', 'score', 'levelReached', 'timePlayed'] }
+        };
+    }
+
+    if (score < 0 || levelReached < 1 || timePlayed < 0) {
+        return {
+            error: 'Valores inválidos',
+            details: { message: 'Score, level y time deben ser valores positivos' }
+        };
+    }
+
+    return { result: { gameType, score, levelReached, timePlayed, metadata } };
+};
+
+const findResultByClientId = async (owner, clientId) => {
+    const rows = await query(
+        `SELECT * FROM resultados_juegos WHERE ${owner.column} = ? AND id_cliente = ?`,
+        [owner.id, clientId]
+    );
+    return rows[0] || null;
+};
+
+// Guardar un resultado de un usuario o invitado (ver getProgressOwner).
+// Con clientId un mismo resultado reenviado no se guarda dos veces; playedAt es
+// la fecha del cliente (se ignora si es futura). Devuelve { resultId, duplicate }.
+export const saveGameResult = async (owner, result, { clientId = null, playedAt = null } = {}) => {
+    if (clientId) {
+        const existing = await findResultByClientId(owner, clientId);
+        if (existing) {
+            return { resultId: existing.id_resultado, duplicate: true };
+        }
+    }
+
+    try {
+        const saved = await insert('resultados_juegos', {
+            id_usuario: owner.isGuest ? null : owner.id,
+            id_sesion_invitado: owner.isGuest ? owner.id : null,
+            tipo_juego: result.gameType,
+            puntuacion: result.score,
+            nivel_alcanzado: result.levelReached,
+            tiempo_jugado: result.timePlayed,
+            metadatos: result.metadata ? JSON.stringify(result.metadata) : null,
+            id_cliente: clientId,
+            fecha_juego: resolveEventDate(playedAt, new Date())
+        });
+        return { resultId: saved.insertId, duplicate: false };
+    } catch (error) {
+        // Otra petición guardó a la vez el mismo resultado del cliente
+        if (error.code === 'ER_DUP_ENTRY' && clientId) {
+            const existing = await findResultByClientId(owner, clientId);
+            return { resultId: existing.id_resultado, duplicate: true };
+        }
+        throw error;
+    }
+};
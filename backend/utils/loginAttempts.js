@@ -0,0 +1,102 @@
+import { query, insert } from '../config/database.js';
+
+// Protección contra fuerza bruta por cuenta (email):
+//  - a partir de LOGIN_DELAY_AFTER fallos cada intento exige una espera creciente (1s, 2s, 4s...)
+//  - al llegar a LOGIN_MAX_ATTEMPTS fallos la cuenta se bloquea LOGIN_LOCKOUT_MINUTES minutos
+//  - los fallos se olvidan tras un periodo sin intentos, al iniciar sesión o al restablecer la contraseña
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER || '3');
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOGIN_LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15') * 60000;
+
+const getLockState = async (email) => {
+    const rows = await query(
+        'SELECT * FROM bloqueos_inicio_sesion WHERE correo_electronico = ? LIMIT 1',
+        [email]
+    );
+    return rows[0] || null;
+};
+
+// Un estado caduca cuando terminó el bloqueo o pasó la ventana sin fallos
+const isExpired = (state, now = Date.now()) => {
+    if (state.bloqueado_hasta) {
+        return new Date(state.bloqueado_hasta).getTime() <= now;
+    }
+    return new Date(state.ultimo_fallo).getTime() + LOGIN_LOCKOUT_MS <= now;
+};
+
+const getDelayMs = (failures) => failures >= LOGIN_DELAY_AFTER
+    ? Math.pow(2, failures - LOGIN_DELAY_AFTER) * 1000
+    : 0;
+
+// Comprobar si se permite un intento: { allowed, locked, retryAfter (segundos) }
+export const checkLoginAllowed = async (email) => {
+    const state = await getLockState(email);
+    const now = Date.now();
+
+    if (!state || isExpired(state, now)) {
+        return { allowed: true, locked: false, retryAfter: 0 };
+    }
+
+    if (state.bloqueado_hasta) {
+        return {
+            allowed: false,
+            locked: true,
+            retryAfter: Math.ceil((new Date(state.bloqueado_hasta).getTime() - now) / 1000)
+        };
+    }
+
+    const nextAttemptAt = new Date(state.ultimo_fallo).getTime() + getDelayMs(state.intentos_fallidos);
+    if (nextAttemptAt > now) {
+        return {
+            allowed: false,
+            locked: false,
+            retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+        };
+    }
+
+    return { allowed: true, locked: false, retryAfter: 0 };
+};
+
+const logAttempt = (email, userId, success, reason, req) => insert('intentos_inicio_sesion', {
+    correo_electronico: email,
+    id_usuario: userId || null,
+    exitoso: success,
+    motivo: reason || null,
+    direccion_ip: req ? req.ip : null,
+    agente_usuario: req && req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 255) : null,
+    fecha_intento: new Date()
+});
+
+// Registrar un fallo y devolver si la cuenta ha quedado bloqueada
+export const recordLoginFailure = async (email, userId, reason, req) => {
+    await logAttempt(email, userId, false, reason, req);
+
+    const state = await getLockState(email);
+    const failures = state && !isExpired(state) ? state.intentos_fallidos + 1 : 1;
+    const lockedUntil = failures >= LOGIN_MAX_ATTEMPTS ? new Date(Date.now() + LOGIN_LOCKOUT_MS) : null;
+
+    await query(`
+        INSERT INTO bloqueos_inicio_sesion (correo_electronico, intentos_fallidos, ultimo_fallo, bloqueado_hasta)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            intentos_fallidos = VALUES(intentos_fallidos),
+            ultimo_fallo = VALUES(ultimo_fallo),
+            bloqueado_hasta = VALUES(bloqueado_hasta)
+    `, [email, failures, new Date(), lockedUntil]);
+
+    return {
+        failures,
+        locked: !!lockedUntil,
+        remainingAttempts: Math.max(LOGIN_MAX_ATTEMPTS - failures, 0)
+    };
+};
+
+export const recordLoginSuccess = async (email, userId, req) => {
+    await logAttempt(email, userId, true, null, req);
+    await clearLoginLock(email);
+};
+
+// Desbloquear una cuenta (p. ej. tras restablecer la contraseña)
+export const clearLoginLock = async (email) => {
+    await query('DELETE FROM bloqueos_inicio_sesion WHERE correo_electronico = ?', [email]);
+};
@@ -0,0 +1,67 @@
+import nodemailer from 'nodemailer';
+import { mkdir, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+
+// Transportes de correo disponibles:
+//  - smtp:    envío real (producción), configurado con SMTP_*
+//  - file:    guarda cada correo como JSON en MAIL_OUTPUT_DIR (desarrollo y pruebas)
+//  - console: imprime el correo en la consola (por defecto fuera de producción)
+const getTransportName = () => process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+const getSender = () => process.env.MAIL_FROM || 'MaxWaveX <no-reply@maxwavex.app>';
+
+export const getFrontendUrl = () => (process.env.FRONTEND_URL || 'https://maxwavex-web.vercel.app')
+    .replace(/\/+$/, '');
+
+let smtpTransport = null;
+
+const getSmtpTransport = () => {
+    if (!smtpTransport) {
+        smtpTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587'),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    }
+    return smtpTransport;
+};
+
+const transports = {
+    smtp: async (mail) => {
+        const info = await getSmtpTransport().sendMail(mail);
+        return { id: info.messageId };
+    },
+
+    file: async (mail) => {
+        const outputDir = resolve(process.env.MAIL_OUTPUT_DIR || 'tmp/mails');
+        await mkdir(outputDir, { recursive: true });
+
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        await writeFile(join(outputDir, `${id}.json`), JSON.stringify(mail, null, 2));
+        return { id };
+    },
+
+    console: async (mail) => {
+        console.log('📧 Correo (transporte de consola):');
+        console.log(`   Para: ${mail.to}`);
+        console.log(`   Asunto: ${mail.subject}`);
+        console.log(mail.text);
+        return { id: null };
+    }
+};
+
+// Enviar un correo con el transporte configurado
+export const sendMail = async ({ to, subject, text, html }) => {
+    const transportName = getTransportName();
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Transporte de correo desconocido: ${transportName}`);
+    }
+
+    return transport({ from: getSender(), to, subject, text, html });
+};
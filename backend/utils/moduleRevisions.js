@@ -0,0 +1,110 @@
+import { diffLines } from './diff.js';
+
+// Campos de contenido que se versionan (el orden y el estado activo no)
+export const REVISION_FIELDS = ['titulo', 'descripcion', 'contenido', 'tipo_contenido', 'nivel_dificultad'];
+
+const FIELD_NAMES = {
+    titulo: 'title',
+    descripcion: 'description',
+    contenido: 'content',
+    tipo_contenido: 'content_type',
+    nivel_dificultad: 'difficulty_level'
+};
+
+export const formatRevision = (revision, includeContent = true) => {
+    const formatted = {
+        id: revision.id_revision,
+        module_id: revision.id_modulo,
+        version: revision.numero_version,
+        status: revision.estado,
+        title: revision.titulo,
+        description: revision.descripcion,
+        content_type: revision.tipo_contenido,
+        difficulty_level: revision.nivel_dificultad,
+        change_note: revision.nota_cambios,
+        author_id: revision.id_autor,
+        created_at: revision.fecha_creacion,
+        published_at: revision.fecha_publicacion
+    };
+    if (includeContent) {
+        formatted.content = revision.contenido;
+    }
+    return formatted;
+};
+
+// Crear una versión nueva (borrador) dentro de una transacción.
+// Los campos no indicados se copian del contenido publicado (la fila de
+// modulos), nunca de un borrador pendiente de otra persona.
+export const createRevision = async (connection, moduleId, fields, authorId, note = null) => {
+    const [moduleRows] = await connection.execute(
+        'SELECT * FROM modulos WHERE id_modulo = ? FOR UPDATE',
+        [moduleId]
+    );
+    const published = moduleRows[0] || {};
+
+    const [latestRows] = await connection.execute(
+        'SELECT MAX(numero_version) AS numero_version FROM revisiones_modulos WHERE id_modulo = ?',
+        [moduleId]
+    );
+    const latest = latestRows[0] || {};
+
+    const data = {};
+    REVISION_FIELDS.forEach(field => {
+        data[field] = fields[field] !== undefined ? fields[field] : (published[field] ?? null);
+    });
+
+    const version = (latest.numero_version || 0) + 1;
+    const [result] = await connection.execute(`
+        INSERT INTO revisiones_modulos
+            (id_modulo, numero_version, titulo, descripcion, contenido, tipo_contenido, nivel_dificultad,
+             estado, nota_cambios, id_autor, fecha_creacion)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'borrador', ?, ?, ?)
+    `, [
+        moduleId, version, data.titulo, data.descripcion, data.contenido, data.tipo_contenido,
+        data.nivel_dificultad, note, authorId || null, new Date()
+    ]);
+
+    return { id_revision: result.insertId, numero_version: version, ...data };
+};
+
+// Publicar una versión: copia su contenido a modulos y archiva la anterior
+export const publishRevision = async (connection, moduleId, revisionId) => {
+    const [rows] = await connection.execute(
+        'SELECT * FROM revisiones_modulos WHERE id_revision = ? AND id_modulo = ?',
+        [revisionId, moduleId]
+    );
+    const revision = rows[0];
+    if (!revision) {
+        return null;
+    }
+
+    await connection.execute(`
+        UPDATE revisiones_modulos SET estado = 'archivada'
+        WHERE id_modulo = ? AND estado = 'publicada' AND id_revision <> ?
+    `, [moduleId, revisionId]);
+
+    await connection.execute(`
+        UPDATE revisiones_modulos SET estado = 'publicada', fecha_publicacion = NOW()
+        WHERE id_revision = ?
+    `, [revisionId]);
+
+    await connection.execute(`
+        UPDATE modulos
+        SET titulo = ?, descripcion = ?, contenido = ?, tipo_contenido = ?, nivel_dificultad = ?,
+            id_revision_publicada = ?
+        WHERE id_modulo = ?
+    `, [
+        revision.titulo, revision.descripcion, revision.contenido, revision.tipo_contenido,
+        revision.nivel_dificultad, revisionId, moduleId
+    ]);
+
+    return { ...revision, estado: 'publicada' };
+};
+
+// Comparar dos versiones campo a campo
+export const diffRevisions = (from, to) => REVISION_FIELDS
+    .filter(field => (from[field] ?? '') !== (to[field] ?? ''))
+    .map(field => ({
+        field: FIELD_NAMES[field],
+        changes: diffLines(from[field], to[field])
+    }));
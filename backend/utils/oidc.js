@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Cliente genérico de OpenID Connect (authorization code + PKCE)
+const DISCOVERY_TTL = 3600000; // 1 hora
+const HTTP_TIMEOUT = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+export const randomString = (bytes = 32) => base64url(crypto.randomBytes(bytes));
+
+export const createPkcePair = () => {
+    const codeVerifier = randomString(48);
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+    return { codeVerifier, codeChallenge };
+};
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT) });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        const detail = body && (body.error_description || body.error);
+        throw new Error(`Respuesta ${response.status} de ${url}${detail ? `: ${detail}` : ''}`);
+    }
+    return body;
+};
+
+// Metadatos del proveedor (/.well-known/openid-configuration), en caché
+export const discover = async (provider) => {
+    const cached = discoveryCache.get(provider.issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(
+        `${provider.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`
+    );
+    discoveryCache.set(provider.issuer, { metadata, expiresAt: Date.now() + DISCOVERY_TTL });
+    return metadata;
+};
+
+export const buildAuthorizationUrl = (provider, metadata, { state, nonce, codeChallenge, redirectUri, prompt }) => {
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: redirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    if (prompt) {
+        params.set('prompt', prompt);
+    }
+    return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Canjear el código de autorización por los tokens
+export const exchangeCode = async (provider, metadata, { code, codeVerifier, redirectUri }) => {
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) {
+        params.set('client_secret', provider.clientSecret);
+    }
+
+    return fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Accept: 'application/json'
+        },
+        body: params.toString()
+    });
+};
+
+const getJwks = async (metadata, forceRefresh = false) => {
+    const cached = jwksCache.get(metadata.jwks_uri);
+    if (cached && !forceRefresh && cached.expiresAt > Date.now()) {
+        return cached.keys;
+    }
+
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache.set(metadata.jwks_uri, { keys, expiresAt: Date.now() + DISCOVERY_TTL });
+    return keys;
+};
+
+// Buscar la clave de firma; si no está se recarga el JWKS una vez (rotación de claves)
+const getSigningKey = async (metadata, kid) => {
+    let keys = await getJwks(metadata);
+    let jwk = keys.find(key => !kid || key.kid === kid);
+
+    if (!jwk) {
+        keys = await getJwks(metadata, true);
+        jwk = keys.find(key => !kid || key.kid === kid);
+    }
+    if (!jwk) {
+        throw new Error('No se encontró la clave de firma del id_token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verificar firma, emisor, audiencia, caducidad y nonce del id_token
+export const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('id_token con formato inválido');
+    }
+
+    const key = await getSigningKey(metadata, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        audience: provider.clientId
+    });
+
+    // Los emisores multi-tenant (p. ej. Microsoft "common") publican {tenantid}
+    const expectedIssuer = metadata.issuer.replace('{tenantid}', claims.tid || '');
+    if (claims.iss !== expectedIssuer) {
+        throw new Error('Emisor del id_token inesperado');
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new Error('nonce del id_token inválido');
+    }
+
+    return claims;
+};
+
+// Datos del usuario desde userinfo (cuando el id_token no incluye el email)
+export const fetchUserInfo = async (metadata, accessToken) => {
+    if (!metadata.userinfo_endpoint || !accessToken) {
+        return {};
+    }
+    return fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+    });
+};
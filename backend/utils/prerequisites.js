@@ -0,0 +1,130 @@
+import { query } from '../config/database.js';
+import { getProgressOwner } from './progressOwner.js';
+
+// Buscar un ciclo en el grafo de prerrequisitos (aristas módulo -> requisito).
+// Devuelve la lista de módulos que forman el ciclo o null si el grafo es acíclico.
+export const findCycle = (edges) => {
+    const graph = new Map();
+    edges.forEach(({ from, to }) => {
+        if (!graph.has(from)) graph.set(from, []);
+        graph.get(from).push(to);
+    });
+
+    const VISITING = 1;
+    const DONE = 2;
+    const state = new Map();
+    const stack = [];
+
+    const visit = (node) => {
+        state.set(node, VISITING);
+        stack.push(node);
+
+        for (const next of graph.get(node) || []) {
+            if (state.get(next) === VISITING) {
+                return [...stack.slice(stack.indexOf(next)), next];
+            }
+            if (!state.has(next)) {
+                const cycle = visit(next);
+                if (cycle) return cycle;
+            }
+        }
+
+        stack.pop();
+        state.set(node, DONE);
+        return null;
+    };
+
+    for (const node of graph.keys()) {
+        if (!state.has(node)) {
+            const cycle = visit(node);
+            if (cycle) return cycle;
+        }
+    }
+    return null;
+};
+
+// Todas las aristas del grafo (para comprobar ciclos antes de guardar)
+export const loadPrerequisiteEdges = async () => {
+    const rows = await query('SELECT id_modulo, id_modulo_requisito FROM prerequisitos_modulos');
+    return rows.map(row => ({ from: row.id_modulo, to: row.id_modulo_requisito }));
+};
+
+// Progreso del usuario o invitado por módulo: Map id_modulo -> { completed, score }
+export const getCallerProgress = async (user) => {
+    const progress = new Map();
+    if (!user) {
+        return progress;
+    }
+
+    const owner = getProgressOwner(user);
+    const rows = await query(
+        `SELECT id_modulo, esta_completado, puntuacion FROM progreso_usuarios WHERE ${owner.column} = ?`,
+        [owner.id]
+    );
+    rows.forEach(row => progress.set(row.id_modulo, {
+        completed: !!row.esta_completado,
+        score: Number(row.puntuacion) || 0
+    }));
+    return progress;
+};
+
+// Estado de desbloqueo de cada módulo para el usuario (o visitante anónimo).
+// Devuelve Map id_modulo -> { locked, missing_prerequisites }
+// Los requisitos que apuntan a módulos eliminados no bloquean.
+export const getUnlockStatus = async (user, moduleId = null) => {
+    const params = [];
+    let moduleCondition = '';
+    if (moduleId !== null) {
+        moduleCondition = 'AND p.id_modulo = ?';
+        params.push(moduleId);
+    }
+
+    const prerequisites = await query(`
+        SELECT
+            p.id_modulo,
+            p.id_modulo_requisito,
+            p.puntuacion_minima,
+            m.titulo
+        FROM prerequisitos_modulos p
+        JOIN modulos m ON p.id_modulo_requisito = m.id_modulo
+        WHERE m.esta_activo = true ${moduleCondition}
+    `, params);
+
+    const progress = await getCallerProgress(user);
+    const status = new Map();
+
+    prerequisites.forEach(prerequisite => {
+        if (!status.has(prerequisite.id_modulo)) {
+            status.set(prerequisite.id_modulo, { locked: false, missing_prerequisites: [] });
+        }
+
+        const entry = status.get(prerequisite.id_modulo);
+        const requiredProgress = progress.get(prerequisite.id_modulo_requisito);
+        const minScore = prerequisite.puntuacion_minima;
+
+        let reason = null;
+        if (!requiredProgress || !requiredProgress.completed) {
+            reason = 'not_completed';
+        } else if (minScore !== null && requiredProgress.score < minScore) {
+            reason = 'score_too_low';
+        }
+
+        if (reason) {
+            entry.locked = true;
+            entry.missing_prerequisites.push({
+                id: prerequisite.id_modulo_requisito,
+                title: prerequisite.titulo,
+                min_score: minScore,
+                current_score: requiredProgress ? requiredProgress.score : null,
+                reason
+            });
+        }
+    });
+
+    return status;
+};
+
+export const getModuleLockStatus = async (user, moduleId) => {
+    const status = await getUnlockStatus(user, Number(moduleId));
+    return status.get(Number(moduleId)) || { locked: false, missing_prerequisites: [] };
+};
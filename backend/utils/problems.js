@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import { readJsonColumn } from '../config/database.js';
+import { getJwtSecret } from './sessions.js';
+import { parseUnit, UnitError } from './units.js';
+import { parseExpression, collectVariables, evaluate, ExpressionError } from './expression.js';
+
+// Generador de problemas paramétricos.
+//
+// Cada parámetro de la plantilla se define como
+//   { name, min, max, step?, decimals?, unit?, values? }
+// y se sortea en su unidad ("r" entre 1 y 5 cm). La fórmula y las
+// restricciones se evalúan con los parámetros ya convertidos a SI, y el
+// resultado de la fórmula (SI) se expresa en la unidad de la respuesta.
+// En el enunciado, {{nombre}} se sustituye por "valor unidad".
+const MAX_DRAWS = 200;
+const MAX_PARAMETERS = 20;
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export class ProblemError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProblemError';
+    }
+}
+
+// Semilla de una variante: la misma plantilla, usuario y número de
+// variante dan siempre los mismos valores (recargar no cambia el problema)
+export const deriveSeed = (templateId, userId, variantNumber) => crypto
+    .createHmac('sha256', process.env.PROBLEM_SEED_SECRET || getJwtSecret())
+    .update(`${templateId}:${userId}:${variantNumber}`)
+    .digest('hex')
+    .substring(0, 32);
+
+// Generador pseudoaleatorio sfc32 a partir de una semilla hexadecimal de 128 bits
+export const createRandom = (seedHex) => {
+    let [a, b, c, d] = [0, 8, 16, 24].map(offset => parseInt(seedHex.substring(offset, offset + 8), 16) >>> 0);
+    const next = () => {
+        a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+        let t = (a + b) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        d = (d + 1) | 0;
+        t = (t + d) | 0;
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+    // Descartar los primeros valores para mezclar bien la semilla
+    for (let i = 0; i < 12; i++) next();
+    return next;
+};
+
+const drawParameter = (parameter, random) => {
+    if (Array.isArray(parameter.values)) {
+        return parameter.values[Math.floor(random() * parameter.values.length)];
+    }
+    if (parameter.step) {
+        const steps = Math.floor((parameter.max - parameter.min) / parameter.step + 1e-9);
+        const value = parameter.min + Math.floor(random() * (steps + 1)) * parameter.step;
+        return Number(value.toFixed(parameter.decimals ?? 10));
+    }
+    const value = parameter.min + random() * (parameter.max - parameter.min);
+    return Number(value.toFixed(parameter.decimals ?? 2));
+};
+
+const formatParameter = (parameter, value) => {
+    const text = parameter.decimals !== undefined && !Array.isArray(parameter.values)
+        ? value.toFixed(parameter.decimals)
+        : String(value);
+    return parameter.unit ? `${text} ${parameter.unit}` : text;
+};
+
+// Preparar una plantilla: fórmulas analizadas y escalas de las unidades
+const compileTemplate = (template) => {
+    const parameters = readJsonColumn(template.parametros) || [];
+    const constraints = readJsonColumn(template.restricciones) || [];
+
+    return {
+        parameters: parameters.map(parameter => ({
+            ...parameter,
+            scale: parseUnit(parameter.unit).scale
+        })),
+        constraints: constraints.map(text => ({ text, tree: parseExpression(text) })),
+        formula: parseExpression(template.formula),
+        answerScale: parseUnit(template.unidad_respuesta).scale
+    };
+};
+
+// Generar la variante de una semilla: { parameters, statement, expectedValue }
+export const generateVariant = (template, seedHex) => {
+    const compiled = compileTemplate(template);
+    const random = createRandom(seedHex);
+
+    for (let draw = 0; draw < MAX_DRAWS; draw++) {
+        const values = {};
+        const scope = {};
+        compiled.parameters.forEach(parameter => {
+            values[parameter.name] = drawParameter(parameter, random);
+            scope[parameter.name] = values[parameter.name] * parameter.scale;
+        });
+
+        if (!compiled.constraints.every(constraint => evaluate(constraint.tree, scope))) {
+            continue;
+        }
+
+        const result = evaluate(compiled.formula, scope);
+        if (typeof result !== 'number' || !Number.isFinite(result)) {
+            continue;
+        }
+
+        const statement = template.enunciado.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (placeholder, name) => {
+            const parameter = compiled.parameters.find(item => item.name === name);
+            return parameter ? formatParameter(parameter, values[name]) : placeholder;
+        });
+
+        return {
+            parameters: Object.fromEntries(compiled.parameters.map(parameter => [
+                parameter.name,
+                { value: values[parameter.name], unit: parameter.unit || null }
+            ])),
+            statement,
+            expectedValue: result / compiled.answerScale
+        };
+    }
+
+    throw new ProblemError('No se ha encontrado ninguna combinación de parámetros que cumpla las restricciones');
+};
+
+// Comprobar una plantilla antes de guardarla. Devuelve el mensaje de error o null.
+export const validateTemplateDefinition = ({ parameters, constraints, formula, answerUnit }) => {
+    if (!Array.isArray(parameters) || parameters.length === 0 || parameters.length > MAX_PARAMETERS) {
+        return `Se necesitan entre 1 y ${MAX_PARAMETERS} parámetros`;
+    }
+
+    const names = new Set();
+    for (const parameter of parameters) {
+        if (!parameter || typeof parameter.name !== 'string' || !NAME_PATTERN.test(parameter.name)) {
+            return 'Cada parámetro necesita un nombre válido (letras, números y _)';
+        }
+        if (names.has(parameter.name)) {
+            return `Parámetro repetido: ${parameter.name}`;
+        }
+        names.add(parameter.name);
+
+        if (Array.isArray(parameter.values)) {
+            if (parameter.values.length === 0 || !parameter.values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+                return `Los valores de ${parameter.name} deben ser una lista de números`;
+            }
+        } else {
+            if (typeof parameter.min !== 'number' || typeof parameter.max !== 'number' || parameter.min > parameter.max) {
+                return `El rango de ${parameter.name} debe tener min <= max`;
+            }
+            if (parameter.step !== undefined && !(typeof parameter.step === 'number' && parameter.step > 0)) {
+                return `El paso de ${parameter.name} debe ser un número positivo`;
+            }
+        }
+        if (parameter.decimals !== undefined && !(Number.isInteger(parameter.decimals) && parameter.decimals >= 0 && parameter.decimals <= 10)) {
+            return `Los decimales de ${parameter.name} deben estar entre 0 y 10`;
+        }
+    }
+
+    if (constraints !== undefined && constraints !== null
+        && (!Array.isArray(constraints) || !constraints.every(constraint => typeof constraint === 'string'))) {
+        return 'Las restricciones deben ser una lista de expresiones';
+    }
+
+    try {
+        [...parameters.map(parameter => parameter.unit), answerUnit].forEach(unit => parseUnit(unit));
+
+        const expressions = [formula, ...(constraints || [])];
+        for (const text of expressions) {
+            const unknown = [...collectVariables(parseExpression(text))].filter(name => !names.has(name));
+            if (unknown.length > 0) {
+                return `Variables sin definir en "${text}": ${unknown.join(', ')}`;
+            }
+        }
+    } catch (error) {
+        if (error instanceof UnitError || error instanceof ExpressionError) {
+            return error.message;
+        }
+        throw error;
+    }
+
+    return null;
+};
+
+export const formatTemplate = (template, includeFormula = false) => {
+    const formatted = {
+        id: template.id_plantilla,
+        module_id: template.id_modulo,
+        title: template.titulo,
+        statement: template.enunciado,
+        answer_unit: template.unidad_respuesta,
+        created_at: template.fecha_creacion
+    };
+    if (includeFormula) {
+        formatted.parameters = readJsonColumn(template.parametros);
+        formatted.constraints = readJsonColumn(template.restricciones) || [];
+        formatted.formula = template.formula;
+        formatted.tolerance = template.tolerancia !== null ? Number(template.tolerancia) : null;
+        formatted.tolerance_type = template.tipo_tolerancia;
+        formatted.significant_figures = template.cifras_significativas;
+        formatted.is_active = !!template.esta_activa;
+        formatted.updated_at = template.fecha_actualizacion;
+    }
+    return formatted;
+};
+
+export const formatVariant = (variant, template) => ({
+    id: variant.id_variante,
+    template_id: variant.id_plantilla,
+    variant_number: variant.numero_variante,
+    statement: variant.enunciado,
+    parameters: readJsonColumn(variant.parametros),
+    answer_unit: template.unidad_respuesta,
+    status: variant.estado,
+    attempts: variant.intentos,
+    created_at: variant.fecha_creacion,
+    solved_at: variant.fecha_resolucion
+});
+
+// Criterio de corrección de una variante para checkPhysicsAnswer
+export const buildExpectedAnswer = (template, variant) => {
+    const expected = {
+        value: Number(variant.respuesta_esperada),
+        unit: template.unidad_respuesta
+    };
+    if (template.tolerancia !== null) {
+        expected.tolerance = Number(template.tolerancia);
+        expected.tolerance_type = template.tipo_tolerancia;
+    }
+    if (template.cifras_significativas !== null) {
+        expected.significant_figures = template.cifras_significativas;
+    }
+    return expected;
+};
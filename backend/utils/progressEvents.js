@@ -0,0 +1,287 @@
+import { query, insert, findById } from '../config/database.js';
+import { MAX_HEARTBEAT_SECONDS, PROGRESS_EVENT_ALIASES, normalizeProgressEventType } from '../config/progress.js';
+import { getSectionProgress } from './sections.js';
+import { getQuizScore } from './quiz.js';
+import { getModuleLockStatus } from './prerequisites.js';
+import { ensureProgressRow } from './progressOwner.js';
+
+// Registro de eventos de progreso y mantenimiento del resumen en progreso_usuarios.
+//
+// Cada evento se guarda tal cual en eventos_progreso y después se actualiza el
+// resumen, que solo avanza: el porcentaje y la puntuación se quedan con el
+// máximo, el tiempo se acumula con los latidos y un módulo completado no deja
+// de estarlo. Los campos que un evento no trae no modifican el resumen.
+//  - apertura:           actualiza el último acceso
+//  - latido:             { seconds } suma tiempo (como mucho MAX_HEARTBEAT_SECONDS)
+//  - seccion_completada: { sectionId } marca la sección; el porcentaje se deriva
+//  - puntuacion:         { score } de 0 a 100
+//  - avance:             { percentage, score, totalSeconds } (PUT /api/progress/:moduleId,
+//                        donde el tiempo es el total que lleva el cliente)
+//  - completado:         { score } exige las secciones obligatorias terminadas
+// En los módulos con secciones el porcentaje lo calcula el servidor, y en los
+// que tienen cuestionario la puntuación la mantiene el cuestionario
+// (syncQuizScore), que también registra un evento puntuacion por entrega y
+// solo puede bajarla con la política de puntuación "ultimo".
+
+// Margen para relojes de cliente adelantados
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+export class ProgressEventError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'ProgressEventError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Fecha del evento: la del cliente (eventos sincronizados más tarde) si no es futura
+export const resolveEventDate = (occurredAt, now) => {
+    const date = occurredAt ? new Date(occurredAt) : null;
+    if (!date || Number.isNaN(date.getTime()) || date.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+        return now;
+    }
+    return date;
+};
+
+export const formatProgressEvent = (event) => ({
+    id: event.id_evento,
+    module_id: event.id_modulo,
+    type: event.tipo_evento,
+    section_id: event.id_seccion,
+    seconds: event.segundos,
+    percentage: event.porcentaje !== null ? Number(event.porcentaje) : null,
+    score: event.puntuacion,
+    client_event_id: event.id_cliente,
+    occurred_at: event.fecha_evento,
+    recorded_at: event.fecha_registro
+});
+
+export const isGuestSessionActive = async (guestId) => {
+    const guests = await query(
+        'SELECT id_sesion_invitado FROM sesiones_invitados WHERE id_sesion_invitado = ? AND esta_activo = true AND fecha_expiracion > NOW()',
+        [guestId]
+    );
+    return guests.length > 0;
+};
+
+// Módulo en el que se puede registrar progreso: existe y no está bloqueado
+// por prerrequisitos (y, para invitados, la sesión sigue activa; tras crear
+// la cuenta el token de invitado ya no guarda progreso). Si no, lanza ProgressEventError.
+export const checkTrackableModule = async (user, moduleId) => {
+    if (user.userType === 'guest' && !(await isGuestSessionActive(user.guestId))) {
+        throw new ProgressEventError(401, 'Sesión de invitado expirada');
+    }
+
+    const module = await findById('modulos', moduleId);
+    if (!module) {
+        throw new ProgressEventError(404, 'Módulo no encontrado');
+    }
+
+    const lockStatus = await getModuleLockStatus(user, module.id_modulo);
+    if (lockStatus.locked) {
+        throw new ProgressEventError(403, 'Módulo bloqueado: completa antes sus prerrequisitos', {
+            missing_prerequisites: lockStatus.missing_prerequisites
+        });
+    }
+    return module;
+};
+
+// Resumen del progreso de un usuario o invitado en todos sus módulos
+// (GET /api/progress y estado devuelto por POST /api/sync)
+export const listProgressSummaries = (owner) => query(`
+    SELECT 
+        pu.id_progreso,
+        pu.id_modulo as module_id,
+        pu.porcentaje_completado as completion_percentage,
+        pu.tiempo_empleado as time_spent,
+        pu.ultimo_acceso as last_accessed,
+        pu.esta_completado as is_completed,
+        pu.puntuacion as score,
+        m.titulo as module_title,
+        m.tipo_contenido as content_type,
+        m.nivel_dificultad as difficulty_level
+    FROM progreso_usuarios pu
+    JOIN modulos m ON pu.id_modulo = m.id_modulo
+    WHERE pu.${owner.column} = ?
+    ORDER BY m.indice_orden ASC
+`, [owner.id]);
+
+const findEventByClientId = async (owner, clientEventId) => {
+    const rows = await query(
+        `SELECT * FROM eventos_progreso WHERE ${owner.column} = ? AND id_cliente = ?`,
+        [owner.id, clientEventId]
+    );
+    return rows[0] || null;
+};
+
+// Registrar un evento de progreso de un usuario o invitado (ver getProgressOwner)
+// en un módulo ya comprobado que existe y que no está bloqueado.
+// Devuelve { event, duplicate, sections }. Lanza ProgressEventError si el
+// evento no se puede aplicar.
+export const recordProgressEvent = async (owner, module, event) => {
+    if (event.clientEventId) {
+        const existing = await findEventByClientId(owner, event.clientEventId);
+        if (existing) {
+            return { event: existing, duplicate: true, sections: null };
+        }
+    }
+
+    const now = new Date();
+    const eventDate = resolveEventDate(event.occurredAt, now);
+
+    if (event.type === 'seccion_completada') {
+        const section = await findById('secciones_modulos', event.sectionId);
+        if (!section || section.id_modulo !== module.id_modulo) {
+            throw new ProgressEventError(404, 'Sección no encontrada');
+        }
+        await query(
+            `INSERT IGNORE INTO progreso_secciones (${owner.column}, id_seccion, fecha_completado) VALUES (?, ?, ?)`,
+            [owner.id, section.id_seccion, eventDate]
+        );
+    }
+
+    const sectionProgress = await getSectionProgress(owner, module.id_modulo);
+    const sections = {
+        total: sectionProgress.total,
+        completed: sectionProgress.completed,
+        percentage: sectionProgress.percentage
+    };
+
+    // Un módulo con secciones solo se completa cuando están hechas todas las obligatorias
+    if (event.type === 'completado' && sectionProgress.percentage !== null
+        && sectionProgress.completed < sectionProgress.total) {
+        throw new ProgressEventError(409, 'Faltan secciones obligatorias por completar', { sections });
+    }
+
+    let percentage = null;
+    if (event.type === 'completado') {
+        percentage = 100;
+    } else if (sectionProgress.percentage !== null) {
+        percentage = ['seccion_completada', 'avance'].includes(event.type) ? sectionProgress.percentage : null;
+    } else if (event.type === 'avance') {
+        percentage = event.percentage ?? null;
+    }
+
+    // Los invitados no hacen cuestionarios: en esos módulos no tienen puntuación
+    const quiz = await getQuizScore(owner.isGuest ? null : owner.id, module.id_modulo);
+    const score = quiz.hasQuiz || !['puntuacion', 'avance', 'completado'].includes(event.type)
+        ? null
+        : event.score ?? null;
+
+    const seconds = event.type === 'latido' ? Math.min(event.seconds, MAX_HEARTBEAT_SECONDS) : null;
+    const completed = percentage !== null && percentage >= 100;
+
+    let eventId;
+    try {
+        const result = await insert('eventos_progreso', {
+            [owner.column]: owner.id,
+            id_modulo: module.id_modulo,
+            tipo_evento: event.type,
+            id_seccion: event.type === 'seccion_completada' ? event.sectionId : null,
+            segundos: seconds ?? (event.type === 'avance' ? event.totalSeconds ?? null : null),
+            porcentaje: event.type === 'avance' ? event.percentage ?? null : percentage,
+            puntuacion: event.score ?? null,
+            id_cliente: event.clientEventId || null,
+            fecha_evento: eventDate,
+            fecha_registro: now
+        });
+        eventId = result.insertId;
+    } catch (error) {
+        // Otra petición registró a la vez el mismo evento del cliente
+        if (error.code === 'ER_DUP_ENTRY' && event.clientEventId) {
+            return { event: await findEventByClientId(owner, event.clientEventId), duplicate: true, sections };
+        }
+        throw error;
+    }
+
+    const progressId = await ensureProgressRow(owner, module.id_modulo);
+
+    // MySQL aplica las asignaciones en orden: la revisión completada se fija
+    // antes de cambiar esta_completado
+    await query(`
+        UPDATE progreso_usuarios SET
+            id_revision_completada = IF(esta_completado = false AND ?, ?, id_revision_completada),
+            esta_completado = esta_completado OR ?,
+            porcentaje_completado = GREATEST(porcentaje_completado, COALESCE(?, porcentaje_completado)),
+            tiempo_empleado = GREATEST(COALESCE(tiempo_empleado, 0) + ?, COALESCE(?, 0)),
+            puntuacion = GREATEST(COALESCE(puntuacion, 0), COALESCE(?, 0)),
+            ultimo_acceso = GREATEST(COALESCE(ultimo_acceso, ?), ?)
+        WHERE id_progreso = ?
+    `, [
+        completed, module.id_revision_publicada ?? null,
+        completed,
+        percentage,
+        seconds ?? 0, event.type === 'avance' ? event.totalSeconds ?? null : null,
+        score,
+        eventDate, eventDate,
+        progressId
+    ]);
+
+    const stored = await findById('eventos_progreso', eventId);
+    return { event: stored, duplicate: false, sections };
+};
+
+const isNumberInRange = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+// Validar un evento recibido por la API ({ type, seconds, section_id, score,
+// percentage, total_seconds, occurred_at, client_event_id }). Devuelve { event } con el
+// evento normalizado o { error } con el motivo.
+export const parseProgressEvent = (raw) => {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'El evento debe ser un objeto' };
+    }
+
+    const type = normalizeProgressEventType(raw.type);
+    if (!type) {
+        return { error: `Tipo de evento inválido (${Object.keys(PROGRESS_EVENT_ALIASES).join(', ')})` };
+    }
+
+    const event = { type };
+
+    if (type === 'latido' || raw.seconds !== undefined) {
+        if (!Number.isInteger(raw.seconds) || raw.seconds < 1 || raw.seconds > 86400) {
+            return { error: 'seconds debe ser un entero entre 1 y 86400' };
+        }
+        event.seconds = raw.seconds;
+    }
+    if (type === 'seccion_completada') {
+        if (!Number.isInteger(raw.section_id) || raw.section_id < 1) {
+            return { error: 'Se requiere section_id' };
+        }
+        event.sectionId = raw.section_id;
+    }
+    if (type === 'puntuacion' || raw.score !== undefined) {
+        if (!isNumberInRange(raw.score, 0, 100)) {
+            return { error: 'score debe ser un número entre 0 y 100' };
+        }
+        event.score = Math.round(raw.score);
+    }
+    if (raw.percentage !== undefined) {
+        if (!isNumberInRange(raw.percentage, 0, 100)) {
+            return { error: 'percentage debe ser un número entre 0 y 100' };
+        }
+        event.percentage = raw.percentage;
+    }
+    // Tiempo total que lleva el cliente en el módulo (solo en avance, como el PUT)
+    if (type === 'avance' && raw.total_seconds !== undefined) {
+        if (!Number.isInteger(raw.total_seconds) || raw.total_seconds < 0) {
+            return { error: 'total_seconds debe ser un entero no negativo' };
+        }
+        event.totalSeconds = raw.total_seconds;
+    }
+    if (raw.occurred_at !== undefined) {
+        if (typeof raw.occurred_at !== 'string' || Number.isNaN(Date.parse(raw.occurred_at))) {
+            return { error: 'occurred_at debe ser una fecha ISO 8601' };
+        }
+        event.occurredAt = raw.occurred_at;
+    }
+    if (raw.client_event_id !== undefined) {
+        if (typeof raw.client_event_id !== 'string' || raw.client_event_id.length < 1 || raw.client_event_id.length > 64) {
+            return { error: 'client_event_id debe tener entre 1 y 64 caracteres' };
+        }
+        event.clientEventId = raw.client_event_id;
+    }
+
+    return { event };
+};
@@ -0,0 +1,42 @@
+import { query, insert } from '../config/database.js';
+
+// Dueño del progreso de una petición: un usuario registrado (id_usuario) o
+// una sesión de invitado (id_sesion_invitado). Los invitados conservan su
+// progreso mientras dura la sesión y al crear una cuenta pasa al nuevo usuario.
+// column es siempre uno de estos dos nombres, así que se puede usar en el SQL.
+export const getProgressOwner = (user) => user.userType === 'guest'
+    ? { column: 'id_sesion_invitado', id: user.guestId, isGuest: true }
+    : { column: 'id_usuario', id: user.userId, isGuest: false };
+
+// Crear la fila de resumen de progreso_usuarios si todavía no existe y
+// devolver su id. Dos peticiones a la vez (p. ej. un lote de /api/sync y su
+// reintento) chocan con la clave única y se quedan con la misma fila.
+export const ensureProgressRow = async (owner, moduleId) => {
+    const findRow = () => query(
+        `SELECT id_progreso FROM progreso_usuarios WHERE ${owner.column} = ? AND id_modulo = ?`,
+        [owner.id, moduleId]
+    );
+
+    const existing = await findRow();
+    if (existing.length > 0) {
+        return existing[0].id_progreso;
+    }
+
+    try {
+        const result = await insert('progreso_usuarios', {
+            [owner.column]: owner.id,
+            id_modulo: moduleId,
+            porcentaje_completado: 0,
+            tiempo_empleado: 0,
+            puntuacion: 0,
+            esta_completado: false
+        });
+        return result.insertId;
+    } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+            throw error;
+        }
+        const [row] = await findRow();
+        return row.id_progreso;
+    }
+};
@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import { query, insert, readJsonColumn } from '../config/database.js';
+import { parseUnit, checkPhysicsAnswer, UnitError } from './units.js';
+import { ensureProgressRow } from './progressOwner.js';
+
+// Motor de cuestionarios: validación de preguntas y corrección en el servidor.
+//
+// Formato de opciones y respuestas correctas por tipo:
+//  - opcion_multiple:    opciones [{ id, text }], respuesta "id"
+//  - seleccion_multiple: opciones [{ id, text }], respuesta ["id", ...]
+//  - numerica:           sin opciones, respuesta { value, tolerance, tolerance_type }
+//                        (tolerance_type: 'absolute' o 'relative'). Con "unit"
+//                        la respuesta del estudiante debe llevar unidades del SI
+//                        compatibles y se admiten significant_figures y
+//                        significant_figures_penalty (ver utils/units.js)
+//  - ordenacion:         opciones [{ id, text }], respuesta ["id", ...] en el orden correcto
+export const DEFAULT_QUIZ_SETTINGS = {
+    intentos_maximos: null,
+    limite_tiempo_minutos: null,
+    puntuacion_aprobado: 50,
+    politica_puntuacion: 'mejor',
+    mezclar_preguntas: false,
+    mostrar_soluciones: true
+};
+
+// Margen para entregas que llegan justo después del límite de tiempo
+const SUBMIT_GRACE_MS = 30000;
+
+// Acepta números y textos con coma decimal ("3,2")
+export const parseNumber = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    const number = Number(value.trim().replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+};
+
+const isOptionList = (options) => Array.isArray(options)
+    && options.length >= 2
+    && options.every(option => option && typeof option.id === 'string' && option.id !== ''
+        && typeof option.text === 'string')
+    && new Set(options.map(option => option.id)).size === options.length;
+
+// Comprobar que la definición de una pregunta es coherente.
+// Devuelve el mensaje de error o null si es válida.
+export const validateQuestionDefinition = (type, options, answer) => {
+    if (type === 'numerica') {
+        if (!answer || parseNumber(answer.value) === null) {
+            return 'La respuesta numérica necesita un valor';
+        }
+        if (answer.tolerance !== undefined && (parseNumber(answer.tolerance) === null || parseNumber(answer.tolerance) < 0)) {
+            return 'La tolerancia debe ser un número positivo';
+        }
+        if (answer.tolerance_type !== undefined && !['absolute', 'relative'].includes(answer.tolerance_type)) {
+            return 'tolerance_type debe ser absolute o relative';
+        }
+        if (answer.unit !== undefined) {
+            try {
+                parseUnit(answer.unit);
+            } catch (error) {
+                if (error instanceof UnitError) return error.message;
+                throw error;
+            }
+        }
+        if (answer.significant_figures !== undefined
+            && (!Number.isInteger(answer.significant_figures) || answer.significant_figures < 1)) {
+            return 'significant_figures debe ser un entero mayor que 0';
+        }
+        if (answer.significant_figures_penalty !== undefined
+            && !(answer.significant_figures_penalty >= 0 && answer.significant_figures_penalty <= 1)) {
+            return 'significant_figures_penalty debe estar entre 0 y 1';
+        }
+        return null;
+    }
+
+    if (!isOptionList(options)) {
+        return 'Se necesitan al menos dos opciones con id y texto, sin ids repetidos';
+    }
+    const optionIds = options.map(option => option.id);
+
+    if (type === 'opcion_multiple') {
+        return optionIds.includes(answer) ? null : 'La respuesta debe ser el id de una de las opciones';
+    }
+
+    if (type === 'seleccion_multiple') {
+        if (!Array.isArray(answer) || answer.length === 0 || new Set(answer).size !== answer.length
+            || !answer.every(id => optionIds.includes(id))) {
+            return 'La respuesta debe ser una lista de ids de opciones';
+        }
+        return null;
+    }
+
+    if (type === 'ordenacion') {
+        if (!Array.isArray(answer) || answer.length !== optionIds.length
+            || !optionIds.every(id => answer.includes(id))) {
+            return 'La respuesta debe contener todas las opciones en el orden correcto';
+        }
+        return null;
+    }
+
+    return 'Tipo de pregunta inválido';
+};
+
+const gradeNumeric = (expected, response) => {
+    const value = parseNumber(response);
+    if (value === null) {
+        return 0;
+    }
+    const target = parseNumber(expected.value);
+    const tolerance = parseNumber(expected.tolerance) ?? 0;
+    const allowed = expected.tolerance_type === 'relative'
+        ? Math.abs(target) * tolerance
+        : tolerance;
+    return Math.abs(value - target) <= allowed + Number.EPSILON * Math.max(1, Math.abs(target)) ? 1 : 0;
+};
+
+// Corregir una respuesta. Devuelve { fraction, feedback }, con la fracción
+// de la puntuación (0 a 1) y, en las numéricas con unidades, el motivo:
+//  - selección múltiple: (aciertos - fallos) / correctas, mínimo 0
+//  - ordenación: proporción de elementos en su posición correcta
+export const gradeAnswer = (question, response) => {
+    const expected = readJsonColumn(question.respuesta_correcta);
+    if (response === undefined || response === null) {
+        return { fraction: 0, feedback: null };
+    }
+
+    if (question.tipo_pregunta === 'numerica' && expected.unit !== undefined) {
+        const result = checkPhysicsAnswer(expected, response);
+        return { fraction: result.fraction, feedback: { code: result.code, message: result.message } };
+    }
+
+    return { fraction: gradeObjective(question.tipo_pregunta, expected, response), feedback: null };
+};
+
+const gradeObjective = (type, expected, response) => {
+    switch (type) {
+    case 'opcion_multiple':
+        return response === expected ? 1 : 0;
+
+    case 'seleccion_multiple': {
+        if (!Array.isArray(response)) {
+            return 0;
+        }
+        const selected = [...new Set(response)];
+        const hits = selected.filter(id => expected.includes(id)).length;
+        const misses = selected.length - hits;
+        return Math.max(0, (hits - misses) / expected.length);
+    }
+
+    case 'numerica':
+        return gradeNumeric(expected, response);
+
+    case 'ordenacion': {
+        if (!Array.isArray(response)) {
+            return 0;
+        }
+        const inPlace = expected.filter((id, index) => response[index] === id).length;
+        return inPlace / expected.length;
+    }
+
+    default:
+        return 0;
+    }
+};
+
+export const formatQuestion = (question, includeAnswer = false) => {
+    const formatted = {
+        id: question.id_pregunta,
+        module_id: question.id_modulo,
+        type: question.tipo_pregunta,
+        statement: question.enunciado,
+        options: readJsonColumn(question.opciones),
+        points: Number(question.puntos),
+        order_index: question.indice_orden
+    };
+    if (includeAnswer) {
+        formatted.answer = readJsonColumn(question.respuesta_correcta);
+        formatted.explanation = question.explicacion;
+        formatted.is_active = !!question.esta_activa;
+    }
+    return formatted;
+};
+
+export const formatQuizSettings = (settings) => ({
+    max_attempts: settings.intentos_maximos,
+    time_limit_minutes: settings.limite_tiempo_minutos,
+    passing_score: settings.puntuacion_aprobado,
+    scoring_policy: settings.politica_puntuacion === 'ultimo' ? 'last' : 'best',
+    shuffle_questions: !!settings.mezclar_preguntas,
+    show_solutions: !!settings.mostrar_soluciones
+});
+
+export const formatAttempt = (attempt) => ({
+    id: attempt.id_intento,
+    module_id: attempt.id_modulo,
+    attempt_number: attempt.numero_intento,
+    status: attempt.estado,
+    score: attempt.puntuacion,
+    points_earned: attempt.puntos_obtenidos !== null ? Number(attempt.puntos_obtenidos) : null,
+    points_total: attempt.puntos_totales !== null ? Number(attempt.puntos_totales) : null,
+    started_at: attempt.fecha_inicio,
+    deadline: attempt.fecha_limite,
+    submitted_at: attempt.fecha_entrega
+});
+
+export const getQuizSettings = async (moduleId) => {
+    const rows = await query('SELECT * FROM configuracion_cuestionarios WHERE id_modulo = ?', [moduleId]);
+    return { ...DEFAULT_QUIZ_SETTINGS, ...(rows[0] || {}) };
+};
+
+export const loadActiveQuestions = (moduleId) => query(
+    'SELECT * FROM preguntas_modulos WHERE id_modulo = ? AND esta_activa = true ORDER BY indice_orden ASC, id_pregunta ASC',
+    [moduleId]
+);
+
+// Fisher-Yates con números aleatorios criptográficos
+export const shuffle = (items) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+export const isAttemptExpired = (attempt, now = Date.now()) => attempt.fecha_limite !== null
+    && new Date(attempt.fecha_limite).getTime() + SUBMIT_GRACE_MS < now;
+
+// Puntuación que cuenta según la política del módulo (mejor intento o
+// último intento entregado); null si no hay intentos entregados
+const findScoredAttempt = async (userId, moduleId, settings) => {
+    const attempts = await query(`
+        SELECT puntuacion FROM intentos_cuestionarios
+        WHERE id_usuario = ? AND id_modulo = ? AND estado = 'entregado'
+        ORDER BY ${settings.politica_puntuacion === 'ultimo' ? 'fecha_entrega DESC' : 'puntuacion DESC'}
+        LIMIT 1
+    `, [userId, moduleId]);
+    return attempts.length > 0 ? attempts[0].puntuacion : null;
+};
+
+// Llevar la puntuación del cuestionario a progreso_usuarios.puntuacion según
+// la política del módulo. Cada entrega queda en eventos_progreso como un
+// evento puntuacion y, como en el resto del resumen (utils/progressEvents.js),
+// la puntuación solo sube con la política "mejor". La política "ultimo" es la
+// única excepción: la última entrega sustituye a la anterior aunque sea peor.
+export const syncQuizScore = async (userId, moduleId, settings) => {
+    const score = await findScoredAttempt(userId, moduleId, settings);
+    if (score === null) {
+        return null;
+    }
+
+    const now = new Date();
+    await insert('eventos_progreso', {
+        id_usuario: userId,
+        id_modulo: moduleId,
+        tipo_evento: 'puntuacion',
+        puntuacion: score,
+        fecha_evento: now,
+        fecha_registro: now
+    });
+
+    const progressId = await ensureProgressRow({ column: 'id_usuario', id: userId }, moduleId);
+    await query(`
+        UPDATE progreso_usuarios SET
+            puntuacion = IF(?, ?, GREATEST(COALESCE(puntuacion, 0), ?)),
+            ultimo_acceso = ?
+        WHERE id_progreso = ?
+    `, [settings.politica_puntuacion === 'ultimo', score, score, now, progressId]);
+
+    const [progress] = await query('SELECT puntuacion FROM progreso_usuarios WHERE id_progreso = ?', [progressId]);
+    return progress.puntuacion;
+};
+
+// Puntuación del cuestionario para el módulo (null si no tiene preguntas o no
+// hay intentos; los invitados, con userId null, nunca tienen intentos)
+export const getQuizScore = async (userId, moduleId) => {
+    const questions = await query(
+        'SELECT COUNT(*) as total FROM preguntas_modulos WHERE id_modulo = ? AND esta_activa = true',
+        [moduleId]
+    );
+    if (Number(questions[0].total) === 0) {
+        return { hasQuiz: false, score: null };
+    }
+
+    const settings = await getQuizSettings(moduleId);
+    return { hasQuiz: true, score: await findScoredAttempt(userId, moduleId, settings) };
+};
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import { readJsonColumn } from '../config/database.js';
+import { getFrontendUrl } from './mailer.js';
+
+// Enlace para compartir: 32 bytes aleatorios, imposible de adivinar
+export const generateShareToken = () => crypto.randomBytes(32).toString('base64url');
+
+export const buildShareUrl = (token) => `${getFrontendUrl()}/scenarios/shared/${token}`;
+
+// Formatear un escenario. El enlace para compartir solo se muestra a su autor.
+export const formatScenario = (scenario, viewerId = null) => {
+    const isOwner = viewerId !== null && scenario.id_usuario === viewerId;
+    const formatted = {
+        id: scenario.id_escenario,
+        module_id: scenario.id_modulo,
+        name: scenario.nombre,
+        description: scenario.descripcion,
+        config: readJsonColumn(scenario.configuracion),
+        is_starter: !!scenario.es_inicial,
+        is_owner: isOwner,
+        forked_from: scenario.id_escenario_origen,
+        created_at: scenario.fecha_creacion,
+        updated_at: scenario.fecha_actualizacion
+    };
+    if (isOwner) {
+        formatted.is_shared = scenario.token_compartir !== null;
+        formatted.share_url = scenario.token_compartir ? buildShareUrl(scenario.token_compartir) : null;
+    }
+    return formatted;
+};
@@ -0,0 +1,115 @@
+// Utilidades para la búsqueda de texto completo en los módulos
+export const SEARCH_MIN_TERM_LENGTH = 3; // innodb_ft_min_token_size por defecto
+const SNIPPET_LENGTH = 200;
+
+// Quitar acentos y pasar a minúsculas ("Ampère" -> "ampere")
+export const foldAccents = (text) => String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+// Palabras de la búsqueda, sin acentos ni operadores de MySQL
+export const tokenizeQuery = (text) => [...new Set(
+    foldAccents(text)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length >= SEARCH_MIN_TERM_LENGTH)
+)];
+
+// Consulta en modo booleano: todas las palabras son obligatorias y admiten prefijo
+// ("poynt" encuentra "Poynting")
+export const buildBooleanQuery = (terms) => terms.map(term => `+${term}*`).join(' ');
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Texto plano a partir del contenido (puede tener HTML o Markdown)
+const toPlainText = (text) => String(text)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[#*_`>]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Versión sin acentos que conserva las posiciones del texto original
+const foldPreservingPositions = (text) => Array.from(text, char => {
+    const folded = foldAccents(char);
+    return folded.length === char.length ? folded : char.toLowerCase();
+}).join('');
+
+const findMatches = (text, terms) => {
+    const folded = foldPreservingPositions(text);
+    const matches = [];
+
+    terms.forEach(term => {
+        let index = folded.indexOf(term);
+        while (index !== -1) {
+            // Se resalta la palabra completa que empieza por el término
+            let end = index + term.length;
+            while (end < text.length && /[\p{L}\p{N}]/u.test(text[end])) {
+                end++;
+            }
+            matches.push({ start: index, end });
+            index = folded.indexOf(term, end);
+        }
+    });
+
+    // Ordenar y fusionar coincidencias solapadas
+    matches.sort((a, b) => a.start - b.start);
+    return matches.reduce((merged, match) => {
+        const last = merged[merged.length - 1];
+        if (last && match.start <= last.end) {
+            last.end = Math.max(last.end, match.end);
+        } else {
+            merged.push({ ...match });
+        }
+        return merged;
+    }, []);
+};
+
+// Fragmento del texto alrededor de la primera coincidencia, con las
+// coincidencias marcadas con <mark> (el resto del texto va escapado).
+// Devuelve null si el texto no contiene ninguna palabra de la búsqueda.
+export const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+    if (!text) {
+        return null;
+    }
+
+    const plain = toPlainText(text);
+    const matches = findMatches(plain, terms);
+    if (matches.length === 0) {
+        return null;
+    }
+
+    let start = 0;
+    let end = plain.length;
+    if (plain.length > length) {
+        start = Math.max(0, matches[0].start - Math.floor(length / 4));
+        end = Math.min(plain.length, start + length);
+        start = Math.max(0, end - length);
+
+        // No cortar palabras por la mitad
+        if (start > 0) {
+            const space = plain.indexOf(' ', start);
+            if (space !== -1 && space < matches[0].start) start = space + 1;
+        }
+        if (end < plain.length) {
+            const space = plain.lastIndexOf(' ', end);
+            if (space > start) end = space;
+        }
+    }
+
+    let snippet = '';
+    let position = start;
+    matches
+        .filter(match => match.start >= start && match.end <= end)
+        .forEach(match => {
+            snippet += escapeHtml(plain.slice(position, match.start));
+            snippet += `<mark>${escapeHtml(plain.slice(match.start, match.end))}</mark>`;
+            position = match.end;
+        });
+    snippet += escapeHtml(plain.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < plain.length ? '…' : ''}`;
+};
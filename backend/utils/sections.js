@@ -0,0 +1,82 @@
+import { query, readJsonColumn } from '../config/database.js';
+
+export const formatSection = (section, completedIds = null) => {
+    const formatted = {
+        id: section.id_seccion,
+        module_id: section.id_modulo,
+        type: section.tipo_seccion,
+        title: section.titulo,
+        content: section.contenido,
+        config: readJsonColumn(section.configuracion),
+        order_index: section.indice_orden,
+        is_required: !!section.es_obligatoria,
+        created_at: section.fecha_creacion,
+        updated_at: section.fecha_actualizacion
+    };
+    if (completedIds) {
+        formatted.completed = completedIds.has(section.id_seccion);
+    }
+    return formatted;
+};
+
+export const loadSections = (moduleId) => query(
+    'SELECT * FROM secciones_modulos WHERE id_modulo = ? ORDER BY indice_orden ASC, id_seccion ASC',
+    [moduleId]
+);
+
+// Avance del usuario (o invitado, ver getProgressOwner) en las secciones de
+// un módulo. El porcentaje solo cuenta las secciones obligatorias; null si el
+// módulo no tiene ninguna (entonces se mantiene el progreso que envía el cliente).
+export const getSectionProgress = async (owner, moduleId) => {
+    const rows = await query(`
+        SELECT s.id_seccion, s.es_obligatoria, ps.id_progreso_seccion
+        FROM secciones_modulos s
+        LEFT JOIN progreso_secciones ps ON ps.id_seccion = s.id_seccion AND ps.${owner.column} = ?
+        WHERE s.id_modulo = ?
+    `, [owner.id, moduleId]);
+
+    const required = rows.filter(row => row.es_obligatoria);
+    const completedIds = new Set(rows.filter(row => row.id_progreso_seccion).map(row => row.id_seccion));
+    const completedRequired = required.filter(row => completedIds.has(row.id_seccion)).length;
+
+    return {
+        total: required.length,
+        completed: completedRequired,
+        completedIds,
+        percentage: required.length > 0
+            ? Math.round(completedRequired * 100 / required.length)
+            : null
+    };
+};
+
+// Recalcular el porcentaje de todos los usuarios que tienen el módulo en curso
+// (tras añadir o quitar secciones o cambiar cuáles son obligatorias). Como el
+// resto del resumen, el porcentaje solo sube: añadir una sección obligatoria no
+// lo reduce. Quien llega al 100 % queda con el módulo completado; si ya no
+// quedan secciones obligatorias, se completa para quien lo había empezado. Los
+// módulos ya completados no cambian.
+export const recalculateModuleProgress = async (moduleId) => {
+    await query(`
+        UPDATE progreso_usuarios pu
+        JOIN modulos m ON m.id_modulo = pu.id_modulo
+        JOIN (
+            SELECT COUNT(*) as total
+            FROM secciones_modulos
+            WHERE id_modulo = ? AND es_obligatoria = true
+        ) t
+        LEFT JOIN (
+            SELECT ps.id_usuario, ps.id_sesion_invitado, COUNT(*) as completed
+            FROM progreso_secciones ps
+            JOIN secciones_modulos s ON ps.id_seccion = s.id_seccion
+            WHERE s.id_modulo = ? AND s.es_obligatoria = true
+            GROUP BY ps.id_usuario, ps.id_sesion_invitado
+        ) c ON c.id_usuario <=> pu.id_usuario AND c.id_sesion_invitado <=> pu.id_sesion_invitado
+        SET pu.porcentaje_completado = GREATEST(pu.porcentaje_completado,
+                IF(t.total > 0, ROUND(100 * COALESCE(c.completed, 0) / t.total), 100)),
+            pu.esta_completado = COALESCE(c.completed, 0) >= t.total,
+            pu.id_revision_completada = IF(COALESCE(c.completed, 0) >= t.total,
+                m.id_revision_publicada, pu.id_revision_completada)
+        WHERE pu.id_modulo = ? AND pu.esta_completado = false
+            AND (t.total > 0 OR pu.porcentaje_completado > 0)
+    `, [moduleId, moduleId, moduleId]);
+};
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { query, insert } from '../config/database.js';
+import { fromDbRole } from '../config/roles.js';
+
+// Duración de los tokens (configurable por variables de entorno)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30');
+
+export const getJwtSecret = () => process.env.JWT_SECRET || 'maxwavex_secret_key';
+
+// Hash SHA-256 para tokens opacos (refresco, restablecimiento, verificación...)
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Comparación en tiempo constante de dos hashes hexadecimales
+export const safeCompare = (a, b) => {
+    const bufferA = Buffer.from(a || '', 'hex');
+    const bufferB = Buffer.from(b || '', 'hex');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+export const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        userId: user.id_usuario,
+        email: user.correo_electronico,
+        userType: fromDbRole(user.tipo_usuario),
+        sessionId
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// El token de refresco tiene la forma "<identificador_sesion>.<generación>.<secreto>.<firma>".
+// La generación cuenta las rotaciones de la sesión y la firma prueba que el
+// servidor emitió un token de esa generación para esa sesión.
+const signRefreshGeneration = (sessionId, generation) => crypto
+    .createHmac('sha256', getJwtSecret())
+    .update(`refresh:${sessionId}.${generation}`)
+    .digest('hex');
+
+const buildRefreshToken = (sessionId, generation) => {
+    const secret = crypto.randomBytes(48).toString('hex');
+    return `${sessionId}.${generation}.${secret}.${signRefreshGeneration(sessionId, generation)}`;
+};
+
+// Devuelve { sessionId, generation }. generation es null si el token no tiene
+// una generación firmada por el servidor (tokens emitidos antes de la
+// generación o inventados a partir del identificador de la sesión).
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, generationText, secret, signature] = String(refreshToken || '').split('.');
+    const generation = /^\d+$/.test(generationText || '') ? Number(generationText) : null;
+    const signed = generation !== null && !!secret
+        && safeCompare(signature, signRefreshGeneration(sessionId, generation));
+    return { sessionId, generation: signed ? generation : null };
+};
+
+const getClientInfo = (req) => ({
+    direccion_ip: req ? req.ip : null,
+    agente_usuario: req && req.headers['user-agent']
+        ? req.headers['user-agent'].substring(0, 255)
+        : null
+});
+
+// Crear una sesión nueva para un usuario registrado y emitir sus tokens
+export const createUserSession = async (user, req) => {
+    const sessionId = uuidv4();
+    const refreshToken = buildRefreshToken(sessionId, 0);
+
+    await insert('sesiones_usuarios', {
+        identificador_sesion: sessionId,
+        id_usuario: user.id_usuario,
+        hash_token_refresco: hashToken(refreshToken),
+        generacion_token_refresco: 0,
+        ...getClientInfo(req),
+        fecha_creacion: new Date(),
+        fecha_expiracion: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600000),
+        esta_activo: true
+    });
+
+    return {
+        token: signAccessToken(user, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        sessionId
+    };
+};
+
+// Rotar el token de refresco: devuelve tokens nuevos o null si no es válido.
+// Si se presenta un token ya rotado de la sesión (uno de una generación
+// anterior, o el anterior de los tokens sin generación) se asume robo y se
+// revoca la sesión completa. Cualquier otro token se rechaza sin revocar nada:
+// el identificador de la sesión es visible en el token de acceso.
+export const rotateRefreshToken = async (refreshToken, req) => {
+    const { sessionId, generation } = parseRefreshToken(refreshToken);
+    if (!sessionId) {
+        return null;
+    }
+
+    const sessions = await query(`
+        SELECT su.*, u.correo_electronico, u.tipo_usuario, u.correo_verificado, u.esta_activo as usuario_activo
+        FROM sesiones_usuarios su
+        JOIN usuarios u ON su.id_usuario = u.id_usuario
+        WHERE su.identificador_sesion = ?
+          AND su.esta_activo = true
+          AND su.fecha_expiracion > NOW()
+        LIMIT 1
+    `, [sessionId]);
+
+    const session = sessions[0];
+    if (!session || !session.usuario_activo) {
+        return null;
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (!safeCompare(presentedHash, session.hash_token_refresco)) {
+        const isRotated = generation !== null
+            ? generation < session.generacion_token_refresco
+            : safeCompare(presentedHash, session.hash_token_refresco_anterior);
+        if (isRotated) {
+            console.warn(`⚠️ Reutilización de token de refresco detectada en la sesión ${sessionId}`);
+            await revokeSession(sessionId);
+        }
+        return null;
+    }
+
+    // Solo rota quien todavía tiene el hash actual: de dos peticiones
+    // simultáneas con el mismo token, la segunda no obtiene tokens
+    const newGeneration = session.generacion_token_refresco + 1;
+    const newRefreshToken = buildRefreshToken(sessionId, newGeneration);
+    const clientInfo = getClientInfo(req);
+    const result = await query(`
+        UPDATE sesiones_usuarios
+        SET hash_token_refresco = ?, hash_token_refresco_anterior = ?, generacion_token_refresco = ?,
+            ultimo_uso = ?, direccion_ip = ?, agente_usuario = ?
+        WHERE id_sesion_usuario = ? AND hash_token_refresco = ? AND esta_activo = true
+    `, [
+        hashToken(newRefreshToken), presentedHash, newGeneration, new Date(),
+        clientInfo.direccion_ip, clientInfo.agente_usuario,
+        session.id_sesion_usuario, presentedHash
+    ]);
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    return {
+        token: signAccessToken(session, sessionId),
+        refreshToken: newRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        sessionId,
+        emailVerified: !!session.correo_verificado
+    };
+};
+
+export const isSessionActive = async (sessionId) => {
+    const sessions = await query(`
+        SELECT id_sesion_usuario FROM sesiones_usuarios
+        WHERE identificador_sesion = ? AND esta_activo = true AND fecha_expiracion > NOW()
+        LIMIT 1
+    `, [sessionId]);
+
+    return sessions.length > 0;
+};
+
+export const revokeSession = async (sessionId) => {
+    const result = await query(`
+        UPDATE sesiones_usuarios
+        SET esta_activo = false, fecha_revocacion = NOW()
+        WHERE identificador_sesion = ? AND esta_activo = true
+    `, [sessionId]);
+
+    return result.affectedRows;
+};
+
+// Revocar todas las sesiones de un usuario (opcionalmente conservando una)
+export const revokeAllUserSessions = async (userId, exceptSessionId = null) => {
+    const result = await query(`
+        UPDATE sesiones_usuarios
+        SET esta_activo = false, fecha_revocacion = NOW()
+        WHERE id_usuario = ? AND esta_activo = true AND identificador_sesion <> ?
+    `, [userId, exceptSessionId || '']);
+
+    return result.affectedRows;
+};
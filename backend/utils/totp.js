@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import { getJwtSecret, hashToken } from './sessions.js';
+
+// TOTP (RFC 6238) con HMAC-SHA1, 6 dígitos y pasos de 30 segundos,
+// compatible con Google Authenticator, Microsoft Authenticator, Authy...
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // pasos de tolerancia por desfase de reloj
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+export const base32Decode = (text) => {
+    const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secreto base32 inválido');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getCounter = (timestamp) => Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+export const generateTotp = (secret, counter, digits = TOTP_DIGITS) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
+
+    return String(binary).padStart(digits, '0');
+};
+
+// Verificar un código. Devuelve el contador usado (para evitar reutilizarlo) o null.
+// Los contadores <= lastCounter se rechazan.
+export const verifyTotp = (secret, code, lastCounter = null, timestamp = Date.now()) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+
+    const current = getCounter(timestamp);
+    for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+        if (lastCounter !== null && counter <= lastCounter) {
+            continue;
+        }
+        const expected = generateTotp(secret, counter);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return counter;
+        }
+    }
+    return null;
+};
+
+export const buildOtpauthUri = (secret, accountName, issuer = 'MaxWaveX') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Los secretos se guardan cifrados (AES-256-GCM) en la base de datos
+const getEncryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || getJwtSecret())
+    .digest();
+
+export const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+export const decryptSecret = (payload) => {
+    const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Códigos de recuperación de un solo uso, con formato "xxxxx-xxxxx"
+export const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+export const hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase().replace(/\s+/g, ''));
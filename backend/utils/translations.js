@@ -0,0 +1,125 @@
+import { query } from '../config/database.js';
+import { DEFAULT_LOCALE, TRANSLATION_LOCALES } from '../config/locales.js';
+
+// Campos traducibles: columna -> clave de la API
+export const TRANSLATION_FIELDS = {
+    titulo: 'title',
+    descripcion: 'description',
+    contenido: 'content'
+};
+
+const hasText = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+
+// Traducciones de un idioma: Map id_modulo -> fila de traducciones_modulos
+export const loadTranslations = async (locale, moduleIds = null) => {
+    const translations = new Map();
+    if (locale === DEFAULT_LOCALE || (moduleIds && moduleIds.length === 0)) {
+        return translations;
+    }
+
+    const params = [locale];
+    let moduleCondition = '';
+    if (moduleIds) {
+        moduleCondition = `AND id_modulo IN (${moduleIds.map(() => '?').join(', ')})`;
+        params.push(...moduleIds);
+    }
+
+    const rows = await query(
+        `SELECT * FROM traducciones_modulos WHERE idioma = ? ${moduleCondition}`,
+        params
+    );
+    rows.forEach(row => translations.set(row.id_modulo, row));
+    return translations;
+};
+
+// Sustituir los textos de un módulo ya formateado (claves de la API) por su
+// traducción. Los campos sin traducir se quedan en el idioma original y se
+// marcan con is_fallback.
+export const translateModule = (module, translation, locale) => {
+    const translated = { ...module, locale };
+    let isFallback = false;
+
+    Object.entries(TRANSLATION_FIELDS).forEach(([column, key]) => {
+        if (!(key in module) || !hasText(module[key])) {
+            return;
+        }
+        if (locale !== DEFAULT_LOCALE && translation && hasText(translation[column])) {
+            translated[key] = translation[column];
+        } else if (locale !== DEFAULT_LOCALE) {
+            isFallback = true;
+        }
+    });
+
+    translated.is_fallback = isFallback;
+    return translated;
+};
+
+export const formatTranslation = (translation) => ({
+    locale: translation.idioma,
+    title: translation.titulo,
+    description: translation.descripcion,
+    content: translation.contenido,
+    author_id: translation.id_autor,
+    created_at: translation.fecha_creacion,
+    updated_at: translation.fecha_actualizacion
+});
+
+// Traducciones que faltan por módulo activo. Un idioma aparece como:
+//  - missing:    no hay traducción
+//  - incomplete: faltan campos que sí tienen texto en el original
+//  - outdated:   la versión publicada del módulo es posterior a la traducción
+export const findMissingTranslations = async (locales = TRANSLATION_LOCALES) => {
+    if (locales.length === 0) {
+        return [];
+    }
+
+    const modules = await query(`
+        SELECT m.id_modulo, m.titulo, m.descripcion, m.contenido, r.fecha_publicacion
+        FROM modulos m
+        LEFT JOIN revisiones_modulos r ON r.id_revision = m.id_revision_publicada
+        WHERE m.esta_activo = true
+        ORDER BY m.indice_orden ASC
+    `);
+
+    const translations = await query(
+        `SELECT * FROM traducciones_modulos WHERE idioma IN (${locales.map(() => '?').join(', ')})`,
+        locales
+    );
+    const byModule = new Map();
+    translations.forEach(translation => {
+        const key = `${translation.id_modulo}:${translation.idioma}`;
+        byModule.set(key, translation);
+    });
+
+    return modules
+        .map(module => {
+            const pending = [];
+            locales.forEach(locale => {
+                const translation = byModule.get(`${module.id_modulo}:${locale}`);
+                if (!translation) {
+                    pending.push({ locale, status: 'missing' });
+                    return;
+                }
+
+                const missingFields = Object.entries(TRANSLATION_FIELDS)
+                    .filter(([column]) => hasText(module[column]) && !hasText(translation[column]))
+                    .map(([, key]) => key);
+                if (missingFields.length > 0) {
+                    pending.push({ locale, status: 'incomplete', missing_fields: missingFields });
+                    return;
+                }
+
+                const translatedAt = translation.fecha_actualizacion || translation.fecha_creacion;
+                if (module.fecha_publicacion && translatedAt < module.fecha_publicacion) {
+                    pending.push({ locale, status: 'outdated', translated_at: translatedAt });
+                }
+            });
+
+            return {
+                id: module.id_modulo,
+                title: module.titulo,
+                pending
+            };
+        })
+        .filter(module => module.pending.length > 0);
+};
@@ -0,0 +1,429 @@
+// Magnitudes físicas con unidades del SI: lectura de respuestas como
+// "2,5 mT", "3e-3 T", "4.5 kV/m" o "1.2×10⁻⁶ C", conversión entre unidades
+// compatibles y análisis dimensional.
+//
+// Las dimensiones son vectores de exponentes de las unidades básicas
+// [m, kg, s, A, K, mol, cd]. En las unidades compuestas todo lo que va
+// detrás de una "/" (hasta la siguiente "/") es denominador, como se
+// escribe habitualmente: "W/m·K" = W/(m·K). Las unidades pueden ir pegadas
+// ("kWh", "Nm", "kgm-3").
+const BASE_SYMBOLS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd'];
+
+const dimension = (m = 0, kg = 0, s = 0, A = 0, K = 0, mol = 0, cd = 0) => [m, kg, s, A, K, mol, cd];
+
+// scale: factor a unidades SI; prefixable: admite prefijos (kV, µC...)
+const UNITS = {
+    m: { scale: 1, dim: dimension(1), prefixable: true },
+    g: { scale: 1e-3, dim: dimension(0, 1), prefixable: true },
+    s: { scale: 1, dim: dimension(0, 0, 1), prefixable: true },
+    A: { scale: 1, dim: dimension(0, 0, 0, 1), prefixable: true },
+    K: { scale: 1, dim: dimension(0, 0, 0, 0, 1), prefixable: true },
+    mol: { scale: 1, dim: dimension(0, 0, 0, 0, 0, 1), prefixable: true },
+    cd: { scale: 1, dim: dimension(0, 0, 0, 0, 0, 0, 1), prefixable: true },
+    Hz: { scale: 1, dim: dimension(0, 0, -1), prefixable: true },
+    N: { scale: 1, dim: dimension(1, 1, -2), prefixable: true },
+    Pa: { scale: 1, dim: dimension(-1, 1, -2), prefixable: true },
+    J: { scale: 1, dim: dimension(2, 1, -2), prefixable: true },
+    W: { scale: 1, dim: dimension(2, 1, -3), prefixable: true },
+    C: { scale: 1, dim: dimension(0, 0, 1, 1), prefixable: true },
+    V: { scale: 1, dim: dimension(2, 1, -3, -1), prefixable: true },
+    F: { scale: 1, dim: dimension(-2, -1, 4, 2), prefixable: true },
+    'Ω': { scale: 1, dim: dimension(2, 1, -3, -2), prefixable: true },
+    S: { scale: 1, dim: dimension(-2, -1, 3, 2), prefixable: true },
+    Wb: { scale: 1, dim: dimension(2, 1, -2, -1), prefixable: true },
+    T: { scale: 1, dim: dimension(0, 1, -2, -1), prefixable: true },
+    H: { scale: 1, dim: dimension(2, 1, -2, -2), prefixable: true },
+    eV: { scale: 1.602176634e-19, dim: dimension(2, 1, -2), prefixable: true },
+    L: { scale: 1e-3, dim: dimension(3), prefixable: true },
+    rad: { scale: 1, dim: dimension(), prefixable: true },
+    sr: { scale: 1, dim: dimension(), prefixable: false },
+    'Å': { scale: 1e-10, dim: dimension(1), prefixable: false },
+    min: { scale: 60, dim: dimension(0, 0, 1), prefixable: false },
+    h: { scale: 3600, dim: dimension(0, 0, 1), prefixable: false }
+};
+
+const UNIT_ALIASES = {
+    'ohm': 'Ω',
+    'Ohm': 'Ω',
+    'Ω': 'Ω', // signo de ohmio (distinto de la omega griega)
+    'l': 'L'
+};
+
+const PREFIXES = {
+    Y: 1e24, Z: 1e21, E: 1e18, P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3, h: 1e2, da: 1e1,
+    d: 1e-1, c: 1e-2, m: 1e-3, 'µ': 1e-6, 'μ': 1e-6, u: 1e-6, n: 1e-9, p: 1e-12, f: 1e-15, a: 1e-18
+};
+
+const SUPERSCRIPTS = {
+    '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+    '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+'
+};
+
+export class UnitError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'UnitError';
+        this.code = code;
+    }
+}
+
+const multiply = (a, b) => ({ scale: a.scale * b.scale, dim: a.dim.map((exponent, i) => exponent + b.dim[i]) });
+const power = (a, n) => ({ scale: Math.pow(a.scale, n), dim: a.dim.map(exponent => exponent * n) });
+const ONE = { scale: 1, dim: dimension() };
+
+export const sameDimension = (a, b) => a.every((exponent, i) => exponent === b[i]);
+export const isDimensionless = (dim) => dim.every(exponent => exponent === 0);
+
+// Buscar un símbolo: primero tal cual y después como prefijo + unidad.
+// Devuelve { scale, dim, prefix } o null.
+const lookupSymbol = (symbol) => {
+    const name = UNIT_ALIASES[symbol] || symbol;
+    if (UNITS[name]) {
+        return { scale: UNITS[name].scale, dim: UNITS[name].dim, prefix: null };
+    }
+
+    for (const prefix of Object.keys(PREFIXES).sort((a, b) => b.length - a.length)) {
+        if (!name.startsWith(prefix) || name.length === prefix.length) continue;
+        const rest = UNIT_ALIASES[name.substring(prefix.length)] || name.substring(prefix.length);
+        if (UNITS[rest] && UNITS[rest].prefixable) {
+            return { scale: PREFIXES[prefix] * UNITS[rest].scale, dim: UNITS[rest].dim, prefix };
+        }
+    }
+    return null;
+};
+
+// Partir una secuencia de letras en unidades seguidas, la más larga primero:
+// "kWh" = kW·h, "Nm" = N·m, "Pas" = Pa·s. Devuelve null si no se puede.
+const splitSymbols = (text) => {
+    if (text === '') {
+        return [];
+    }
+    for (let end = text.length; end > 0; end--) {
+        const unit = lookupSymbol(text.substring(0, end));
+        const rest = unit && splitSymbols(text.substring(end));
+        if (rest) {
+            return [unit, ...rest];
+        }
+    }
+    return null;
+};
+
+// Leer un símbolo como una o varias unidades; el exponente que lo sigue solo
+// afecta a la última. Con exponente negativo, "ms-1" se lee como m·s⁻¹ (así se
+// suele escribir la velocidad) y no como 1/ms; "mm-1" sigue siendo 1/mm.
+const resolveSymbols = (symbol, exponent) => {
+    const unit = lookupSymbol(symbol);
+    if (unit && unit.prefix && exponent < 0) {
+        const prefixUnit = lookupSymbol(unit.prefix);
+        const rest = lookupSymbol(symbol.substring(unit.prefix.length));
+        if (prefixUnit && !prefixUnit.prefix && !sameDimension(prefixUnit.dim, rest.dim)) {
+            return [prefixUnit, rest];
+        }
+    }
+    if (unit) {
+        return [unit];
+    }
+
+    const units = splitSymbols(symbol);
+    if (!units) {
+        throw new UnitError('unknown_unit', `Unidad desconocida: "${symbol}"`);
+    }
+    return units;
+};
+
+const tokenizeUnit = (text) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if ('*·⋅•.'.includes(char)) {
+            tokens.push({ type: 'mul' });
+            i++;
+        } else if (char === '/') {
+            tokens.push({ type: 'div' });
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '^' || SUPERSCRIPTS[char] || /[\d+\-−]/.test(char)) {
+            // Exponente: "^2", "²", "⁻¹" o dígitos pegados a la unidad ("m2", "s-2")
+            let j = char === '^' ? i + 1 : i;
+            let exponent = '';
+            while (j < text.length && (SUPERSCRIPTS[text[j]] || /[\d+\-−\s]/.test(text[j]))) {
+                if (!/\s/.test(text[j])) exponent += SUPERSCRIPTS[text[j]] || text[j].replace('−', '-');
+                j++;
+            }
+            if (!/^[+-]?\d+$/.test(exponent)) {
+                throw new UnitError('invalid_format', `Exponente inválido en la unidad "${text}"`);
+            }
+            tokens.push({ type: 'pow', value: parseInt(exponent) });
+            i = j;
+        } else if (/[\p{L}ΩµÅ°]/u.test(char)) {
+            let j = i;
+            while (j < text.length && /[\p{L}ΩµÅ°]/u.test(text[j])) j++;
+            tokens.push({ type: 'unit', value: text.substring(i, j) });
+            i = j;
+        } else {
+            throw new UnitError('invalid_format', `Carácter no válido en la unidad: "${char}"`);
+        }
+    }
+    return tokens;
+};
+
+// Analizador descendente: expr := product ('/' product)*
+//                          product := factor (('*' | implícito) factor)*
+//                          factor := (unidad | '(' expr ')') ('^' n)?
+const parseTokens = (tokens) => {
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const parseFactor = () => {
+        const token = tokens[position++];
+        let result;
+        if (token && token.type === 'unit') {
+            // El exponente se aplica solo a la última unidad del símbolo: "Jkg-1" = J·kg⁻¹
+            const exponent = peek() && peek().type === 'pow' ? tokens[position++].value : 1;
+            const units = resolveSymbols(token.value, exponent);
+            return units.reduce((product, unit, i) => multiply(
+                product,
+                i === units.length - 1 ? power(unit, exponent) : unit
+            ), ONE);
+        } else if (token && token.type === '(') {
+            result = parseExpression();
+            if (!peek() || peek().type !== ')') {
+                throw new UnitError('invalid_format', 'Falta cerrar un paréntesis en la unidad');
+            }
+            position++;
+        } else {
+            throw new UnitError('invalid_format', 'Unidad mal escrita');
+        }
+
+        if (peek() && peek().type === 'pow') {
+            result = power(result, tokens[position++].value);
+        }
+        return result;
+    };
+
+    const parseProduct = () => {
+        let result = parseFactor();
+        while (peek() && (peek().type === 'mul' || peek().type === 'unit' || peek().type === '(')) {
+            if (peek().type === 'mul') position++;
+            result = multiply(result, parseFactor());
+        }
+        return result;
+    };
+
+    const parseExpression = () => {
+        let result = parseProduct();
+        while (peek() && peek().type === 'div') {
+            position++;
+            result = multiply(result, power(parseProduct(), -1));
+        }
+        return result;
+    };
+
+    const result = parseExpression();
+    if (position < tokens.length) {
+        throw new UnitError('invalid_format', 'Unidad mal escrita');
+    }
+    return result;
+};
+
+// Convertir una unidad ("kV/m") en { scale, dim }; "" es adimensional
+export const parseUnit = (text) => {
+    const clean = String(text ?? '').trim();
+    if (clean === '' || clean === '1') {
+        return ONE;
+    }
+    return parseTokens(tokenizeUnit(clean));
+};
+
+const NUMBER_PATTERN = new RegExp(
+    '^([+\\-−]?(?:\\d+(?:[.,]\\d*)?|[.,]\\d+))' // mantisa
+    + '(?:\\s*[eE]\\s*([+\\-−]?\\d+)' // 1.2e-3
+    + '|\\s*[×x*·]\\s*10\\s*(?:\\^|\\*\\*)?\\s*([+\\-−]?\\d+|[⁻⁺]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+))?' // 1.2×10^-3, 1.2·10⁻³
+);
+
+// Cifras significativas de la mantisa. Los ceros finales de un entero
+// ("300") son ambiguos, así que se devuelve un rango { min, max }.
+export const countSignificantFigures = (mantissa) => {
+    const text = mantissa.replace(/^[+\-−]/, '');
+    const hasSeparator = /[.,]/.test(text);
+    const digits = text.replace(/[.,]/g, '').replace(/^0+/, '');
+
+    if (digits === '') {
+        return { min: 1, max: 1 };
+    }
+    if (hasSeparator) {
+        return { min: digits.length, max: digits.length };
+    }
+    const withoutTrailing = digits.replace(/0+$/, '');
+    return { min: Math.max(withoutTrailing.length, 1), max: digits.length };
+};
+
+// Leer una magnitud "valor unidad". Devuelve
+// { value, unitText, unit: { scale, dim }, siValue, significantFigures }
+export const parseQuantity = (input) => {
+    if (typeof input === 'number') {
+        if (!Number.isFinite(input)) {
+            throw new UnitError('invalid_format', 'El valor no es un número');
+        }
+        return {
+            value: input,
+            unitText: '',
+            unit: ONE,
+            siValue: input,
+            significantFigures: countSignificantFigures(String(Math.abs(input)).replace(/e.*$/, ''))
+        };
+    }
+
+    const text = String(input ?? '').trim();
+    const match = text.match(NUMBER_PATTERN);
+    if (!match) {
+        throw new UnitError(
+            'invalid_format',
+            'No se ha podido leer la respuesta. Escribe un número seguido de su unidad (por ejemplo 3,2 mT)'
+        );
+    }
+
+    const mantissa = match[1];
+    const exponentText = match[2] ?? match[3];
+    const exponent = exponentText
+        ? parseInt(Array.from(exponentText, char => SUPERSCRIPTS[char] || char).join('').replace('−', '-'))
+        : 0;
+    const value = Number(mantissa.replace(',', '.').replace('−', '-')) * Math.pow(10, exponent);
+
+    const unitText = text.substring(match[0].length).trim();
+    const unit = parseUnit(unitText);
+
+    return {
+        value,
+        unitText,
+        unit,
+        siValue: value * unit.scale,
+        significantFigures: countSignificantFigures(mantissa)
+    };
+};
+
+// Dimensiones en unidades básicas: "kg·m·s⁻²·A⁻¹"
+const toSuperscript = (n) => String(n).split('').map(char => Object.keys(SUPERSCRIPTS).find(key => SUPERSCRIPTS[key] === char)).join('');
+
+export const formatDimension = (dim) => {
+    if (isDimensionless(dim)) {
+        return 'adimensional';
+    }
+    return [1, 0, 2, 3, 4, 5, 6]
+        .filter(i => dim[i] !== 0)
+        .map(i => dim[i] === 1 ? BASE_SYMBOLS[i] : `${BASE_SYMBOLS[i]}${toSuperscript(dim[i])}`)
+        .join('·');
+};
+
+// Nombres de las magnitudes más habituales para los mensajes de error
+const QUANTITY_NAMES = [
+    ['m', 'longitud'], ['kg', 'masa'], ['s', 'tiempo'], ['A', 'corriente eléctrica'],
+    ['K', 'temperatura'], ['Hz', 'frecuencia'], ['m/s', 'velocidad'], ['m/s^2', 'aceleración'],
+    ['N', 'fuerza'], ['Pa', 'presión'], ['J', 'energía'], ['W', 'potencia'], ['C', 'carga eléctrica'],
+    ['V', 'potencial eléctrico'], ['V/m', 'campo eléctrico'], ['F', 'capacidad'], ['Ω', 'resistencia'],
+    ['S', 'conductancia'], ['Wb', 'flujo magnético'], ['T', 'campo magnético'], ['H', 'inductancia'],
+    ['A/m', 'intensidad de campo magnético'], ['C/m^2', 'densidad superficial de carga'],
+    ['W/m^2', 'intensidad (densidad de potencia)'], ['N·m', 'momento de fuerza']
+].map(([unit, name]) => ({ dim: parseUnit(unit).dim, name }));
+
+export const describeDimension = (dim) => {
+    const known = QUANTITY_NAMES.find(quantity => sameDimension(quantity.dim, dim));
+    const base = formatDimension(dim);
+    return known ? `${known.name} (${base})` : base;
+};
+
+// Resumen de una magnitud leída, para la API (sin ruido de coma flotante)
+export const describeQuantity = (parsed) => ({
+    value: Number(parsed.value.toPrecision(12)),
+    unit: parsed.unitText,
+    si_value: Number(parsed.siValue.toPrecision(12)),
+    si_unit: formatDimension(parsed.unit.dim)
+});
+
+// Corregir una respuesta con unidades. expected: { value, unit, tolerance,
+// tolerance_type, significant_figures, significant_figures_penalty }
+//  - La tolerancia absoluta va en la unidad esperada; por defecto se usa
+//    una tolerancia relativa del 1 %.
+//  - significant_figures exige ese número de cifras significativas; si el
+//    valor es correcto pero no las cumple se aplica la penalización
+//    (por defecto la mitad de la puntuación).
+// Devuelve { fraction, code, message, parsed }.
+export const checkPhysicsAnswer = (expected, response) => {
+    const expectedUnit = parseUnit(expected.unit);
+    const expectedSi = Number(expected.value) * expectedUnit.scale;
+
+    let parsed;
+    try {
+        parsed = parseQuantity(typeof response === 'object' && response !== null
+            ? `${response.value ?? ''} ${response.unit ?? ''}`
+            : response);
+    } catch (error) {
+        if (error instanceof UnitError) {
+            return { fraction: 0, code: error.code, message: error.message, parsed: null };
+        }
+        throw error;
+    }
+
+    const summary = describeQuantity(parsed);
+
+    if (!sameDimension(parsed.unit.dim, expectedUnit.dim)) {
+        if (parsed.unitText === '') {
+            return {
+                fraction: 0,
+                code: 'missing_unit',
+                message: `Falta la unidad: la respuesta debe expresarse en ${expected.unit} o en una unidad compatible`,
+                parsed: summary
+            };
+        }
+        return {
+            fraction: 0,
+            code: 'wrong_dimension',
+            message: `La unidad "${parsed.unitText}" no es dimensionalmente correcta: corresponde a `
+                + `${describeDimension(parsed.unit.dim)} y se esperaba ${describeDimension(expectedUnit.dim)}`,
+            parsed: summary
+        };
+    }
+
+    const toleranceType = expected.tolerance_type || (expected.tolerance !== undefined ? 'absolute' : 'relative');
+    const tolerance = expected.tolerance !== undefined ? Number(expected.tolerance) : 0.01;
+    const allowed = toleranceType === 'relative'
+        ? Math.abs(expectedSi) * tolerance
+        : tolerance * expectedUnit.scale;
+    const difference = Math.abs(parsed.siValue - expectedSi);
+
+    if (difference > allowed * (1 + 1e-9) + Number.EPSILON * Math.abs(expectedSi)) {
+        return {
+            fraction: 0,
+            code: 'out_of_tolerance',
+            message: 'El valor no es correcto',
+            parsed: summary
+        };
+    }
+
+    const requiredFigures = expected.significant_figures !== undefined ? Number(expected.significant_figures) : null;
+    if (requiredFigures !== null
+        && (requiredFigures < parsed.significantFigures.min || requiredFigures > parsed.significantFigures.max)) {
+        const penalty = expected.significant_figures_penalty !== undefined
+            ? Number(expected.significant_figures_penalty)
+            : 0.5;
+        const given = parsed.significantFigures.min === parsed.significantFigures.max
+            ? parsed.significantFigures.min
+            : `${parsed.significantFigures.min}-${parsed.significantFigures.max}`;
+        return {
+            fraction: Math.max(0, 1 - penalty),
+            code: 'significant_figures',
+            message: `El valor es correcto, pero tiene ${given} ${given === 1 ? 'cifra significativa' : 'cifras significativas'} `
+                + `y se piden ${requiredFigures}`,
+            parsed: summary
+        };
+    }
+
+    return { fraction: 1, code: 'correct', message: 'Respuesta correcta', parsed: summary };
+};
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import { query, insert } from '../config/database.js';
+import { hashToken } from './sessions.js';
+
+// Propósitos admitidos para los tokens de un solo uso
+export const TOKEN_PURPOSES = {
+    PASSWORD_RESET: 'restablecimiento',
+    EMAIL_VERIFICATION: 'verificacion_correo',
+    EMAIL_CHANGE: 'cambio_correo'
+};
+
+// Emitir un token de un solo uso. Invalida los pendientes del mismo propósito.
+export const issueUserToken = async (userId, purpose, ttlMs, data = null) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await query(`
+        UPDATE tokens_usuarios
+        SET fecha_uso = NOW()
+        WHERE id_usuario = ? AND proposito = ? AND fecha_uso IS NULL
+    `, [userId, purpose]);
+
+    await insert('tokens_usuarios', {
+        id_usuario: userId,
+        proposito: purpose,
+        hash_token: hashToken(token),
+        datos: data ? JSON.stringify(data) : null,
+        fecha_creacion: new Date(),
+        fecha_expiracion: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+};
+
+// Consumir un token: devuelve la fila si era válido o null si no existe,
+// expiró o ya se usó. El UPDATE condicional evita el doble uso concurrente.
+export const consumeUserToken = async (token, purpose) => {
+    if (!token) {
+        return null;
+    }
+
+    const rows = await query(`
+        SELECT * FROM tokens_usuarios
+        WHERE hash_token = ? AND proposito = ? AND fecha_uso IS NULL AND fecha_expiracion > NOW()
+        LIMIT 1
+    `, [hashToken(String(token)), purpose]);
+
+    const userToken = rows[0];
+    if (!userToken) {
+        return null;
+    }
+
+    const result = await query(`
+        UPDATE tokens_usuarios SET fecha_uso = NOW()
+        WHERE id_token_usuario = ? AND fecha_uso IS NULL
+    `, [userToken.id_token_usuario]);
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    if (typeof userToken.datos === 'string') {
+        userToken.datos = JSON.parse(userToken.datos);
+    }
+
+    return userToken;
+};